@@ -55,6 +55,87 @@ export type MarketResponse = {
 export type ErrorResponse = {
   error: string;
   status?: number;
+  /** on 429 and on requests the rate limiter held back */
+  rateLimit?: RateLimitInfo;
+};
+
+export type KeyParams = {
+  plus_subday: number;
+  value_of_activate: number;
+  delete_time: string;
+};
+
+export type KeyParamsIssue = {
+  field: keyof KeyParams;
+  message: string;
+};
+
+export type KeyBatchResult = {
+  index: number;
+  key: string | null;
+  error: SexyGuardError | null;
+};
+
+export type RetryPolicy = {
+  retries?: number;
+  minDelayMs?: number;
+  maxDelayMs?: number;
+  factor?: number;
+  jitter?: boolean;
+  methods?: string[];
+  retryOn?: (ctx: RequestContext & { status: number | null; error: any }) => boolean;
+};
+
+export type RequestOptions = {
+  method?: string;
+  body?: any;
+  auth?: boolean;
+  headers?: Record<string, string>;
+  signal?: AbortSignal;
+  timeoutMs?: number;
+  retry?: boolean | number | RetryPolicy;
+  skipRefresh?: boolean;
+  /** `false` keeps the request out of the offline queue */
+  queue?: boolean;
+  /** response schema for this call instead of the endpoint's; `false` skips the check */
+  schema?: Schema | false;
+};
+
+export type RefreshResult = {
+  token: string;
+  session?: string | null;
+};
+
+export type RefreshTokenFn = (ctx: {
+  session: string | null;
+  token: string | null;
+  client: SexyGuardClient;
+}) => Promise<RefreshResult | string | null>;
+
+export type ClientEvent = {
+  type: 'refreshing' | 'refreshed' | 'expired';
+  token?: string;
+};
+
+export type AuthStatus = 'anonymous' | 'authenticated' | 'refreshing' | 'expired';
+
+export type RequestContext = {
+  path: string;
+  url: string;
+  method: string;
+  headers: Record<string, string>;
+  body: any;
+  auth: boolean;
+  attempt: number;
+  signal: AbortSignal | undefined;
+  queue: boolean;
+  response?: Response;
+};
+
+export type Middleware = {
+  onRequest?: (ctx: RequestContext) => RequestContext | void | Promise<RequestContext | void>;
+  onResponse?: (result: any, ctx: RequestContext) => any;
+  onError?: (error: any, ctx: RequestContext) => any;
 };
 
 export type SexyGuardClientOptions = {
@@ -63,53 +144,395 @@ export type SexyGuardClientOptions = {
   setToken?: (token: string | null) => void;
   tokenStorageKey?: string;
   tokenStorage?: TokenStorage;
+  middleware?: Middleware[];
+  timeoutMs?: number;
+  retry?: boolean | number | RetryPolicy;
+  throwOnError?: boolean;
+  sessionTokenStorage?: TokenStorage;
+  refreshToken?: RefreshTokenFn;
+  refreshPath?: string;
+  onSessionExpired?: () => void;
+  credentials?: RequestCredentials;
+  /** replaces the global `fetch`, e.g. the mock backend from `sexyguard-react-sdk/testing` */
+  fetch?: typeof fetch;
+  /** check response bodies against ENDPOINT_SCHEMAS; off by default */
+  validation?: ValidationMode | ValidationOptions;
+  /** per-route limits and `Retry-After` handling; off unless given */
+  rateLimit?: RateLimitOptions | RateLimiter | false;
 };
 
 export type TokenStorage = {
   get: () => string | null | undefined;
   set: (token: string | null) => void;
   clear: () => void;
+  subscribe?: (listener: (token: string | null) => void) => () => void;
+};
+
+export type CookieOptions = {
+  path?: string;
+  domain?: string;
+  maxAge?: number;
+  expires?: Date;
+  secure?: boolean;
+  sameSite?: 'Strict' | 'Lax' | 'None';
+  httpOnly?: boolean;
 };
 
 export type TokenStorageFactoryOptions = {
   type?: 'localStorage' | 'cookie' | 'memory';
   key?: string;
-  cookie?: { path?: string; maxAge?: number };
+  cookie?: CookieOptions;
+  /** post changes to other tabs over BroadcastChannel; on for `cookie`, off for `memory` */
+  broadcast?: boolean;
 };
 
+export function parseCookies(header?: string): Record<string, string>;
+export function serializeCookie(name: string, value: string | null, options?: CookieOptions): string;
+
 export function createTokenStorage(opts?: TokenStorageFactoryOptions): TokenStorage;
 
+export type SexyGuardErrorRequest = {
+  path?: string | null;
+  method?: string | null;
+};
+
 export class SexyGuardError extends Error {
   status: number | null;
   data: any;
-  constructor(message: string, status?: number | null, data?: any);
+  path: string | null;
+  method: string | null;
+  constructor(message: string, status?: number | null, data?: any, request?: SexyGuardErrorRequest);
+}
+
+export class SexyGuardNetworkError extends SexyGuardError {}
+export class SexyGuardTimeoutError extends SexyGuardError {}
+export class SexyGuardUnauthorizedError extends SexyGuardError {}
+export class SexyGuardForbiddenError extends SexyGuardError {}
+export class SexyGuardValidationError extends SexyGuardError {}
+/** 429, or a request the client-side rate limiter did not send (`status` null) */
+export class SexyGuardRateLimitError extends SexyGuardError {
+  rateLimit: RateLimitInfo | null;
+}
+export class SexyGuardServerError extends SexyGuardError {}
+/** response body does not match its schema; `data` is `{ issues, received }` */
+export class SexyGuardSchemaError extends SexyGuardError {
+  issues: SchemaIssue[];
 }
 
+export function createHttpError(status: number, data?: any, request?: SexyGuardErrorRequest): SexyGuardError;
+
 export function normalizeError(err: any): SexyGuardError;
 
+export function isAbortError(err: any): boolean;
+
+export function validateKeyParams(params: Partial<KeyParams>): KeyParamsIssue[];
+/** cells that start like a spreadsheet formula (`=`, `+`, `-`, `@`) are prefixed with `'` */
+export function keysToCsv(results: KeyBatchResult[]): string;
+export function keysToText(results: KeyBatchResult[]): string;
+
+export type SchemaIssue = {
+  /** e.g. `items[0].productPrice`; '' for the whole body */
+  path: string;
+  expected: string;
+  received: string;
+  message: string;
+};
+
+export type Schema = {
+  expected: string;
+  optional?: boolean;
+  parse: (value: any, path: string, ctx: { issues: SchemaIssue[]; mapSnakeCase: boolean }) => any;
+};
+
+export type ValidationMode = 'strict' | 'warn' | 'off';
+
+export type ValidationOptions = {
+  /** strict: a mismatch is a SexyGuardSchemaError; warn: report and pass the body through; default off */
+  mode?: ValidationMode;
+  /** read `product_id` into `productId` when the documented key is missing; default true */
+  mapSnakeCase?: boolean;
+  /** `'METHOD /path'` (`:param` segments allowed) over ENDPOINT_SCHEMAS; `false` skips one */
+  schemas?: Record<string, Schema | false>;
+  /** replaces the `console.warn` report */
+  onIssues?: (issues: SchemaIssue[], ctx: RequestContext) => void;
+};
+
+export const field: {
+  string(): Schema;
+  number(): Schema;
+  integer(): Schema;
+  boolean(): Schema;
+  any(): Schema;
+  literal(...values: (string | number | boolean | null)[]): Schema;
+  custom(expected: string, test: (value: any) => boolean): Schema;
+  nullable(schema: Schema): Schema;
+  optional(schema: Schema): Schema;
+  array(item: Schema): Schema;
+  /** `aliases`: documented key → backend key, for renames snake_case does not cover */
+  object(shape: Record<string, Schema>, options?: { aliases?: Record<string, string> }): Schema & { shape: Record<string, Schema> };
+};
+
+export function validateSchema(schema: Schema, value: any, options?: { mapSnakeCase?: boolean }): { value: any; issues: SchemaIssue[] };
+
+export const MODEL_SCHEMAS: Record<
+  | 'UserProfile'
+  | 'MarketItem'
+  | 'PublicInfo'
+  | 'AuthResponse'
+  | 'RegisterResponse'
+  | 'KeyGenerateResponse'
+  | 'KeyActivateResponse'
+  | 'VersionResponse'
+  | 'MarketResponse',
+  Schema
+>;
+
+/** response schema of every SexyGuardClient endpoint, by `'METHOD /path'` */
+export const ENDPOINT_SCHEMAS: Record<string, Schema>;
+
+export type SubscriptionStatus = {
+  active: boolean;
+  expiresAt: Date | null;
+  remainingMs: number;
+};
+
+export function createBearerFetch(getToken: () => string | null | undefined, baseFetch?: typeof fetch): typeof fetch;
+
+export function handleAuthCallback(supabase: any, url?: string): Promise<{ data: { session: any }; error: any }>;
+
+export type StorageUploadOptions = {
+  upsert?: boolean;
+  contentType?: string;
+  /** seconds, default '3600' */
+  cacheControl?: string;
+  onProgress?: (progress: { loaded: number; total: number }) => void;
+  signal?: AbortSignal;
+  /** TUS upload, needs the optional `tus-js-client` package */
+  resumable?: boolean;
+  accessToken?: string | null;
+  /** project URL; with `supabaseKey` enables progress and `resumable` */
+  supabaseUrl?: string;
+  supabaseKey?: string;
+};
+
+export type StorageUploadResult = {
+  data: { path: string; id: string | null; fullPath: string } | null;
+  error: any;
+};
+
+export type SignedUrlOptions = {
+  expiresIn?: number;
+  download?: boolean | string;
+  transform?: Record<string, any>;
+};
+
+export function uploadToStorage(supabase: any, bucket: string, path: string, file: Blob | ArrayBuffer, options?: StorageUploadOptions): Promise<StorageUploadResult>;
+export function getCachedSignedUrl(supabase: any, bucket: string, path: string, options?: SignedUrlOptions): Promise<{ data: { signedUrl: string } | null; error: any }>;
+export function peekSignedUrl(supabase: any, bucket: string, path: string, options?: SignedUrlOptions): string | null;
+export function invalidateSignedUrls(supabase: any, bucket: string, paths: string[]): void;
+
+export type StreamFormat = 'sse' | 'ndjson' | 'text';
+
+export type StreamChunkMeta = { event?: string; id?: string | null };
+
+export function readStream<T = any>(response: Response, options?: {
+  format?: StreamFormat;
+  onChunk?: (chunk: T, meta: StreamChunkMeta) => void;
+}): Promise<T[]>;
+
+export function streamEdgeFunction<T = any>(supabase: any, name: string, options: {
+  supabaseUrl: string;
+  supabaseKey: string;
+  /** user JWT; the Supabase session's by default */
+  accessToken?: string | null;
+  fetch?: typeof fetch;
+  body?: any;
+  method?: string;
+  headers?: Record<string, string>;
+  signal?: AbortSignal;
+  format?: StreamFormat;
+  onChunk?: (chunk: T, meta: StreamChunkMeta) => void;
+}): Promise<{ data: T[] | null; error: SexyGuardError | null }>;
+
+export type AuthBridge = 'supabase-to-rest' | 'rest-to-supabase';
+
+export function getSubscriptionStatus(till: number | null | undefined, now?: number): SubscriptionStatus;
+
+export type LicenseState = 'active' | 'expired' | 'unbound' | 'bound-to-other-device';
+
+export type LicenseStatus = {
+  /** `null` without a profile; `expired` wins over the binding */
+  status: LicenseState | null;
+  /** subscription running, whatever the binding */
+  active: boolean;
+  hwid: string | null;
+  bound: boolean;
+  /** `null` while the fingerprint is unknown */
+  deviceMatches: boolean | null;
+  expiresAt: Date | null;
+  remainingMs: number;
+  expiringSoon: boolean;
+};
+
+export function getLicenseStatus(
+  profile: UserProfile | null | undefined,
+  fingerprint?: string | null,
+  options?: { now?: number; warnBeforeMs?: number }
+): LicenseStatus;
+
+/** SHA-256 hex of stable device traits; `null` without `navigator` / WebCrypto */
+export function getBrowserFingerprint(options?: { salt?: string }): Promise<string | null>;
+export function roleSatisfies(role: string | null | undefined, required: string, hierarchy?: string[]): boolean;
+
+export const defaultRetryPolicy: Required<Omit<RetryPolicy, 'retryOn'>>;
+
+export type RateLimitRule = {
+  /** requests per `intervalMs` */
+  limit: number;
+  intervalMs: number;
+  /** bucket size; `limit` by default */
+  burst?: number;
+};
+
+export type RateLimitOptions = {
+  /** `'METHOD /path'` like ENDPOINT_SCHEMAS; `false` leaves a route unlimited */
+  routes?: Record<string, RateLimitRule | false>;
+  /** for routes without their own rule; each route gets its own bucket */
+  default?: RateLimitRule | null;
+  /** hold requests until a token or the `Retry-After` comes (default); `false` fails them right away */
+  wait?: boolean;
+  /** longer waits fail instead; 60000 by default */
+  maxWaitMs?: number;
+  /** 429 answers with `Retry-After` retried per request; 2 by default */
+  retries?: number;
+};
+
+export type RateLimitInfo = {
+  /** `'METHOD /path'` the limit applies to */
+  route: string;
+  limited: boolean;
+  retryAfterMs: number;
+  /** epoch ms */
+  retryAt: number;
+  /** `null` without a client-side rule */
+  limit: number | null;
+  remaining: number | null;
+  /** the local bucket, or a 429 from the backend */
+  source: 'client' | 'server';
+};
+
+export class RateLimiter {
+  constructor(options?: RateLimitOptions);
+  wait: boolean;
+  maxWaitMs: number;
+  retries: number;
+  /** replace the rules; buckets and cooldowns carry over */
+  configure(options?: RateLimitOptions): void;
+  subscribe(listener: () => void): () => void;
+  getInfo(method: string, path: string): RateLimitInfo;
+  /** `null` once the request may go, the limit it hit otherwise */
+  acquire(method: string, path: string, signal?: AbortSignal): Promise<RateLimitInfo | null>;
+  /** record a 429 */
+  limited(method: string, path: string, retryAfterMs: number | null): RateLimitInfo;
+  reset(): void;
+}
+
 export class SexyGuardClient {
   constructor(options?: SexyGuardClientOptions);
+  middleware: Middleware[];
+  timeoutMs: number;
+  retry: boolean | number | RetryPolicy;
+  throwOnError: boolean;
+  refreshPath: string | null;
+  onSessionExpired?: () => void;
+  credentials?: RequestCredentials;
+  fetch: typeof fetch | null;
+  validation: Required<Omit<ValidationOptions, 'onIssues'>> & Pick<ValidationOptions, 'onIssues'>;
+  setValidation(validation: ValidationMode | ValidationOptions): void;
+  /** shared by every hook on this client; `null` when turned off */
+  rateLimiter: RateLimiter | null;
+  setRateLimit(rateLimit?: RateLimitOptions | RateLimiter | false): void;
   getToken(): string | null | undefined;
   setToken(token: string | null): void;
-  request(path: string, options?: { method?: string; body?: any; auth?: boolean }): Promise<any>;
+  getSession(): string | null | undefined;
+  setSession(session: string | null): void;
+  subscribe(listener: (event: ClientEvent) => void): () => void;
+  refreshSession(): Promise<string | null>;
+  expireSession(): void;
+  use(middleware: Middleware): () => void;
+  request(path: string, options?: RequestOptions): Promise<any>;
   requestCached(key: string, fn: () => Promise<any>, ttlMs?: number): Promise<any>;
 
-  login(login: string, password: string): Promise<AuthResponse | ErrorResponse>;
-  register(login: string, email: string, password: string): Promise<RegisterResponse | ErrorResponse>;
+  login(login: string, password: string, options?: RequestOptions): Promise<AuthResponse | ErrorResponse>;
+  register(login: string, email: string, password: string, options?: RequestOptions): Promise<RegisterResponse | ErrorResponse>;
+
+  getProfile(options?: RequestOptions): Promise<UserProfile | ErrorResponse>;
+  /** mutations resolve with a `QueuedResult` when the offline queue parked them */
+  changePassword(password: string, options?: RequestOptions): Promise<{ status: string; message: string } | QueuedResult | ErrorResponse>;
+  setMemory(memory: string | number, options?: RequestOptions): Promise<{ status: string; message: string } | QueuedResult | ErrorResponse>;
+
+  generateKey(params: KeyParams, options?: RequestOptions): Promise<KeyGenerateResponse | QueuedResult | ErrorResponse>;
+  activateKey(key: string, options?: RequestOptions): Promise<KeyActivateResponse | QueuedResult | ErrorResponse>;
+  /** js-backend has no binding route of its own: `hwidPath` is required */
+  bindHwid(hwid: string, options: RequestOptions & { hwidPath: string }): Promise<{ status: string; message: string } | QueuedResult | ErrorResponse>;
+
+  getInfo(options?: RequestOptions): Promise<PublicInfo | ErrorResponse>;
+  getMarket(options?: RequestOptions): Promise<MarketResponse | ErrorResponse>;
+  getVersion(options?: RequestOptions): Promise<VersionResponse | ErrorResponse>;
+  health(options?: RequestOptions): Promise<any>;
+}
+
+export type QueryState<T = any> = {
+  data: T | undefined;
+  error: SexyGuardError | null;
+  updatedAt: number;
+  fetching: boolean;
+  stale: boolean;
+};
+
+export type QueryFetchOptions = {
+  staleTime?: number;
+  /** refetch fresh data too and replace a request in flight; its callers get the new result */
+  force?: boolean;
+  /** entry depends on the REST token */
+  auth?: boolean;
+  /** entry depends on the Supabase user */
+  supabase?: boolean;
+};
 
-  getProfile(): Promise<UserProfile | ErrorResponse>;
-  changePassword(password: string): Promise<{ status: string; message: string } | ErrorResponse>;
-  setMemory(memory: string | number): Promise<{ status: string; message: string } | ErrorResponse>;
+export type QueryMatcher = string | ((key: string, entry: any) => boolean);
 
-  generateKey(params: { plus_subday: number; value_of_activate: number; delete_time: string }): Promise<KeyGenerateResponse | ErrorResponse>;
-  activateKey(key: string): Promise<KeyActivateResponse | ErrorResponse>;
+export type DehydratedState = {
+  queries: { key: string; data: any; updatedAt: number; auth: boolean; supabase?: boolean }[];
+};
 
-  getInfo(): Promise<PublicInfo | ErrorResponse>;
-  getMarket(): Promise<MarketResponse | ErrorResponse>;
-  getVersion(): Promise<VersionResponse | ErrorResponse>;
-  health(): Promise<any>;
+export class QueryCache {
+  constructor(options?: { staleTime?: number; cacheTime?: number });
+  staleTime: number;
+  cacheTime: number;
+  getState<T = any>(key: string): QueryState<T>;
+  getQueryData<T = any>(key: string): T | undefined;
+  fetch<T = any>(key: string, fn: (ctx: { signal: AbortSignal }) => Promise<T>, options?: QueryFetchOptions): Promise<T>;
+  subscribe(key: string, listener: () => void, isEnabled?: () => boolean): () => void;
+  subscribeAll(listener: (key: string) => void): () => void;
+  setQueryData<T = any>(key: string, updater: T | ((prev: T | undefined) => T)): T;
+  invalidate(matcher?: QueryMatcher): void;
+  remove(matcher?: QueryMatcher): void;
+  refetchStale(): void;
+  clear(): void;
+  dehydrate(): DehydratedState;
+  hydrate(state?: DehydratedState): void;
 }
 
+export type RestQueryKey = 'profile' | 'market' | 'info' | 'version';
+
+export const restQueries: Record<RestQueryKey, {
+  fn: (client: SexyGuardClient, ctx: { signal: AbortSignal }) => Promise<any>;
+  auth: boolean;
+}>;
+
+export function prefetchQueries(client: SexyGuardClient, queryCache: QueryCache, keys?: RestQueryKey[]): Promise<void>;
+
 export type SupabaseProviderProps = {
   supabaseUrl?: string;
   supabaseKey?: string;
@@ -117,9 +540,113 @@ export type SupabaseProviderProps = {
   supabaseClient?: any;
 };
 
+export type PersistedQueryCache = {
+  buster: string;
+  savedAt: number;
+  /** hashed REST token and Supabase user id */
+  scope: { rest: string | null; supabase: string | null };
+  queries: DehydratedState['queries'];
+};
+
+export type CachePersister = {
+  /** may answer synchronously (restored data is then there on the first render) */
+  load: () => PersistedQueryCache | null | Promise<PersistedQueryCache | null>;
+  save: (snapshot: PersistedQueryCache) => void | Promise<void>;
+  remove: () => void | Promise<void>;
+};
+
+export type PersistCacheOptions = {
+  /** default: localStorage */
+  persister?: CachePersister;
+  /** change it to drop snapshots saved by an older app version */
+  buster?: string;
+  /** ms; older entries are not restored, default one day */
+  maxAge?: number;
+  throttleMs?: number;
+  filter?: (key: string) => boolean;
+};
+
+export function createCachePersister(options?: { type?: 'localStorage' | 'indexeddb' | 'memory'; key?: string }): CachePersister;
+export function hydratePersistedCache(
+  cache: QueryCache,
+  snapshot: PersistedQueryCache | null | undefined,
+  options?: { buster?: string; maxAge?: number; token?: string | null; userId?: string | null }
+): number;
+export function persistQueryCache(cache: QueryCache, persister: CachePersister, options: {
+  getScope: () => { token: string | null; userId: string | null };
+  buster?: string;
+  throttleMs?: number;
+  filter?: (key: string) => boolean;
+}): () => void;
+
+export type OfflineMutation = {
+  id: string;
+  /** replay order */
+  seq: number;
+  kind: 'rest' | 'supabase';
+  path?: string;
+  method?: string;
+  body?: any;
+  auth?: boolean;
+  schema?: string;
+  table?: string;
+  op?: 'insert' | 'update' | 'delete';
+  payload?: any;
+  match?: Record<string, any>;
+  status: 'pending' | 'failed';
+  attempts: number;
+  /** last replay failure */
+  error: { message: string; status: number | null } | null;
+  createdAt: number;
+};
+
+export type OfflineStore = {
+  getAll: () => Promise<OfflineMutation[]>;
+  put: (item: OfflineMutation) => Promise<void>;
+  delete: (id: string) => Promise<void>;
+  clear: () => Promise<void>;
+};
+
+export type OfflineConflictDecision = 'discard' | 'retry' | 'keep' | void;
+
+export type OfflineReplaySummary = { sent: number; failed: number; pending: number };
+
+export type OfflineOptions = {
+  store?: OfflineStore;
+  onConflict?: (item: OfflineMutation, error: SexyGuardError) => OfflineConflictDecision | Promise<OfflineConflictDecision>;
+  /** extra filter for REST mutations that failed with a network error */
+  shouldQueue?: (ctx: RequestContext) => boolean;
+};
+
+/** Result of a mutation that was parked in the offline queue. */
+export type QueuedResult = { status: 'queued' | 0; queued: true; offlineId: string };
+
+export function createOfflineStore(options?: { type?: 'indexeddb' | 'memory'; name?: string }): OfflineStore;
+export function sendOfflineMutation(item: OfflineMutation, targets: { client?: SexyGuardClient; supabase?: any }): Promise<any>;
+export function createOfflineMiddleware(queue: OfflineQueue, options?: { shouldQueue?: (ctx: RequestContext) => boolean }): Middleware;
+
+export class OfflineQueue {
+  constructor(options?: {
+    store?: OfflineStore;
+    send?: (item: OfflineMutation) => Promise<any>;
+    onConflict?: OfflineOptions['onConflict'];
+    onReplay?: (summary: OfflineReplaySummary) => void;
+  });
+  store: OfflineStore;
+  items: OfflineMutation[];
+  replaying: boolean;
+  ready: Promise<void>;
+  subscribe(listener: () => void): () => void;
+  getItems(): OfflineMutation[];
+  enqueue(mutation: Omit<OfflineMutation, 'id' | 'seq' | 'status' | 'attempts' | 'error' | 'createdAt'>): Promise<OfflineMutation>;
+  discard(id: string): Promise<void>;
+  retry(id?: string): Promise<OfflineReplaySummary>;
+  replay(): Promise<OfflineReplaySummary>;
+}
+
 export function createSupabaseClient(params: { supabaseUrl: string; supabaseKey: string; options?: any }): Promise<any>;
 
-export function SexyGuardProvider(props: {
+export type SexyGuardInstanceConfig = {
   baseUrl?: string;
   client?: SexyGuardClient;
   tokenStorageKey?: string;
@@ -128,54 +655,229 @@ export function SexyGuardProvider(props: {
   supabaseKey?: string;
   supabaseOptions?: any;
   supabaseClient?: any;
+  throwOnError?: boolean;
+  sessionTokenStorage?: TokenStorage;
+  refreshToken?: RefreshTokenFn;
+  /** `POST` endpoint taking `{ session }` for the default refresh; without it a 401 expires the session */
+  refreshPath?: string;
+  onSessionExpired?: () => void;
+  syncTabs?: boolean;
+  queryCache?: QueryCache;
+  staleTime?: number;
+  cacheTime?: number;
+  refetchOnWindowFocus?: boolean;
+  refetchOnReconnect?: boolean;
+  initialState?: DehydratedState;
+  credentials?: RequestCredentials;
+  roleHierarchy?: string[];
+  navigate?: (to: string) => void;
+  /** `supabase-to-rest`: Supabase access token is the REST token; `rest-to-supabase`: REST token authorizes Supabase */
+  authBridge?: AuthBridge;
+  /** queue mutations that fail with a network error and replay them on reconnect */
+  offline?: boolean | OfflineOptions;
+  /** keep the query cache across reloads */
+  persistCache?: boolean | PersistCacheOptions;
+  /** passed to the client; ignored when `client` is given */
+  fetch?: typeof fetch;
+  /** response checks of the client; ignored when `client` is given */
+  validation?: ValidationMode | ValidationOptions;
+  /** rate limits of the client; ignored when `client` is given */
+  rateLimit?: RateLimitOptions | RateLimiter | false;
+};
+
+export type InstanceOption = {
+  /** a name from the provider's `instances`; the active one by default */
+  instance?: string;
+};
+
+export function SexyGuardProvider(props: SexyGuardInstanceConfig & {
+  /**
+   * one client, token storage (`<tokenStorageKey>_<name>` by default), cache and Supabase project per name;
+   * the other props are defaults for every instance, except `client`, `queryCache`, `tokenStorage`,
+   * `sessionTokenStorage`, `initialState`, the Supabase props, `offline` and `persistCache`
+   */
+  instances?: Record<string, SexyGuardInstanceConfig>;
+  /** the first name by default */
+  defaultInstance?: string;
+  onInstanceChange?: (instance: string, prev: string) => void;
   children: React.ReactNode;
 }): JSX.Element;
 
-export function useSexyGuard(): {
+/** hooks inside use the instance `name` instead of the active one */
+export function SexyGuardInstance(props: { name: string; children: React.ReactNode }): JSX.Element;
+
+export function useSexyGuardInstance(): {
+  /** `null` without `instances` */
+  instance: string | null;
+  instances: string[];
+  /** switches without remounting; throws for unknown names */
+  setInstance: (name: string) => void;
+};
+
+export function useSexyGuard(instance?: string): {
+  instance: string | null;
   client: SexyGuardClient;
   token: string | null;
   setToken: (t: string | null) => void;
+  authStatus: AuthStatus;
+  queryCache: QueryCache;
+  roleHierarchy: string[];
+  navigate?: (to: string) => void;
+  authBridge?: AuthBridge;
   supabase: any;
+  supabaseUrl: string | null;
+  supabaseKey: string | null;
+  supabaseEnabled: boolean;
   supabaseReady: boolean;
   supabaseError: any;
+  /** from the provider's single `onAuthStateChange` subscription */
+  supabaseSession: any;
+  supabaseSessionKnown: boolean;
+  /** the shared `'profile'` cache entry */
+  profileState: QueryState;
+  offlineQueue: OfflineQueue | null;
 };
 
-export function useAuth(): {
+export function useAuth(options?: InstanceOption): {
   token: string | null;
+  status: AuthStatus;
   login: (login: string, password: string) => Promise<AuthResponse | ErrorResponse>;
   register: (login: string, email: string, password: string) => Promise<RegisterResponse | ErrorResponse>;
   logout: () => void;
 };
 
-export function useSupabaseAuth(autoLoad?: boolean): {
+export type SessionUser = {
+  id: string | number | null;
+  email: string | null;
+  nickname: string | null;
+  role: string | null;
+  profile: UserProfile | null;
+  supabaseUser: any;
+};
+
+export function useSession(options?: { order?: ('rest' | 'supabase')[] } & InstanceOption): {
+  user: SessionUser | null;
+  profile: UserProfile | null;
+  supabaseUser: any;
+  session: any;
+  token: string | null;
+  status: AuthStatus;
+  isAuthenticated: boolean;
+  loading: boolean;
+  error: SexyGuardError | null;
+  signIn: (credentials: { login?: string; email?: string; password: string }) => Promise<{
+    data: { rest?: AuthResponse; supabase?: any };
+    error: SexyGuardError | null;
+  }>;
+  signOut: () => Promise<{ error: SexyGuardError | null }>;
+};
+
+export function useSupabaseAuth(options?: boolean | ({ autoLoad?: boolean } & InstanceOption)): {
   supabase: any;
   supabaseReady: boolean;
   supabaseError: any;
   session: any;
   user: any;
   loading: boolean;
+  initialized: boolean;
   error: any;
+  /** last onAuthStateChange event */
+  lastEvent: SupabaseAuthEvent | null;
   refresh: () => Promise<any>;
   signIn: (email: string, password: string) => Promise<any>;
   signUp: (email: string, password: string, options?: any) => Promise<any>;
   signOut: () => Promise<any>;
+  signInWithOAuth: (provider: string, options?: {
+    redirectTo?: string;
+    scopes?: string;
+    queryParams?: Record<string, string>;
+    skipBrowserRedirect?: boolean;
+  }) => Promise<any>;
+  signInWithOtp: (params: { email?: string; phone?: string; options?: Record<string, any> }) => Promise<any>;
+  verifyOtp: (params: { email?: string; phone?: string; token?: string; token_hash?: string; type: string }) => Promise<any>;
+  resetPasswordForEmail: (email: string, options?: { redirectTo?: string; captchaToken?: string }) => Promise<any>;
+  updateUser: (attributes: { email?: string; phone?: string; password?: string; data?: Record<string, any> }, options?: { emailRedirectTo?: string }) => Promise<any>;
+};
+
+export type SupabaseAuthEvent =
+  | 'INITIAL_SESSION'
+  | 'SIGNED_IN'
+  | 'SIGNED_OUT'
+  | 'TOKEN_REFRESHED'
+  | 'USER_UPDATED'
+  | 'PASSWORD_RECOVERY'
+  | 'MFA_CHALLENGE_VERIFIED';
+
+export function useAuthCallback(options?: {
+  onSuccess?: (session: any) => void;
+  onError?: (error: any) => void;
+  cleanUrl?: boolean;
+  enabled?: boolean;
+} & InstanceOption): { loading: boolean; session: any; error: any };
+
+export type TableFilterOp =
+  | 'eq' | 'neq' | 'gt' | 'gte' | 'lt' | 'lte' | 'is' | 'in'
+  | 'like' | 'ilike' | 'likeAllOf' | 'likeAnyOf' | 'ilikeAllOf' | 'ilikeAnyOf'
+  | 'contains' | 'containedBy' | 'overlaps'
+  | 'rangeGt' | 'rangeGte' | 'rangeLt' | 'rangeLte' | 'rangeAdjacent'
+  | 'textSearch' | 'match' | 'not' | 'or' | 'filter';
+
+export type TableFilter = {
+  op: TableFilterOp;
+  column?: string;
+  value?: any;
+  /** for `not` / `filter` */
+  operator?: string;
+  /** e.g. `{ referencedTable }` for `or`, `{ type, config }` for `textSearch` */
+  options?: Record<string, any>;
 };
 
-export function useSupabaseTable(table: string, options?: {
+export type TableOrder = {
+  column: string;
+  ascending?: boolean;
+  nullsFirst?: boolean;
+};
+
+export type SupabaseTableOptions = {
   select?: string;
   autoLoad?: boolean;
-  filters?: { op: string; column: string; value: any }[];
+  filters?: TableFilter[];
+  /** read on every load; changing it alone does not reload, list what it uses in `deps` */
   query?: (builder: any) => any;
+  /** reload when these change, like a `useEffect` dependency list */
+  deps?: readonly unknown[];
   schema?: string;
   single?: boolean;
-}): {
+  primaryKey?: string;
+  orderBy?: string | TableOrder | (string | TableOrder)[];
+  search?: string;
+  searchColumn?: string;
+  searchType?: 'plain' | 'phrase' | 'websearch';
+  searchConfig?: string;
+  count?: 'exact' | 'planned' | 'estimated';
+  pageSize?: number;
+  pagination?: 'offset' | 'cursor';
+  /** apply postgres_changes to `data`; `filter` is the server-side realtime filter, e.g. `status=eq.paid` */
+  realtime?: boolean | { event?: 'INSERT' | 'UPDATE' | 'DELETE' | '*'; filter?: string };
+  instance?: string;
+};
+
+export function useSupabaseTable(table: string, options?: SupabaseTableOptions): {
   data: any;
   loading: boolean;
+  loadingMore: boolean;
   error: any;
+  count: number | null;
+  page: number;
+  hasMore: boolean;
   refresh: () => Promise<any>;
-  insert: (payload: any) => Promise<any>;
-  update: (payload: any, match?: Record<string, any>) => Promise<any>;
-  remove: (match?: Record<string, any>) => Promise<any>;
+  loadMore: () => Promise<any>;
+  /** offset pagination only */
+  setPage: (page: number) => Promise<any>;
+  insert: (payload: any, options?: { optimistic?: boolean }) => Promise<any>;
+  update: (payload: any, match?: Record<string, any>, options?: { optimistic?: boolean }) => Promise<any>;
+  remove: (match?: Record<string, any>, options?: { optimistic?: boolean }) => Promise<any>;
+  setData: React.Dispatch<React.SetStateAction<any>>;
 };
 
 export function useSupabaseRealtime(table: string, options?: {
@@ -184,34 +886,452 @@ export function useSupabaseRealtime(table: string, options?: {
   filter?: string;
   enabled?: boolean;
   onEvent?: (payload: any) => void;
-}): void;
+  onStatus?: (status: ChannelStatus, err?: Error) => void;
+} & InstanceOption): void;
+
+export type ChannelStatus = 'SUBSCRIBED' | 'CHANNEL_ERROR' | 'TIMED_OUT' | 'CLOSED';
+
+export type PresenceUser<T = Record<string, any>> = T & {
+  key: string;
+  /** one entry per connection (tab) of this key */
+  metas: (T & { presence_ref: string })[];
+};
+
+export function usePresence<T extends Record<string, any> = Record<string, any>>(channel: string, options?: {
+  key?: string;
+  state?: T;
+  enabled?: boolean;
+  onJoin?: (payload: { key: string; newPresences: any[]; currentPresences: any[] }) => void;
+  onLeave?: (payload: { key: string; leftPresences: any[]; currentPresences: any[] }) => void;
+} & InstanceOption): {
+  users: PresenceUser<T>[];
+  presenceState: Record<string, (T & { presence_ref: string })[]>;
+  status: ChannelStatus;
+  track: (state: T) => Promise<string>;
+  untrack: () => Promise<string>;
+};
+
+export function useBroadcast<T = any>(channel: string, event: string, options?: {
+  enabled?: boolean;
+  self?: boolean;
+  ack?: boolean;
+  limit?: number;
+  onMessage?: (payload: T, message: any) => void;
+} & InstanceOption): {
+  messages: T[];
+  send: (payload: T) => Promise<'ok' | 'timed out' | 'error'>;
+  status: ChannelStatus;
+  clear: () => void;
+};
 
-export function useProfile(autoLoad?: boolean): {
-  profile: UserProfile | ErrorResponse | null;
+export function useQuery<T = any>(
+  key: string | null,
+  fn: (ctx: { signal: AbortSignal }) => Promise<T>,
+  options?: { enabled?: boolean; staleTime?: number; auth?: boolean; supabase?: boolean } & InstanceOption
+): {
+  data: T | undefined;
+  error: SexyGuardError | null;
   loading: boolean;
-  error: any;
-  refresh: () => Promise<UserProfile | ErrorResponse | null>;
-  changePassword: (password: string) => Promise<{ status: string; message: string } | ErrorResponse>;
-  setMemory: (memory: string | number) => Promise<{ status: string; message: string } | ErrorResponse>;
+  fetching: boolean;
+  stale: boolean;
+  updatedAt: number;
+  rateLimit: RateLimitInfo | null;
+  refresh: () => Promise<T | null>;
 };
 
-export function useMarket(autoLoad?: boolean): {
-  items: MarketItem[];
+/** `queued`: the offline queue parked the write, callbacks other than `onMutate` did not run */
+export type MutationStatus = 'idle' | 'loading' | 'success' | 'queued' | 'error';
+
+export type MutationOptions<TData, TVariables, TContext = any> = {
+  onMutate?: (variables: TVariables) => TContext | Promise<TContext>;
+  onSuccess?: (data: TData, variables: TVariables, context: TContext | undefined) => any;
+  onError?: (error: SexyGuardError, variables: TVariables, context: TContext | undefined) => any;
+  onSettled?: (data: TData | undefined, error: SexyGuardError | null, variables: TVariables, context: TContext | undefined) => any;
+  optimistic?:
+    | { key: string; update: (prev: any, variables: TVariables) => any }
+    | ((variables: TVariables) => (() => void) | void);
+};
+
+export function useMutation<TData = any, TVariables = any, TContext = any>(
+  fn: (variables: TVariables) => Promise<TData>,
+  options?: MutationOptions<TData, TVariables, TContext> & InstanceOption
+): {
+  status: MutationStatus;
+  data: TData | undefined;
+  error: SexyGuardError | null;
   loading: boolean;
-  error: any;
-  refresh: () => Promise<MarketResponse | ErrorResponse>;
+  rateLimit: RateLimitInfo | null;
+  mutate: (variables: TVariables) => Promise<TData | undefined>;
+  mutateAsync: (variables: TVariables) => Promise<TData>;
+  reset: () => void;
 };
 
-export function useStats(autoLoad?: boolean): {
-  info: PublicInfo | ErrorResponse | null;
+/** live state of one route (`'POST /api/v1/keys/generate'`); `retryAfterMs` counts down every `tickMs` */
+export function useRateLimit(route: string, options?: { tickMs?: number } & InstanceOption): RateLimitInfo;
+
+export function useOfflineQueue(options?: InstanceOption): {
+  enabled: boolean;
+  online: boolean;
+  items: OfflineMutation[];
+  pending: number;
+  failed: number;
+  replaying: boolean;
+  replay: () => Promise<OfflineReplaySummary | null>;
+  retry: (id?: string) => Promise<OfflineReplaySummary | null>;
+  discard: (id: string) => Promise<void>;
+};
+
+export function useProfile(options?: boolean | ({ autoLoad?: boolean } & InstanceOption)): {
+  profile: UserProfile | null;
   loading: boolean;
-  error: any;
-  refresh: () => Promise<PublicInfo | ErrorResponse | null>;
+  error: SexyGuardError | null;
+  rateLimit: RateLimitInfo | null;
+  /** a write of this hook waits in the offline queue */
+  queued: boolean;
+  refresh: () => Promise<UserProfile | null>;
+  changePassword: (password: string) => Promise<{ status: string; message: string } | QueuedResult | ErrorResponse>;
+  setMemory: (memory: string | number) => Promise<{ status: string; message: string } | QueuedResult | ErrorResponse>;
+};
+
+export type PriceFormat = {
+  /** ISO 4217; without one prices are formatted as plain numbers. A `currency` on the item wins */
+  currency?: string;
+  locale?: string;
+};
+
+export type MarketProduct = MarketItem & {
+  discountPercent: number;
+  /** old price above the current one */
+  onSale: boolean;
+  formattedPrice: string;
+  formattedOldPrice: string | null;
+};
+
+export type MarketSort = 'price-asc' | 'price-desc' | 'discount' | 'name' | ((a: MarketProduct, b: MarketProduct) => number);
+
+export type MarketQuery = {
+  filter?: (item: MarketProduct) => boolean;
+  sortBy?: MarketSort;
+  /** case-insensitive, in `productName` */
+  search?: string;
+  /** inclusive */
+  priceRange?: { min?: number | null; max?: number | null };
+};
+
+export type UseMarketOptions = MarketQuery & PriceFormat & InstanceOption & {
+  /** `false` only reads the cache */
+  autoLoad?: boolean;
+};
+
+export function formatPrice(value: number | null | undefined, format?: PriceFormat): string;
+export function decorateMarketItem(item: MarketItem & { currency?: string }, format?: PriceFormat): MarketProduct;
+export function queryMarket(items: MarketProduct[], query?: MarketQuery): MarketProduct[];
+
+export function useMarket(options?: boolean | UseMarketOptions): {
+  /** filtered and sorted */
+  items: MarketProduct[];
+  allItems: MarketProduct[];
+  loading: boolean;
+  error: SexyGuardError | null;
+  rateLimit: RateLimitInfo | null;
+  refresh: () => Promise<MarketResponse | null>;
+  formatPrice: (value: number | null | undefined) => string;
+};
+
+export type CartLine = {
+  productId: number;
+  quantity: number;
+  /** snapshot taken when the product was added */
+  item: MarketItem;
+};
+
+export type CartStore = {
+  getLines: () => CartLine[];
+  subscribe: (listener: (lines: CartLine[]) => void) => () => void;
+  add: (item: MarketItem, quantity?: number) => void;
+  /** 0 or less removes the line */
+  setQuantity: (productId: number, quantity: number) => void;
+  remove: (productId: number) => void;
+  clear: () => void;
+};
+
+export function createCartStore(options?: { storage?: TokenStorage }): CartStore;
+
+export type ResolvedCartLine = {
+  productId: number;
+  quantity: number;
+  /** current market data when loaded, the snapshot otherwise */
+  item: MarketProduct;
+  lineTotal: number;
+  formattedLineTotal: string;
+};
+
+export type CartCheckout = {
+  lines: ResolvedCartLine[];
+  count: number;
+  total: number;
+  client: SexyGuardClient;
+};
+
+export type UseCartOptions = PriceFormat & InstanceOption & {
+  /** e.g. `createTokenStorage({ type: 'cookie', key: 'cart' })` */
+  storage?: TokenStorage;
+  /** localStorage key when `storage` is not given; `sexyguard_cart`, or `sexyguard_cart_<instance>` under `instances` */
+  key?: string;
+  /** purchase / activation; a result without `error` empties the cart */
+  onCheckout?: (cart: CartCheckout, extra?: any) => Promise<any>;
+  clearOnCheckout?: boolean;
+};
+
+export function useCart(options?: UseCartOptions): {
+  lines: ResolvedCartLine[];
+  count: number;
+  total: number;
+  savings: number;
+  formattedTotal: string;
+  formattedSavings: string;
+  add: (item: MarketItem, quantity?: number) => void;
+  remove: (productId: number) => void;
+  setQuantity: (productId: number, quantity: number) => void;
+  clear: () => void;
+  has: (productId: number) => boolean;
+  checkout: (extra?: any) => Promise<any>;
+  checkingOut: boolean;
+  checkoutError: SexyGuardError | null;
+};
+
+export function useStats(options?: boolean | ({ autoLoad?: boolean } & InstanceOption)): {
+  info: PublicInfo | null;
+  loading: boolean;
+  error: SexyGuardError | null;
+  rateLimit: RateLimitInfo | null;
+  refresh: () => Promise<PublicInfo | null>;
 };
 
-export function useVersion(autoLoad?: boolean): {
+export function useVersion(options?: boolean | ({ autoLoad?: boolean } & InstanceOption)): {
   version: string | null;
   loading: boolean;
+  error: SexyGuardError | null;
+  rateLimit: RateLimitInfo | null;
+  refresh: () => Promise<VersionResponse | null>;
+};
+
+/** js-backend versions this SDK build is written against */
+export const SUPPORTED_BACKEND_VERSIONS: string;
+
+export type ParsedVersion = {
+  major: number;
+  minor: number;
+  patch: number;
+  prerelease: string;
+  /** numeric parts given; `1.x` has 1 */
+  parts: number;
+};
+
+export function parseVersion(version: string | null | undefined): ParsedVersion | null;
+/** npm-style ranges: `^1.2`, `~1.2.3`, `>=1.0.0 <2`, `1.x`, `||` */
+export function satisfiesVersion(version: string, range: string): boolean;
+
+export type BackendStatus = {
+  /** down: no response; degraded: error status, unhealthy body or slow */
+  status: 'unknown' | 'online' | 'degraded' | 'down';
+  latencyMs: number | null;
+  checkedAt: number | null;
+  error: SexyGuardError | null;
+  /** checks in a row that were not online */
+  failures: number;
+  version: string | null;
+  /** `null` until the version is known */
+  compatible: boolean | null;
+  versionRange: string | null;
+  /** the tab is hidden */
+  paused: boolean;
+};
+
+export type HealthMonitorOptions = {
+  /** between checks while online, 30000 by default */
+  intervalMs?: number;
+  /** a slower `/health` counts as down */
+  timeoutMs?: number;
+  /** a slower answer counts as degraded */
+  degradedLatencyMs?: number;
+  /** first retry after a failed check; doubles up to `maxBackoffMs` */
+  retryMs?: number;
+  maxBackoffMs?: number;
+  /** `SUPPORTED_BACKEND_VERSIONS` by default; `null` skips the version check */
+  versionRange?: string | null;
+  onChange?: (state: BackendStatus, prev: BackendStatus) => void;
+  /** once per backend version */
+  onIncompatible?: (info: { version: string; range: string }) => void;
+};
+
+export class HealthMonitor {
+  constructor(client: SexyGuardClient, options?: HealthMonitorOptions);
+  client: SexyGuardClient;
+  running: boolean;
+  subscribe(listener: () => void): () => void;
+  getState(): BackendStatus;
+  start(): void;
+  stop(): void;
+  check(): Promise<BackendStatus>;
+  checkVersion(): Promise<boolean | null>;
+}
+
+export type UseBackendStatusOptions = HealthMonitorOptions & InstanceOption & { enabled?: boolean };
+
+export function useBackendStatus(options?: UseBackendStatusOptions): BackendStatus & {
+  check: () => Promise<BackendStatus>;
+};
+
+export function BackendStatusBanner(props: UseBackendStatusOptions & {
+  /** from `useBackendStatus()`; the banner polls on its own when omitted */
+  status?: ReturnType<typeof useBackendStatus> | null;
+  messages?: Partial<Record<'degraded' | 'down' | 'incompatible' | 'online' | 'retry', React.ReactNode>>;
+  className?: string;
+  style?: React.CSSProperties;
+  showWhenOnline?: boolean;
+  fallback?: React.ReactNode;
+}): JSX.Element | null;
+
+export function useKeys(options?: { concurrency?: number } & InstanceOption): {
+  loading: boolean;
+  error: SexyGuardError | null;
+  rateLimit: RateLimitInfo | null;
+  /** a write of this hook waits in the offline queue; such results do not set `lastKey` or refresh the profile */
+  queued: boolean;
+  lastKey: string | null;
+  batch: KeyBatchResult[];
+  progress: { done: number; total: number };
+  generate: (params: KeyParams) => Promise<KeyGenerateResponse | QueuedResult | ErrorResponse>;
+  generateBatch: (count: number, params: KeyParams, options?: { concurrency?: number }) => Promise<KeyBatchResult[]>;
+  activate: (key: string) => Promise<KeyActivateResponse | QueuedResult | ErrorResponse>;
+  exportCsv: () => string;
+  exportText: () => string;
+};
+
+export type UseLicenseOptions = InstanceOption & {
+  /** id of this device; `getBrowserFingerprint` by default */
+  fingerprint?: () => Promise<string | null> | string | null;
+  /** submits the binding */
+  bind?: (hwid: string, ctx: { client: SexyGuardClient }) => Promise<any>;
+  /** binding route for `client.bindHwid` when there is no `bind` */
+  hwidPath?: string;
+  /** bind an active, unbound license to this device once per profile */
+  autoBind?: boolean;
+  /** `expiringSoon` threshold, 3 days by default */
+  warnBeforeMs?: number;
+  /** recompute `remainingMs` / `countdown` this often; by default only at the `warnBeforeMs` threshold and at expiry, 0 stops the clock */
+  tickMs?: number;
+  /** once per `till` */
+  onExpiringSoon?: (license: LicenseStatus) => void;
+  /** an active subscription ran out while mounted */
+  onExpire?: (license: LicenseStatus) => void;
+  onDeviceMismatch?: (license: LicenseStatus) => void;
+};
+
+export function useLicense(options?: UseLicenseOptions): LicenseStatus & {
+  countdown: { days: number; hours: number; minutes: number; seconds: number };
+  fingerprint: string | null;
+  checkingDevice: boolean;
+  profile: UserProfile | null;
+  loading: boolean;
+  error: SexyGuardError | null;
+  refresh: () => Promise<UserProfile | null>;
+  bind: () => Promise<any>;
+  binding: boolean;
+  activate: (key: string) => Promise<KeyActivateResponse | QueuedResult | ErrorResponse>;
+  activating: boolean;
+  actionError: SexyGuardError | null;
+  /** `bind` or `activate` waits in the offline queue; the profile is refreshed once it is sent */
+  queued: boolean;
+};
+
+export function usePermissions(options?: { roleHierarchy?: string[] } & InstanceOption): {
+  isAuthenticated: boolean;
+  role: string | null;
+  loading: boolean;
+  hasRole: (role: string) => boolean;
+  hasAnyRole: (roles: string[]) => boolean;
+  subscription: SubscriptionStatus;
+  profile: UserProfile | null;
+  session: any;
+};
+
+export type GuardProps = InstanceOption & {
+  children?: React.ReactNode;
+  fallback?: React.ReactNode;
+  loadingFallback?: React.ReactNode;
+  redirectTo?: string;
+  navigate?: (to: string) => void;
+};
+
+export function RequireAuth(props: GuardProps): JSX.Element | null;
+export function RequireRole(props: GuardProps & { roles: string | string[]; roleHierarchy?: string[] }): JSX.Element | null;
+export function RequireSubscription(props: GuardProps): JSX.Element | null;
+
+export function useSupabaseStorage(bucket: string, options?: InstanceOption): {
+  uploading: boolean;
+  progress: { loaded: number; total: number } | null;
   error: any;
-  refresh: () => Promise<VersionResponse | ErrorResponse | null>;
+  upload: (path: string, file: Blob | ArrayBuffer, options?: Omit<StorageUploadOptions, 'accessToken'>) => Promise<StorageUploadResult>;
+  cancel: () => void;
+  download: (path: string, options?: { transform?: Record<string, any> }) => Promise<{ data: Blob | null; error: any }>;
+  list: (prefix?: string, options?: {
+    limit?: number;
+    offset?: number;
+    page?: number;
+    sortBy?: { column: string; order: 'asc' | 'desc' };
+    search?: string;
+  }) => Promise<{ data: any[] | null; error: any; hasMore: boolean }>;
+  remove: (paths: string | string[]) => Promise<{ data: any; error: any }>;
+  move: (from: string, to: string) => Promise<{ data: any; error: any }>;
+  getSignedUrl: (path: string, expiresIn?: number, options?: Omit<SignedUrlOptions, 'expiresIn'>) => Promise<{ data: { signedUrl: string } | null; error: any }>;
+  getPublicUrl: (path: string, options?: Omit<SignedUrlOptions, 'expiresIn'>) => string | null;
+};
+
+export function SupabaseImage(props: Omit<React.ImgHTMLAttributes<HTMLImageElement>, 'src'> & InstanceOption & {
+  bucket: string;
+  path: string | null | undefined;
+  signed?: boolean;
+  expiresIn?: number;
+  transform?: Record<string, any>;
+  fallback?: React.ReactNode;
+}): JSX.Element | null;
+
+export function useSupabaseRpc<T = any>(fnName: string, args?: Record<string, any>, options?: {
+  autoLoad?: boolean;
+  schema?: string;
+  staleTime?: number;
+  get?: boolean;
+} & InstanceOption): {
+  data: T | null;
+  loading: boolean;
+  fetching: boolean;
+  error: SexyGuardError | null;
+  refresh: () => Promise<T | null>;
+};
+
+export function useEdgeFunction<T = any, TChunk = any>(name: string, options?: {
+  body?: any;
+  autoLoad?: boolean;
+  staleTime?: number;
+  method?: 'POST' | 'GET' | 'PUT' | 'PATCH' | 'DELETE';
+  headers?: Record<string, string>;
+  format?: StreamFormat;
+} & InstanceOption): {
+  data: T | null;
+  loading: boolean;
+  fetching: boolean;
+  error: SexyGuardError | null;
+  refresh: () => Promise<T | null>;
+  /** runs the function on every call; `cache: true` for read-style functions shares in-flight calls */
+  invoke: (body?: any, options?: { cache?: boolean; force?: boolean }) => Promise<{ data: T | null; error: SexyGuardError | null }>;
+  chunks: TChunk[];
+  streaming: boolean;
+  stream: (body?: any, options?: {
+    onChunk?: (chunk: TChunk, meta: StreamChunkMeta) => void;
+    format?: StreamFormat;
+    signal?: AbortSignal;
+  }) => Promise<{ data: TChunk[] | null; error: SexyGuardError | null }>;
+  cancel: () => void;
 };
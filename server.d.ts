@@ -0,0 +1,45 @@
+import {
+  SexyGuardClient,
+  SexyGuardClientOptions,
+  QueryCache,
+  CookieOptions,
+  DehydratedState,
+  RestQueryKey,
+  TokenStorage
+} from './index';
+
+export {
+  SexyGuardClient,
+  QueryCache,
+  parseCookies,
+  serializeCookie,
+  prefetchQueries,
+  restQueries,
+  getSubscriptionStatus,
+  roleSatisfies
+} from './index';
+
+export type ServerCookieStorage = TokenStorage & {
+  getSetCookieHeaders: () => string[];
+};
+
+export function createServerCookieStorage(options?: {
+  key?: string;
+  cookieHeader?: string;
+  cookie?: CookieOptions;
+}): ServerCookieStorage;
+
+export type ServerClientOptions = Omit<SexyGuardClientOptions, 'tokenStorage' | 'sessionTokenStorage' | 'getToken' | 'setToken'> & {
+  cookieHeader?: string;
+  cookie?: CookieOptions;
+};
+
+export function createServerClient(options?: ServerClientOptions): {
+  client: SexyGuardClient;
+  queryCache: QueryCache;
+  prefetch: (keys?: RestQueryKey[]) => Promise<void>;
+  dehydrate: () => DehydratedState;
+  getSetCookieHeaders: () => string[];
+};
+
+export function dehydrate(queryCache: QueryCache): DehydratedState;
@@ -0,0 +1,3464 @@
+/* SexyGuard SDK core: REST client, query cache, errors, storage. No React, safe on the server. */
+
+/**
+ * @typedef {Object} UserProfile
+ * @property {string} nickname
+ * @property {string} email
+ * @property {string} role
+ * @property {number} uid
+ * @property {string|null} hwid
+ * @property {number|null} till
+ * @property {string|null} ram
+ */
+
+/**
+ * @typedef {Object} MarketItem
+ * @property {number} productId
+ * @property {string} productName
+ * @property {number} productPrice
+ * @property {number|null} productOldPrice
+ * @property {string|null} productDir
+ */
+
+/**
+ * @typedef {Object} PublicInfo
+ * @property {number} totalUsers
+ */
+
+/**
+ * @typedef {Object} AuthResponse
+ * @property {string} status
+ * @property {string} token
+ * @property {string} session
+ * @property {string} email
+ * @property {string} role
+ */
+
+/**
+ * @typedef {Object} RegisterResponse
+ * @property {string} status
+ */
+
+/**
+ * @typedef {Object} KeyGenerateResponse
+ * @property {boolean} status
+ * @property {string} key
+ */
+
+/**
+ * @typedef {Object} KeyActivateResponse
+ * @property {string} status
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} VersionResponse
+ * @property {string} version
+ */
+
+/**
+ * @typedef {Object} MarketResponse
+ * @property {MarketItem[]} items
+ */
+
+/**
+ * @typedef {Object} ErrorResponse
+ * @property {string} error
+ * @property {number} [status]
+ * @property {RateLimitInfo} [rateLimit] on 429 and on requests the rate limiter held back
+ */
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} [retries]
+ * @property {number} [minDelayMs]
+ * @property {number} [maxDelayMs]
+ * @property {number} [factor]
+ * @property {boolean} [jitter]
+ * @property {string[]} [methods]
+ * @property {(ctx: RequestContext & {status: number|null, error: any}) => boolean} [retryOn]
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {string} [method]
+ * @property {any} [body]
+ * @property {boolean} [auth]
+ * @property {Record<string, string>} [headers]
+ * @property {AbortSignal} [signal]
+ * @property {number} [timeoutMs]
+ * @property {boolean|number|RetryPolicy} [retry]
+ * @property {boolean} [skipRefresh] do not try to refresh the token on 401
+ * @property {boolean} [queue] `false` keeps the request out of the offline queue
+ * @property {Schema|false} [schema] response schema for this call instead of the endpoint's; `false` skips the check
+ */
+
+/**
+ * @typedef {Object} RefreshResult
+ * @property {string} token
+ * @property {string|null} [session]
+ */
+
+/**
+ * @typedef {Object} ClientEvent
+ * @property {'refreshing'|'refreshed'|'expired'} type
+ * @property {string} [token]
+ */
+
+/**
+ * @typedef {Object} RequestContext
+ * @property {string} path
+ * @property {string} url
+ * @property {string} method
+ * @property {Record<string, string>} headers
+ * @property {any} body
+ * @property {boolean} auth
+ * @property {number} attempt
+ * @property {AbortSignal|undefined} signal
+ * @property {boolean} queue
+ * @property {Response} [response]
+ */
+
+/**
+ * @typedef {Object} Middleware
+ * @property {(ctx: RequestContext) => RequestContext|void|Promise<RequestContext|void>} [onRequest]
+ * @property {(result: any, ctx: RequestContext) => any} [onResponse]
+ * @property {(error: any, ctx: RequestContext) => any} [onError]
+ */
+
+/**
+ * Typed SDK error.
+ */
+export class SexyGuardError extends Error {
+  /**
+   * @param {string} message
+   * @param {number|null} [status]
+   * @param {any} [data]
+   * @param {{path?: string|null, method?: string|null}} [request]
+   */
+  constructor(message, status = null, data = null, { path = null, method = null } = {}) {
+    super(message);
+    this.name = 'SexyGuardError';
+    this.status = status;
+    this.data = data;
+    this.path = path;
+    this.method = method;
+  }
+}
+
+/** Request never reached the backend (DNS, CORS, offline). */
+export class SexyGuardNetworkError extends SexyGuardError {
+  constructor(message, status, data, request) {
+    super(message, status, data, request);
+    this.name = 'SexyGuardNetworkError';
+  }
+}
+
+/** Request exceeded `timeoutMs`. */
+export class SexyGuardTimeoutError extends SexyGuardError {
+  constructor(message, status, data, request) {
+    super(message, status, data, request);
+    this.name = 'SexyGuardTimeoutError';
+  }
+}
+
+/** HTTP 401. */
+export class SexyGuardUnauthorizedError extends SexyGuardError {
+  constructor(message, status, data, request) {
+    super(message, status, data, request);
+    this.name = 'SexyGuardUnauthorizedError';
+  }
+}
+
+/** HTTP 403. */
+export class SexyGuardForbiddenError extends SexyGuardError {
+  constructor(message, status, data, request) {
+    super(message, status, data, request);
+    this.name = 'SexyGuardForbiddenError';
+  }
+}
+
+/** HTTP 400 / 422. */
+export class SexyGuardValidationError extends SexyGuardError {
+  constructor(message, status, data, request) {
+    super(message, status, data, request);
+    this.name = 'SexyGuardValidationError';
+  }
+}
+
+/** HTTP 429, or a request the client-side rate limiter did not send. */
+export class SexyGuardRateLimitError extends SexyGuardError {
+  constructor(message, status, data, request) {
+    super(message, status, data, request);
+    this.name = 'SexyGuardRateLimitError';
+    /** @type {RateLimitInfo|null} */
+    this.rateLimit = data?.rateLimit || null;
+  }
+}
+
+/** HTTP 5xx. */
+export class SexyGuardServerError extends SexyGuardError {
+  constructor(message, status, data, request) {
+    super(message, status, data, request);
+    this.name = 'SexyGuardServerError';
+  }
+}
+
+/** Response body does not match its schema (see `validation` on the client). */
+export class SexyGuardSchemaError extends SexyGuardError {
+  constructor(message, status, data, request) {
+    super(message, status, data, request);
+    this.name = 'SexyGuardSchemaError';
+    /** @type {SchemaIssue[]} */
+    this.issues = data?.issues || [];
+  }
+}
+
+/**
+ * Pick the SexyGuardError subclass for an HTTP status.
+ * @param {number} status
+ * @param {any} [data] response body
+ * @param {{path?: string|null, method?: string|null}} [request]
+ * @returns {SexyGuardError}
+ */
+export function createHttpError(status, data = null, request = {}) {
+  const message = data?.error || data?.message || `Request failed with status ${status}`;
+  if (status === 401) return new SexyGuardUnauthorizedError(message, status, data, request);
+  if (status === 403) return new SexyGuardForbiddenError(message, status, data, request);
+  if (status === 400 || status === 422) return new SexyGuardValidationError(message, status, data, request);
+  if (status === 429) return new SexyGuardRateLimitError(message, status, data, request);
+  if (status >= 500) return new SexyGuardServerError(message, status, data, request);
+  return new SexyGuardError(message, status, data, request);
+}
+
+/**
+ * Normalize any error shape into SexyGuardError.
+ * @param {any} err
+ * @returns {SexyGuardError}
+ */
+export function normalizeError(err) {
+  if (!err) return new SexyGuardError('Unknown error');
+  if (err instanceof SexyGuardError) return err;
+  if (typeof err === 'string') return new SexyGuardError(err);
+  if (err?.error && err.issues && 'received' in err) return new SexyGuardSchemaError(err.error, err.status || null, err);
+  if (err?.error && err.issues) return new SexyGuardValidationError(err.error, err.status || null, err);
+  if (err?.error && err.rateLimit) return new SexyGuardRateLimitError(err.error, err.status || null, err);
+  if (err?.error && err.status) return createHttpError(err.status, err);
+  if (err?.error) return new SexyGuardError(err.error, null, err);
+  if (err instanceof TypeError) return new SexyGuardNetworkError(err.message, null, err);
+  if (err?.message) return new SexyGuardError(err.message, err.status || null, err);
+  return new SexyGuardError('Unknown error');
+}
+
+/**
+ * @typedef {Object} CookieOptions
+ * @property {string} [path]
+ * @property {string} [domain]
+ * @property {number} [maxAge] seconds
+ * @property {Date} [expires]
+ * @property {boolean} [secure]
+ * @property {'Strict'|'Lax'|'None'} [sameSite]
+ * @property {boolean} [httpOnly] server only; browsers ignore it in `document.cookie`
+ */
+
+/**
+ * Parse a `Cookie` header (or `document.cookie`).
+ * @param {string} [header]
+ * @returns {Record<string, string>}
+ */
+export function parseCookies(header = '') {
+  const cookies = {};
+  String(header || '').split(';').forEach((part) => {
+    const eq = part.indexOf('=');
+    if (eq < 0) return;
+    const name = part.slice(0, eq).trim();
+    if (!name || name in cookies) return;
+    const raw = part.slice(eq + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(raw);
+    } catch {
+      cookies[name] = raw;
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Build a cookie string for `document.cookie` or a `Set-Cookie` header.
+ * @param {string} name
+ * @param {string|null} value
+ * @param {CookieOptions} [opts]
+ * @returns {string}
+ */
+export function serializeCookie(name, value, opts = {}) {
+  let cookie = `${name}=${encodeURIComponent(value || '')}`;
+  if (opts.maxAge !== undefined && opts.maxAge !== null) cookie += `; Max-Age=${Math.floor(opts.maxAge)}`;
+  if (opts.expires) cookie += `; Expires=${opts.expires.toUTCString()}`;
+  if (opts.domain) cookie += `; Domain=${opts.domain}`;
+  cookie += `; Path=${opts.path || '/'}`;
+  if (opts.sameSite) cookie += `; SameSite=${opts.sameSite}`;
+  if (opts.secure) cookie += '; Secure';
+  if (opts.httpOnly) cookie += '; HttpOnly';
+  return cookie;
+}
+
+/**
+ * Create token storage (localStorage / cookie / memory).
+ * `subscribe` reports changes made in other tabs: `storage` events for localStorage,
+ * BroadcastChannel for cookie (and memory, with `broadcast: true`). The channel stays open
+ * only while someone is subscribed.
+ * @param {Object} [opts]
+ * @param {'localStorage'|'cookie'|'memory'} [opts.type]
+ * @param {string} [opts.key]
+ * @param {CookieOptions} [opts.cookie]
+ * @param {boolean} [opts.broadcast] post changes to other tabs; on for cookie, off for memory
+ * @returns {{get: Function, set: Function, clear: Function, subscribe: Function}}
+ */
+export function createTokenStorage({
+  type = 'localStorage',
+  key = 'sexyguard_token',
+  cookie = { path: '/', maxAge: 60 * 60 * 24 * 30 },
+  broadcast = type !== 'memory'
+} = {}) {
+  const memory = { value: null };
+  const listeners = new Set();
+  let channel = null;
+
+  const openChannel = () => {
+    if (!broadcast || typeof window === 'undefined' || typeof BroadcastChannel === 'undefined') return null;
+    return new BroadcastChannel(`sexyguard:${key}`);
+  };
+  const notify = (val) => {
+    if (channel) {
+      channel.postMessage(val || null);
+      return;
+    }
+    // nobody listens in this tab: post through a channel that is closed right away
+    const once = openChannel();
+    once?.postMessage(val || null);
+    once?.close();
+  };
+  const channelSubscribe = (listener) => {
+    listeners.add(listener);
+    if (!channel) {
+      channel = openChannel();
+      if (channel) {
+        channel.onmessage = (event) => {
+          const value = event.data || null;
+          if (type === 'memory') memory.value = value;
+          listeners.forEach((fn) => fn(value));
+        };
+      }
+    }
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size || !channel) return;
+      channel.close();
+      channel = null;
+    };
+  };
+
+  const cookieGet = () => {
+    if (typeof document === 'undefined') return null;
+    return parseCookies(document.cookie)[key] || null;
+  };
+  const cookieSet = (val) => {
+    if (typeof document === 'undefined') return;
+    document.cookie = serializeCookie(key, val, { ...cookie, httpOnly: false });
+    notify(val);
+  };
+  const cookieClear = () => {
+    if (typeof document === 'undefined') return;
+    document.cookie = serializeCookie(key, '', { ...cookie, httpOnly: false, maxAge: 0, expires: undefined });
+    notify(null);
+  };
+
+  if (type === 'cookie') {
+    return {
+      get: cookieGet,
+      set: cookieSet,
+      clear: cookieClear,
+      subscribe: channelSubscribe
+    };
+  }
+
+  if (type === 'memory') {
+    return {
+      get: () => memory.value,
+      set: (v) => { memory.value = v; notify(v); },
+      clear: () => { memory.value = null; notify(null); },
+      subscribe: channelSubscribe
+    };
+  }
+
+  return {
+    get: () => {
+      if (typeof window === 'undefined') return null;
+      return window.localStorage.getItem(key);
+    },
+    set: (v) => {
+      if (typeof window === 'undefined') return;
+      if (v) window.localStorage.setItem(key, v);
+      else window.localStorage.removeItem(key);
+    },
+    clear: () => {
+      if (typeof window === 'undefined') return;
+      window.localStorage.removeItem(key);
+    },
+    subscribe: (listener) => {
+      if (typeof window === 'undefined') return () => {};
+      const onStorage = (event) => {
+        if (event.storageArea !== window.localStorage) return;
+        if (event.key === key) listener(event.newValue);
+        else if (event.key === null) listener(null);
+      };
+      window.addEventListener('storage', onStorage);
+      return () => { window.removeEventListener('storage', onStorage); };
+    }
+  };
+}
+
+/**
+ * Default retry policy: idempotent methods, network failures and 5xx.
+ * @type {RetryPolicy}
+ */
+export const defaultRetryPolicy = {
+  retries: 2,
+  minDelayMs: 300,
+  maxDelayMs: 5000,
+  factor: 2,
+  jitter: true,
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+};
+
+/**
+ * @param {boolean|number|RetryPolicy|undefined} retry
+ * @returns {RetryPolicy|null}
+ */
+function resolveRetryPolicy(retry) {
+  if (!retry) return null;
+  if (retry === true) return defaultRetryPolicy;
+  if (typeof retry === 'number') return { ...defaultRetryPolicy, retries: retry };
+  return { ...defaultRetryPolicy, ...retry };
+}
+
+/**
+ * @param {RetryPolicy|null} policy
+ * @param {RequestContext} ctx
+ * @param {{status?: number|null, error?: any}} outcome
+ * @returns {boolean}
+ */
+function shouldRetry(policy, ctx, { status = null, error = null }) {
+  if (!policy || ctx.attempt > policy.retries) return false;
+  if (ctx.signal?.aborted) return false;
+  if (!policy.methods.includes(ctx.method)) return false;
+  if (policy.retryOn) return Boolean(policy.retryOn({ ...ctx, status, error }));
+  return error ? true : status >= 500;
+}
+
+/**
+ * Exponential backoff with equal jitter.
+ * @param {RetryPolicy} policy
+ * @param {number} attempt
+ * @returns {number}
+ */
+function backoffDelay(policy, attempt) {
+  const delay = Math.min(policy.maxDelayMs, policy.minDelayMs * policy.factor ** (attempt - 1));
+  return policy.jitter ? delay / 2 + Math.random() * (delay / 2) : delay;
+}
+
+/**
+ * @param {any} err
+ * @returns {boolean}
+ */
+export function isAbortError(err) {
+  return err?.name === 'AbortError';
+}
+
+/**
+ * `navigator.onLine === false`; environments without `navigator` count as online.
+ * @returns {boolean}
+ */
+export function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Combine a caller signal with a per-attempt timeout.
+ * @param {AbortSignal} [signal]
+ * @param {number} [timeoutMs]
+ */
+function createAttemptSignal(signal, timeoutMs) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener('abort', onAbort, { once: true });
+  const timer = timeoutMs ? setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs) : null;
+  return {
+    signal: controller.signal,
+    timedOut: () => timedOut,
+    cleanup: () => {
+      if (timer) clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+/**
+ * @typedef {Object} KeyParams
+ * @property {number} plus_subday
+ * @property {number} value_of_activate
+ * @property {string} delete_time
+ */
+
+/**
+ * Check `generateKey` params before anything is sent.
+ * @param {KeyParams} params
+ * @returns {{field: string, message: string}[]} empty when valid
+ */
+export function validateKeyParams({ plus_subday, value_of_activate, delete_time } = {}) {
+  const issues = [];
+  if (!Number.isInteger(plus_subday) || plus_subday <= 0) {
+    issues.push({ field: 'plus_subday', message: 'plus_subday must be a positive integer' });
+  }
+  if (!Number.isInteger(value_of_activate) || value_of_activate <= 0) {
+    issues.push({ field: 'value_of_activate', message: 'value_of_activate must be a positive integer' });
+  }
+  if (typeof delete_time !== 'string' || !delete_time.trim() || Number.isNaN(Date.parse(delete_time))) {
+    issues.push({ field: 'delete_time', message: 'delete_time must be a date string' });
+  }
+  return issues;
+}
+
+/**
+ * @typedef {Object} SchemaIssue
+ * @property {string} path e.g. `items[0].productPrice`; '' for the whole body
+ * @property {string} expected
+ * @property {string} received
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} Schema
+ * @property {string} expected type name used in issues
+ * @property {(value: any, path: string, ctx: {issues: SchemaIssue[], mapSnakeCase: boolean}) => any} parse
+ *   returns the (key-mapped) value and pushes what is wrong into `ctx.issues`
+ */
+
+/**
+ * @typedef {Object} ValidationOptions
+ * @property {'strict'|'warn'|'off'} [mode] strict: a mismatch is a SexyGuardSchemaError; warn: report and pass the body through; off by default
+ * @property {boolean} [mapSnakeCase] read `product_id` into `productId` when the documented key is missing (default true)
+ * @property {Record<string, Schema|false>} [schemas] `'METHOD /path'` (`:param` segments allowed) over ENDPOINT_SCHEMAS; `false` skips one
+ * @property {(issues: SchemaIssue[], ctx: RequestContext) => void} [onIssues] replaces the `console.warn` report
+ */
+
+/** @param {any} value */
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+  return typeof value;
+}
+
+function pushIssue(ctx, path, expected, value) {
+  const received = describeValue(value);
+  ctx.issues.push({ path, expected, received, message: `${path || 'body'}: expected ${expected}, received ${received}` });
+}
+
+function checked(expected, test) {
+  return {
+    expected,
+    parse: (value, path, ctx) => {
+      if (!test(value)) pushIssue(ctx, path, expected, value);
+      return value;
+    }
+  };
+}
+
+const toSnakeCase = (key) => key.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`);
+
+/**
+ * Schema builders for response bodies. Objects keep keys they do not declare.
+ * @example field.object({ items: field.array(field.object({ id: field.integer(), name: field.string() })) })
+ */
+export const field = {
+  string: () => checked('string', (v) => typeof v === 'string'),
+  number: () => checked('number', (v) => typeof v === 'number' && Number.isFinite(v)),
+  integer: () => checked('integer', (v) => Number.isInteger(v)),
+  boolean: () => checked('boolean', (v) => typeof v === 'boolean'),
+  any: () => ({ expected: 'any', parse: (value) => value }),
+  /** @param {...(string|number|boolean|null)} values */
+  literal: (...values) => checked(values.map((v) => JSON.stringify(v)).join(' | '), (v) => values.includes(v)),
+  /**
+   * Any predicate, e.g. `field.custom('ISO date', (v) => !Number.isNaN(Date.parse(v)))`.
+   * @param {string} expected
+   * @param {(value: any) => boolean} test
+   */
+  custom: (expected, test) => checked(expected, test),
+  /** @param {Schema} schema */
+  nullable: (schema) => ({
+    expected: `${schema.expected} | null`,
+    parse: (value, path, ctx) => {
+      if (value === null) return null;
+      const from = ctx.issues.length;
+      const out = schema.parse(value, path, ctx);
+      ctx.issues.slice(from).forEach((issue) => {
+        if (issue.path !== path) return;
+        issue.expected = `${issue.expected} | null`;
+        issue.message = `${path || 'body'}: expected ${issue.expected}, received ${issue.received}`;
+      });
+      return out;
+    }
+  }),
+  /** @param {Schema} schema key may be missing */
+  optional: (schema) => ({
+    expected: schema.expected,
+    optional: true,
+    parse: (value, path, ctx) => (value === undefined ? undefined : schema.parse(value, path, ctx))
+  }),
+  /** @param {Schema} item */
+  array: (item) => ({
+    expected: `${item.expected}[]`,
+    parse: (value, path, ctx) => {
+      if (!Array.isArray(value)) {
+        pushIssue(ctx, path, `${item.expected}[]`, value);
+        return value;
+      }
+      return value.map((v, i) => item.parse(v, `${path}[${i}]`, ctx));
+    }
+  }),
+  /**
+   * @param {Record<string, Schema>} shape documented (camelCase) keys
+   * @param {Object} [opts]
+   * @param {Record<string, string>} [opts.aliases] documented key → backend key, for renames snake_case does not cover
+   */
+  object: (shape, { aliases = {} } = {}) => ({
+    expected: 'object',
+    shape,
+    parse: (value, path, ctx) => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        pushIssue(ctx, path, 'object', value);
+        return value;
+      }
+      const out = { ...value };
+      Object.entries(shape).forEach(([key, schema]) => {
+        let source = key;
+        if (!(key in value)) {
+          if (aliases[key] && aliases[key] in value) source = aliases[key];
+          else if (ctx.mapSnakeCase && toSnakeCase(key) in value) source = toSnakeCase(key);
+        }
+        const parsed = schema.parse(value[source], path ? `${path}.${key}` : key, ctx);
+        if (source !== key) delete out[source];
+        if (source in value) out[key] = parsed;
+      });
+      return out;
+    }
+  })
+};
+
+/**
+ * Check `value` against `schema`.
+ * @param {Schema} schema
+ * @param {any} value
+ * @param {{mapSnakeCase?: boolean}} [opts]
+ * @returns {{value: any, issues: SchemaIssue[]}} `value` with snake_case / aliased keys mapped
+ */
+export function validateSchema(schema, value, { mapSnakeCase = true } = {}) {
+  const ctx = { issues: [], mapSnakeCase };
+  const out = schema.parse(value, '', ctx);
+  return { value: out, issues: ctx.issues };
+}
+
+const nullableString = () => field.nullable(field.string());
+const statusMessage = field.object({ status: field.string(), message: field.string() });
+
+/** Schemas of the documented models (index.d.ts). */
+export const MODEL_SCHEMAS = {
+  UserProfile: field.object({
+    nickname: field.string(),
+    email: field.string(),
+    role: field.string(),
+    uid: field.number(),
+    hwid: nullableString(),
+    till: field.nullable(field.number()),
+    ram: nullableString()
+  }),
+  MarketItem: field.object({
+    productId: field.number(),
+    productName: field.string(),
+    productPrice: field.number(),
+    productOldPrice: field.nullable(field.number()),
+    productDir: nullableString()
+  }),
+  PublicInfo: field.object({ totalUsers: field.number() }),
+  AuthResponse: field.object({
+    status: field.string(),
+    token: field.string(),
+    session: field.string(),
+    email: field.string(),
+    role: field.string()
+  }),
+  RegisterResponse: field.object({ status: field.string() }),
+  KeyGenerateResponse: field.object({ status: field.boolean(), key: field.string() }),
+  KeyActivateResponse: statusMessage,
+  VersionResponse: field.object({ version: field.string() })
+};
+MODEL_SCHEMAS.MarketResponse = field.object({ items: field.array(MODEL_SCHEMAS.MarketItem) });
+
+/** Response schema of every SexyGuardClient endpoint, by `'METHOD /path'`. */
+export const ENDPOINT_SCHEMAS = {
+  'POST /api/v1/auth/login': MODEL_SCHEMAS.AuthResponse,
+  'POST /api/v1/auth/register': MODEL_SCHEMAS.RegisterResponse,
+  'POST /api/v1/auth/refresh': field.object({ token: field.string(), session: field.optional(nullableString()) }),
+  'GET /api/v1/profile/me': MODEL_SCHEMAS.UserProfile,
+  'POST /api/v1/profile/password': statusMessage,
+  'POST /api/v1/profile/ram': statusMessage,
+  'POST /api/v1/keys/generate': MODEL_SCHEMAS.KeyGenerateResponse,
+  'POST /api/v1/keys/activate': MODEL_SCHEMAS.KeyActivateResponse,
+  'GET /api/v1/public/info': MODEL_SCHEMAS.PublicInfo,
+  'GET /api/v1/public/market': MODEL_SCHEMAS.MarketResponse,
+  'GET /api/v1/public/version': MODEL_SCHEMAS.VersionResponse,
+  'GET /health': field.object({ status: field.optional(field.string()) })
+};
+
+/**
+ * @param {'strict'|'warn'|'off'|ValidationOptions|undefined} validation
+ * @returns {Required<Omit<ValidationOptions, 'onIssues'>> & {onIssues?: ValidationOptions['onIssues']}}
+ */
+function resolveValidation(validation) {
+  const options = typeof validation === 'string' ? { mode: validation } : validation || {};
+  return {
+    // off unless the app asks: extra schemas alone must not start reporting
+    mode: options.mode || 'off',
+    mapSnakeCase: options.mapSnakeCase !== false,
+    schemas: { ...ENDPOINT_SCHEMAS, ...options.schemas },
+    onIssues: options.onIssues
+  };
+}
+
+/**
+ * Key of a `'METHOD /path'` map (ENDPOINT_SCHEMAS, rate-limit routes) matching a request;
+ * `:param` segments match any value.
+ * @param {Record<string, any>} entries
+ * @param {string} method
+ * @param {string} path may carry a query string
+ * @returns {string|undefined}
+ */
+function findEndpointKey(entries, method, path) {
+  const bare = path.split('?')[0];
+  if (entries[`${method} ${bare}`] !== undefined) return `${method} ${bare}`;
+  return Object.keys(entries).find((k) => {
+    const [m, pattern] = k.split(' ');
+    if (m !== method || !pattern?.includes('/:')) return false;
+    const src = pattern.split('/').map((part) => (part.startsWith(':') ? '[^/]+' : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))).join('/');
+    return new RegExp(`^${src}$`).test(bare);
+  });
+}
+
+/**
+ * @param {Record<string, Schema|false>} schemas
+ * @param {string} method
+ * @param {string} path
+ * @returns {Schema|false|undefined}
+ */
+function findEndpointSchema(schemas, method, path) {
+  const key = findEndpointKey(schemas, method, path);
+  return key ? schemas[key] : undefined;
+}
+
+/**
+ * @typedef {Object} RateLimitRule
+ * @property {number} limit requests per `intervalMs`
+ * @property {number} intervalMs
+ * @property {number} [burst] bucket size; `limit` by default
+ */
+
+/**
+ * @typedef {Object} RateLimitOptions
+ * @property {Record<string, RateLimitRule|false>} [routes] keyed `'METHOD /path'` like ENDPOINT_SCHEMAS
+ * @property {RateLimitRule|null} [default] for routes without their own rule; each route gets its own bucket
+ * @property {boolean} [wait] hold requests until a token or the `Retry-After` comes; `false` fails them right away
+ * @property {number} [maxWaitMs] longer waits fail instead
+ * @property {number} [retries] 429 answers with `Retry-After` retried per request
+ */
+
+/**
+ * @typedef {Object} RateLimitInfo
+ * @property {string} route `'METHOD /path'` the limit applies to
+ * @property {boolean} limited
+ * @property {number} retryAfterMs
+ * @property {number} retryAt epoch ms
+ * @property {number|null} limit `null` without a client-side rule
+ * @property {number|null} remaining tokens left
+ * @property {'client'|'server'} source the local bucket, or a 429 from the backend
+ */
+
+/**
+ * `Retry-After`: delay in seconds or an HTTP date.
+ * @param {string|null|undefined} value
+ * @returns {number|null} ms
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Token buckets per route plus `Retry-After` cooldowns. Requests over the limit wait in line
+ * (each one reserves the next free token) unless `wait` is off or the wait exceeds `maxWaitMs`.
+ */
+export class RateLimiter {
+  /** @param {RateLimitOptions} [options] */
+  constructor(options) {
+    /** @type {Map<string, {tokens: number, updatedAt: number, cooldownUntil: number}>} */
+    this.buckets = new Map();
+    this.listeners = new Set();
+    this.configure(options);
+  }
+
+  /**
+   * Replace the rules; buckets and cooldowns carry over.
+   * @param {RateLimitOptions} [options]
+   */
+  configure({ routes = {}, default: defaultRule = null, wait = true, maxWaitMs = 60000, retries = 2 } = {}) {
+    // settle the buckets under the old rules before they change
+    this.buckets.forEach((_, route) => {
+      const [method, path] = route.split(' ');
+      this._bucket(route, this._match(method, path).rule);
+    });
+    this.routes = routes;
+    this.defaultRule = defaultRule;
+    this.wait = wait;
+    this.maxWaitMs = maxWaitMs;
+    this.retries = retries;
+    this._notify();
+  }
+
+  /**
+   * @param {() => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => { this.listeners.delete(listener); };
+  }
+
+  _notify() {
+    this.listeners.forEach((listener) => listener());
+  }
+
+  /**
+   * @param {string} method
+   * @param {string} path
+   * @returns {{route: string, rule: RateLimitRule|null}}
+   */
+  _match(method, path) {
+    const key = findEndpointKey(this.routes, method, path);
+    if (key) return { route: key, rule: this.routes[key] || null };
+    return { route: `${method} ${path.split('?')[0]}`, rule: this.defaultRule };
+  }
+
+  /** Bucket for a route, refilled up to now. */
+  _bucket(route, rule) {
+    const now = Date.now();
+    let bucket = this.buckets.get(route);
+    if (!bucket) {
+      bucket = { tokens: rule ? rule.burst ?? rule.limit : 0, updatedAt: now, cooldownUntil: 0 };
+      this.buckets.set(route, bucket);
+    } else if (rule) {
+      const refill = ((now - bucket.updatedAt) * rule.limit) / rule.intervalMs;
+      bucket.tokens = Math.min(rule.burst ?? rule.limit, bucket.tokens + refill);
+    }
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  /** @returns {RateLimitInfo} */
+  _info(route, rule, bucket) {
+    const now = Date.now();
+    const cooldownMs = Math.max(0, bucket.cooldownUntil - now);
+    const tokenMs = rule && bucket.tokens < 1 ? Math.ceil(((1 - bucket.tokens) * rule.intervalMs) / rule.limit) : 0;
+    const retryAfterMs = Math.max(cooldownMs, tokenMs);
+    return {
+      route,
+      limited: retryAfterMs > 0,
+      retryAfterMs,
+      retryAt: now + retryAfterMs,
+      limit: rule ? rule.limit : null,
+      remaining: rule ? Math.max(0, Math.floor(bucket.tokens)) : null,
+      source: cooldownMs ? 'server' : 'client'
+    };
+  }
+
+  /**
+   * @param {string} method
+   * @param {string} path
+   * @returns {RateLimitInfo}
+   */
+  getInfo(method, path) {
+    const { route, rule } = this._match(method.toUpperCase(), path);
+    return this._info(route, rule, this._bucket(route, rule));
+  }
+
+  /**
+   * Take a token for the route, waiting for it (and for any cooldown) when allowed.
+   * @param {string} method
+   * @param {string} path
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<RateLimitInfo|null>} `null` when the request may go, the limit it hit otherwise
+   */
+  async acquire(method, path, signal) {
+    for (;;) {
+      const { route, rule } = this._match(method, path);
+      const bucket = this._bucket(route, rule);
+      const cooldownMs = bucket.cooldownUntil - Date.now();
+      if (cooldownMs > 0) {
+        if (!this.wait || cooldownMs > this.maxWaitMs) return this._info(route, rule, bucket);
+        await sleep(cooldownMs, signal);
+        continue;
+      }
+      if (!rule) return null;
+      bucket.tokens -= 1;
+      if (bucket.tokens >= 0) {
+        this._notify();
+        return null;
+      }
+      const waitMs = Math.ceil((-bucket.tokens * rule.intervalMs) / rule.limit);
+      if (!this.wait || waitMs > this.maxWaitMs) {
+        bucket.tokens += 1;
+        return this._info(route, rule, bucket);
+      }
+      this._notify();
+      try {
+        await sleep(waitMs, signal);
+      } catch (err) {
+        // give the reserved token back to whoever is next in line
+        this._bucket(route, rule).tokens += 1;
+        throw err;
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Record a 429: hold the route for `retryAfterMs` and empty its bucket.
+   * @param {string} method
+   * @param {string} path
+   * @param {number|null} retryAfterMs
+   * @returns {RateLimitInfo}
+   */
+  limited(method, path, retryAfterMs) {
+    const { route, rule } = this._match(method, path);
+    const bucket = this._bucket(route, rule);
+    if (retryAfterMs) bucket.cooldownUntil = Math.max(bucket.cooldownUntil, Date.now() + retryAfterMs);
+    if (rule) bucket.tokens = Math.min(bucket.tokens, 0);
+    this._notify();
+    return this._info(route, rule, bucket);
+  }
+
+  /** Forget every bucket and cooldown. */
+  reset() {
+    this.buckets.clear();
+    this._notify();
+  }
+}
+
+/**
+ * Wrap a fetch failure into a typed error; caller aborts pass through untouched.
+ * @param {any} err
+ * @param {RequestContext} ctx
+ * @returns {any}
+ */
+function toRequestError(err, ctx) {
+  if (isAbortError(err) || err instanceof SexyGuardError) return err;
+  return new SexyGuardNetworkError(err?.message || 'Network request failed', null, err, { path: ctx.path, method: ctx.method });
+}
+
+/**
+ * REST client for js-backend.
+ */
+export class SexyGuardClient {
+  /**
+   * @param {Object} [opts]
+   * @param {string} [opts.baseUrl]
+   * @param {Function} [opts.getToken]
+   * @param {Function} [opts.setToken]
+   * @param {string} [opts.tokenStorageKey]
+   * @param {ReturnType<typeof createTokenStorage>} [opts.tokenStorage]
+   * @param {Middleware[]} [opts.middleware]
+   * @param {number} [opts.timeoutMs]
+   * @param {boolean|number|RetryPolicy} [opts.retry]
+   * @param {boolean} [opts.throwOnError] throw SexyGuardError instead of resolving ErrorResponse
+   * @param {ReturnType<typeof createTokenStorage>} [opts.sessionTokenStorage] where `AuthResponse.session` is kept
+   * @param {(ctx: {session: string|null, token: string|null, client: SexyGuardClient}) => Promise<RefreshResult|string|null>} [opts.refreshToken]
+   * @param {string} [opts.refreshPath] endpoint for the default `refreshToken`; without it a 401 expires the session
+   * @param {() => void} [opts.onSessionExpired]
+   * @param {RequestCredentials} [opts.credentials] e.g. 'include' when the backend reads an HttpOnly cookie
+   * @param {typeof fetch} [opts.fetch] custom fetch (tests, mock backends); the global one by default
+   * @param {'strict'|'warn'|'off'|ValidationOptions} [opts.validation] check response bodies against ENDPOINT_SCHEMAS (off by default)
+   * @param {RateLimitOptions|RateLimiter|false} [opts.rateLimit] per-route limits and `Retry-After` handling; off unless given
+   */
+  constructor({
+    baseUrl,
+    getToken,
+    setToken,
+    tokenStorageKey = 'sexyguard_token',
+    tokenStorage,
+    middleware = [],
+    timeoutMs = 0,
+    retry = false,
+    throwOnError = false,
+    sessionTokenStorage,
+    refreshToken,
+    refreshPath = null,
+    onSessionExpired,
+    credentials,
+    fetch: fetchImpl,
+    validation,
+    rateLimit
+  } = {}) {
+    this.baseUrl = (baseUrl || '').replace(/\/$/, '');
+    this.tokenStorageKey = tokenStorageKey;
+    this.storage = tokenStorage || createTokenStorage({ type: 'localStorage', key: tokenStorageKey });
+    this._getToken = getToken || (() => this.storage.get());
+    this._setToken = setToken || ((token) => {
+      if (token) this.storage.set(token);
+      else this.storage.clear();
+    });
+    this.cache = new Map();
+    this.middleware = [...middleware];
+    this.timeoutMs = timeoutMs;
+    this.retry = retry;
+    this.throwOnError = throwOnError;
+    this.sessionTokenStorage = sessionTokenStorage || createTokenStorage({ type: 'localStorage', key: `${tokenStorageKey}_session` });
+    this.refreshPath = refreshPath;
+    this._refreshToken = refreshToken || ((ctx) => this._defaultRefreshToken(ctx));
+    this.onSessionExpired = onSessionExpired;
+    this.credentials = credentials;
+    this.fetch = fetchImpl || null;
+    this.validation = resolveValidation(validation);
+    this.rateLimiter = null;
+    this.setRateLimit(rateLimit);
+    this.listeners = new Set();
+    this._refreshing = null;
+  }
+
+  /** @returns {string|null|undefined} */
+  getToken() { return this._getToken(); }
+
+  /** @param {string|null} token */
+  setToken(token) { this._setToken(token); }
+
+  /** @returns {string|null|undefined} */
+  getSession() { return this.sessionTokenStorage.get(); }
+
+  /** @param {string|null} session */
+  setSession(session) {
+    if (session) this.sessionTokenStorage.set(session);
+    else this.sessionTokenStorage.clear();
+  }
+
+  /**
+   * @param {(event: ClientEvent) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => { this.listeners.delete(listener); };
+  }
+
+  /** @param {ClientEvent} event */
+  _emit(event) {
+    this.listeners.forEach((listener) => listener(event));
+  }
+
+  /**
+   * Refresh the token once; concurrent callers share the same attempt.
+   * @returns {Promise<string|null>} new token, or null when the session expired
+   */
+  refreshSession() {
+    if (!this._refreshing) {
+      this._refreshing = this._runRefresh().finally(() => { this._refreshing = null; });
+    }
+    return this._refreshing;
+  }
+
+  /** @returns {Promise<string|null>} */
+  async _runRefresh() {
+    this._emit({ type: 'refreshing' });
+    let next = null;
+    try {
+      next = await this._refreshToken({ session: this.getSession() || null, token: this.getToken() || null, client: this });
+    } catch {
+      next = null;
+    }
+    const token = typeof next === 'string' ? next : next?.token;
+    if (!token) {
+      this.expireSession();
+      return null;
+    }
+    this.setToken(token);
+    if (next && typeof next === 'object' && 'session' in next) this.setSession(next.session);
+    this._emit({ type: 'refreshed', token });
+    return token;
+  }
+
+  /**
+   * @param {{session: string|null}} ctx
+   * @returns {Promise<RefreshResult|null>}
+   */
+  async _defaultRefreshToken({ session }) {
+    if (!session || !this.refreshPath) return null;
+    const res = await this.request(this.refreshPath, { method: 'POST', body: { session }, retry: false, skipRefresh: true });
+    return res?.token ? res : null;
+  }
+
+  /** Drop token and session and notify listeners. */
+  expireSession() {
+    this.setToken(null);
+    this.setSession(null);
+    this._emit({ type: 'expired' });
+    if (this.onSessionExpired) this.onSessionExpired();
+  }
+
+  /** @param {'strict'|'warn'|'off'|ValidationOptions} validation */
+  setValidation(validation) {
+    this.validation = resolveValidation(validation);
+  }
+
+  /**
+   * Keeps the current buckets when only the rules change. Without options (or with `false`)
+   * there is no limiter and a 429 is returned as an error right away.
+   * @param {RateLimitOptions|RateLimiter|false} [rateLimit]
+   */
+  setRateLimit(rateLimit) {
+    if (!rateLimit) this.rateLimiter = null;
+    else if (rateLimit instanceof RateLimiter) this.rateLimiter = rateLimit;
+    else if (this.rateLimiter) this.rateLimiter.configure(rateLimit);
+    else this.rateLimiter = new RateLimiter(rateLimit);
+  }
+
+  /**
+   * Add a middleware to the end of the chain.
+   * @param {Middleware} middleware
+   * @returns {() => void} remove
+   */
+  use(middleware) {
+    this.middleware.push(middleware);
+    return () => {
+      this.middleware = this.middleware.filter((m) => m !== middleware);
+    };
+  }
+
+  /**
+   * @param {string} key
+   * @returns {any|null}
+   */
+  getCached(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return null;
+    if (entry.expires && Date.now() > entry.expires) {
+      this.cache.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  /**
+   * @param {string} key
+   * @param {any} value
+   * @param {number} [ttlMs]
+   * @returns {any}
+   */
+  setCached(key, value, ttlMs = 30000) {
+    this.cache.set(key, { value, expires: ttlMs ? Date.now() + ttlMs : null });
+    return value;
+  }
+
+  /**
+   * Run the middleware chain, fetch, and retry per policy.
+   * @param {string} path
+   * @param {RequestOptions} [options]
+   * @returns {Promise<any|ErrorResponse>}
+   */
+  async request(path, options = {}) {
+    const policy = resolveRetryPolicy(options.retry !== undefined ? options.retry : this.retry);
+    const timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : this.timeoutMs;
+    if (options.auth && this._refreshing && !options.skipRefresh) await this._refreshing;
+    const method = (options.method || 'GET').toUpperCase();
+    let limitedRetries = 0;
+
+    for (let attempt = 1; ; attempt += 1) {
+      const limit = await this.rateLimiter?.acquire(method, path, options.signal);
+      if (limit) {
+        const message = `Rate limit for ${limit.route}, retry in ${Math.ceil(limit.retryAfterMs / 1000)}s`;
+        return this._reject(new SexyGuardRateLimitError(message, null, { rateLimit: limit }, { path, method }));
+      }
+      const ctx = await this._prepare(path, options, attempt);
+      let response;
+      let data;
+      try {
+        ({ response, data } = await this._send(ctx, timeoutMs));
+      } catch (err) {
+        if (!isAbortError(err) && shouldRetry(policy, ctx, { error: err })) {
+          await sleep(backoffDelay(policy, attempt), ctx.signal);
+          continue;
+        }
+        return this._handleError(this.throwOnError ? toRequestError(err, ctx) : err, ctx);
+      }
+      if (response.status === 401 && ctx.headers.Authorization && !options.skipRefresh) {
+        const current = this.getToken();
+        const token = current && ctx.headers.Authorization !== `Bearer ${current}`
+          ? current
+          : await this.refreshSession();
+        if (token) return this.request(path, { ...options, skipRefresh: true });
+      }
+      if (response.status === 429 && this.rateLimiter) {
+        const retryAfterMs = parseRetryAfter(response.headers?.get('Retry-After'));
+        const rateLimit = this.rateLimiter.limited(ctx.method, ctx.path, retryAfterMs);
+        const { wait, maxWaitMs, retries } = this.rateLimiter;
+        if (retryAfterMs !== null && wait && retryAfterMs <= maxWaitMs && limitedRetries < retries && !ctx.signal?.aborted) {
+          limitedRetries += 1;
+          // acquire() holds the retry until the cooldown ends; it does not count against `retry`
+          attempt -= 1;
+          continue;
+        }
+        data = { ...data, rateLimit };
+      }
+      if (!response.ok && shouldRetry(policy, ctx, { status: response.status })) {
+        await sleep(backoffDelay(policy, attempt), ctx.signal);
+        continue;
+      }
+      if (!response.ok && this.throwOnError) {
+        return this._handleError(
+          createHttpError(response.status, data, { path: ctx.path, method: ctx.method }),
+          { ...ctx, response }
+        );
+      }
+      let result = response.ok
+        ? data
+        : { error: data.error || 'Request failed', status: response.status, ...data };
+      if (response.ok) {
+        const { value, error } = this._validate(data, ctx, options.schema, response.status);
+        if (error && this.throwOnError) return this._handleError(error, { ...ctx, response });
+        result = error ? { ...error.data, error: error.message, status: response.status } : value;
+      }
+      return this._handleResponse(result, { ...ctx, response });
+    }
+  }
+
+  /**
+   * @param {string} path
+   * @param {RequestOptions} options
+   * @param {number} attempt
+   * @returns {Promise<RequestContext>}
+   */
+  async _prepare(path, { method = 'GET', body, auth = false, headers, signal, queue = true }, attempt) {
+    /** @type {RequestContext} */
+    let ctx = {
+      path,
+      url: `${this.baseUrl}${path}`,
+      method: method.toUpperCase(),
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body,
+      auth,
+      attempt,
+      signal,
+      queue
+    };
+    if (auth) {
+      const token = this.getToken();
+      if (token) ctx.headers.Authorization = `Bearer ${token}`;
+    }
+    for (const mw of this.middleware) {
+      if (mw.onRequest) ctx = (await mw.onRequest(ctx)) || ctx;
+    }
+    return ctx;
+  }
+
+  /**
+   * @param {RequestContext} ctx
+   * @param {number} timeoutMs
+   * @returns {Promise<{response: Response, data: any}>}
+   */
+  async _send(ctx, timeoutMs) {
+    const attemptSignal = createAttemptSignal(ctx.signal, timeoutMs);
+    try {
+      const send = this.fetch || fetch;
+      const response = await send(ctx.url, {
+        method: ctx.method,
+        headers: ctx.headers,
+        body: ctx.body ? JSON.stringify(ctx.body) : undefined,
+        credentials: this.credentials,
+        signal: attemptSignal.signal
+      });
+      const data = await response.json().catch(() => ({}));
+      return { response, data };
+    } catch (err) {
+      if (attemptSignal.timedOut()) {
+        throw new SexyGuardTimeoutError(`Request timed out after ${timeoutMs}ms`, null, null, { path: ctx.path, method: ctx.method });
+      }
+      throw err;
+    } finally {
+      attemptSignal.cleanup();
+    }
+  }
+
+  /**
+   * Check a successful body against its schema.
+   * @param {any} data
+   * @param {RequestContext} ctx
+   * @param {Schema|false|undefined} override `RequestOptions.schema`
+   * @param {number} status
+   * @returns {{value: any, error?: SexyGuardSchemaError}}
+   */
+  _validate(data, ctx, override, status) {
+    const { mode, mapSnakeCase, schemas, onIssues } = this.validation;
+    if (mode === 'off' || override === false) return { value: data };
+    const schema = override || findEndpointSchema(schemas, ctx.method, ctx.path);
+    if (!schema) return { value: data };
+    const { value, issues } = validateSchema(schema, data, { mapSnakeCase });
+    if (!issues.length) return { value };
+    const more = issues.length > 1 ? ` (+${issues.length - 1} more)` : '';
+    const message = `Unexpected response from ${ctx.method} ${ctx.path}: ${issues[0].message}${more}`;
+    if (onIssues) onIssues(issues, ctx);
+    else if (mode === 'warn') console.warn(`[sexyguard] ${message}`, issues);
+    if (mode !== 'strict') return { value };
+    return { value: data, error: new SexyGuardSchemaError(message, status, { issues, received: data }, { path: ctx.path, method: ctx.method }) };
+  }
+
+  /**
+   * @param {any} result
+   * @param {RequestContext} ctx
+   * @returns {Promise<any>}
+   */
+  async _handleResponse(result, ctx) {
+    let value = result;
+    for (const mw of this.middleware) {
+      if (!mw.onResponse) continue;
+      const next = await mw.onResponse(value, ctx);
+      if (next !== undefined) value = next;
+    }
+    return value;
+  }
+
+  /**
+   * Give middleware a chance to recover; rethrow otherwise.
+   * @param {any} error
+   * @param {RequestContext} ctx
+   * @returns {Promise<any>}
+   */
+  async _handleError(error, ctx) {
+    for (const mw of this.middleware) {
+      if (!mw.onError) continue;
+      const recovered = await mw.onError(error, ctx);
+      if (recovered !== undefined) return recovered;
+    }
+    throw error;
+  }
+
+  /**
+   * @param {string} key
+   * @param {Function} fn
+   * @param {number} [ttlMs]
+   * @returns {Promise<any>}
+   */
+  async requestCached(key, fn, ttlMs = 30000) {
+    const cached = this.getCached(key);
+    if (cached) return cached;
+    const result = await fn();
+    return this.setCached(key, result, ttlMs);
+  }
+
+  /** @returns {Promise<AuthResponse|ErrorResponse>} */
+  login(login, password, options) {
+    return this.request('/api/v1/auth/login', { ...options, method: 'POST', body: { login, password } });
+  }
+
+  /** @returns {Promise<RegisterResponse|ErrorResponse>} */
+  register(login, email, password, options) {
+    return this.request('/api/v1/auth/register', { ...options, method: 'POST', body: { login, email, password } });
+  }
+
+  /** @returns {Promise<UserProfile|ErrorResponse>} */
+  getProfile(options) { return this.request('/api/v1/profile/me', { ...options, auth: true }); }
+
+  /** @returns {Promise<{status: string, message: string}|ErrorResponse>} */
+  changePassword(password, options) { return this.request('/api/v1/profile/password', { ...options, method: 'POST', auth: true, body: { password } }); }
+
+  /** @returns {Promise<{status: string, message: string}|ErrorResponse>} */
+  setMemory(memory, options) { return this.request('/api/v1/profile/ram', { ...options, method: 'POST', auth: true, body: { memory } }); }
+
+  /**
+   * Resolve (or throw, with `throwOnError`) an error produced before the request is sent.
+   * @param {SexyGuardError} error
+   * @returns {Promise<ErrorResponse>}
+   */
+  _reject(error) {
+    if (this.throwOnError) return Promise.reject(error);
+    return Promise.resolve({ ...error.data, error: error.message });
+  }
+
+  /** @returns {Promise<KeyGenerateResponse|ErrorResponse>} */
+  generateKey({ plus_subday, value_of_activate, delete_time } = {}, options) {
+    const issues = validateKeyParams({ plus_subday, value_of_activate, delete_time });
+    if (issues.length) {
+      const request = { path: '/api/v1/keys/generate', method: 'POST' };
+      return this._reject(new SexyGuardValidationError(issues[0].message, null, { issues }, request));
+    }
+    return this.request('/api/v1/keys/generate', { ...options, method: 'POST', auth: true, body: { plus_subday, value_of_activate, delete_time } });
+  }
+
+  /** @returns {Promise<KeyActivateResponse|ErrorResponse>} */
+  activateKey(key, options) { return this.request('/api/v1/keys/activate', { ...options, method: 'POST', auth: true, body: { key } }); }
+
+  /**
+   * Bind the license to a device. js-backend has no binding route of its own: `hwidPath` is the
+   * one the app added (409 when bound elsewhere).
+   * @param {string} hwid
+   * @param {RequestOptions & {hwidPath: string}} options
+   * @returns {Promise<{status: string, message: string}|ErrorResponse>}
+   */
+  bindHwid(hwid, { hwidPath, ...options } = {}) {
+    if (!hwidPath) {
+      const message = 'hwidPath is required: the backend has no default HWID binding route';
+      return this._reject(new SexyGuardValidationError(message, null, { issues: [{ field: 'hwidPath', message }] }, { path: '', method: 'POST' }));
+    }
+    return this.request(hwidPath, { ...options, method: 'POST', auth: true, body: { hwid } });
+  }
+
+  /** @returns {Promise<PublicInfo|ErrorResponse>} */
+  getInfo(options) { return this.request('/api/v1/public/info', options); }
+
+  /** @returns {Promise<MarketResponse|ErrorResponse>} */
+  getMarket(options) { return this.request('/api/v1/public/market', options); }
+
+  /** @returns {Promise<VersionResponse|ErrorResponse>} */
+  getVersion(options) { return this.request('/api/v1/public/version', options); }
+
+  /** @returns {Promise<any>} */
+  health(options) { return this.request('/health', options); }
+}
+
+/**
+ * @typedef {Object} QueryState
+ * @property {any} data
+ * @property {SexyGuardError|null} error
+ * @property {number} updatedAt
+ * @property {boolean} fetching
+ * @property {boolean} stale
+ */
+
+/**
+ * @typedef {Object} DehydratedState
+ * @property {{key: string, data: any, updatedAt: number, auth: boolean, supabase?: boolean}[]} queries
+ */
+
+/**
+ * @typedef {Object} QueryFetchOptions
+ * @property {number} [staleTime]
+ * @property {boolean} [force] ignore freshness and refetch
+ * @property {boolean} [auth] entry depends on the REST token
+ * @property {boolean} [supabase] entry depends on the Supabase user
+ */
+
+/**
+ * @param {string|Function|undefined} matcher
+ * @param {{key: string}} entry
+ * @returns {boolean}
+ */
+function matchesQuery(matcher, entry) {
+  if (matcher === undefined) return true;
+  if (typeof matcher === 'function') return Boolean(matcher(entry.key, entry));
+  return entry.key === matcher || entry.key.startsWith(`${matcher}:`);
+}
+
+/**
+ * Shared query cache: in-flight dedupe, stale-while-revalidate, invalidation.
+ * Keys are strings; `invalidate('rpc')` also matches `rpc:*`.
+ */
+export class QueryCache {
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.staleTime] ms before cached data is refetched on use
+   * @param {number} [opts.cacheTime] ms an unused entry is kept
+   */
+  constructor({ staleTime = 0, cacheTime = 5 * 60 * 1000 } = {}) {
+    this.staleTime = staleTime;
+    this.cacheTime = cacheTime;
+    this.entries = new Map();
+    this.listeners = new Set();
+  }
+
+  _entry(key) {
+    let entry = this.entries.get(key);
+    if (!entry) {
+      entry = {
+        key,
+        data: undefined,
+        error: null,
+        updatedAt: 0,
+        invalidated: false,
+        promise: null,
+        controller: null,
+        fn: null,
+        options: {},
+        listeners: new Map(),
+        gcTimer: null
+      };
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  _isStale(entry) {
+    if (!entry.updatedAt || entry.invalidated) return true;
+    const staleTime = entry.options.staleTime !== undefined ? entry.options.staleTime : this.staleTime;
+    return Date.now() - entry.updatedAt > staleTime;
+  }
+
+  _notify(entry) {
+    entry.listeners.forEach((_isEnabled, listener) => listener());
+    this.listeners.forEach((listener) => listener(entry.key));
+  }
+
+  _isActive(entry) {
+    if (!entry.fn) return false;
+    for (const isEnabled of entry.listeners.values()) {
+      if (isEnabled()) return true;
+    }
+    return false;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {QueryState}
+   */
+  getState(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return { data: undefined, error: null, updatedAt: 0, fetching: false, stale: true };
+    return {
+      data: entry.data,
+      error: entry.error,
+      updatedAt: entry.updatedAt,
+      fetching: Boolean(entry.promise),
+      stale: this._isStale(entry)
+    };
+  }
+
+  /**
+   * @param {string} key
+   * @returns {any}
+   */
+  getQueryData(key) {
+    return this.entries.get(key)?.data;
+  }
+
+  /**
+   * Fetch through the cache. Concurrent calls share one request; fresh data is returned as is.
+   * `force` replaces a request in flight, whose callers then get the new result.
+   * @param {string} key
+   * @param {(ctx: {signal: AbortSignal}) => Promise<any>} fn
+   * @param {QueryFetchOptions} [options]
+   * @returns {Promise<any>}
+   */
+  fetch(key, fn, { force = false, ...options } = {}) {
+    const entry = this._entry(key);
+    entry.fn = fn;
+    entry.options = { ...entry.options, ...options };
+    if (entry.promise) {
+      if (!force) return entry.promise;
+      // the running request may have been sent before a write: start over
+      entry.controller.abort();
+    }
+    if (!force && !this._isStale(entry)) return Promise.resolve(entry.data);
+    // offline: keep serving the last known data; `online` refetches it
+    if (!force && entry.updatedAt && isOffline()) return Promise.resolve(entry.data);
+
+    const controller = new AbortController();
+    entry.controller = controller;
+    entry.promise = Promise.resolve()
+      .then(() => fn({ signal: controller.signal }))
+      .then((data) => {
+        // replaced by a forced fetch: answer with the newer request
+        if (entry.controller !== controller && entry.promise) return entry.promise;
+        // removed or cleared (e.g. logout) while in flight: do not bring the old data back
+        if (entry.controller !== controller || controller.signal.aborted) return data;
+        entry.data = data;
+        entry.error = null;
+        entry.updatedAt = Date.now();
+        entry.invalidated = false;
+        return data;
+      }, (error) => {
+        if (entry.controller !== controller && entry.promise) return entry.promise;
+        if (entry.controller === controller && !isAbortError(error)) entry.error = normalizeError(error);
+        throw error;
+      })
+      .finally(() => {
+        if (entry.controller !== controller) return;
+        entry.promise = null;
+        entry.controller = null;
+        this._notify(entry);
+      });
+    this._notify(entry);
+    return entry.promise;
+  }
+
+  /**
+   * @param {string} key
+   * @param {() => void} listener
+   * @param {() => boolean} [isEnabled] whether this subscriber wants background refetches
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(key, listener, isEnabled = () => true) {
+    const entry = this._entry(key);
+    entry.listeners.set(listener, isEnabled);
+    clearTimeout(entry.gcTimer);
+    entry.gcTimer = null;
+    return () => {
+      entry.listeners.delete(listener);
+      if (entry.listeners.size) return;
+      // nobody is waiting for the result anymore
+      entry.controller?.abort();
+      if (this.cacheTime === Infinity) return;
+      entry.gcTimer = setTimeout(() => {
+        if (!entry.listeners.size && this.entries.get(key) === entry) this.entries.delete(key);
+      }, this.cacheTime);
+      // do not keep Node (tests, SSR) alive just to collect garbage
+      entry.gcTimer.unref?.();
+    };
+  }
+
+  /**
+   * Listen to changes of any entry (persistence, devtools).
+   * @param {(key: string) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  subscribeAll(listener) {
+    this.listeners.add(listener);
+    return () => { this.listeners.delete(listener); };
+  }
+
+  /**
+   * Replace cached data; `updater` receives the previous value.
+   * @param {string} key
+   * @param {any|((prev: any) => any)} updater
+   * @returns {any}
+   */
+  setQueryData(key, updater) {
+    const entry = this._entry(key);
+    entry.data = typeof updater === 'function' ? updater(entry.data) : updater;
+    entry.error = null;
+    entry.updatedAt = Date.now();
+    entry.invalidated = false;
+    this._notify(entry);
+    return entry.data;
+  }
+
+  /**
+   * Mark entries stale and refetch the ones that are in use.
+   * @param {string|((key: string, entry: any) => boolean)} [matcher]
+   */
+  invalidate(matcher) {
+    this.entries.forEach((entry) => {
+      if (!matchesQuery(matcher, entry)) return;
+      entry.invalidated = true;
+      if (this._isActive(entry) && !isOffline()) this.fetch(entry.key, entry.fn, { force: true }).catch(() => {});
+      else this._notify(entry);
+    });
+  }
+
+  /**
+   * Drop cached data. Entries still in use are reset instead of deleted.
+   * @param {string|((key: string, entry: any) => boolean)} [matcher]
+   */
+  remove(matcher) {
+    this.entries.forEach((entry, key) => {
+      if (!matchesQuery(matcher, entry)) return;
+      entry.controller?.abort();
+      entry.promise = null;
+      entry.controller = null;
+      if (!entry.listeners.size) {
+        clearTimeout(entry.gcTimer);
+        this.entries.delete(key);
+        return;
+      }
+      entry.data = undefined;
+      entry.error = null;
+      entry.updatedAt = 0;
+      entry.invalidated = false;
+      this._notify(entry);
+    });
+  }
+
+  /** Refetch stale entries that are in use (window focus, reconnect). */
+  refetchStale() {
+    this.entries.forEach((entry) => {
+      if (this._isActive(entry) && this._isStale(entry)) {
+        this.fetch(entry.key, entry.fn).catch(() => {});
+      }
+    });
+  }
+
+  clear() {
+    this.remove();
+  }
+
+  /**
+   * Serializable snapshot of successful entries (SSR → client).
+   * @returns {DehydratedState}
+   */
+  dehydrate() {
+    const queries = [];
+    this.entries.forEach((entry) => {
+      if (!entry.updatedAt || entry.data === undefined) return;
+      queries.push({
+        key: entry.key,
+        data: entry.data,
+        updatedAt: entry.updatedAt,
+        auth: Boolean(entry.options.auth),
+        supabase: Boolean(entry.options.supabase)
+      });
+    });
+    return { queries };
+  }
+
+  /**
+   * Load a snapshot; entries that are already newer are kept.
+   * @param {DehydratedState} [state]
+   */
+  hydrate(state) {
+    (state?.queries || []).forEach(({ key, data, updatedAt, auth, supabase = false }) => {
+      const entry = this._entry(key);
+      if (entry.updatedAt >= updatedAt) return;
+      entry.data = data;
+      entry.error = null;
+      entry.updatedAt = updatedAt;
+      entry.invalidated = false;
+      entry.options = { ...entry.options, auth, supabase };
+      this._notify(entry);
+    });
+  }
+}
+
+/**
+ * Resolve ErrorResponse objects into thrown SexyGuardErrors.
+ * @param {any} res
+ * @returns {any}
+ */
+export function unwrapResult(res) {
+  if (!res || !res.error) return res;
+  // REST: { error: 'message', status }, Supabase: { data, error: PostgrestError }
+  throw normalizeError(typeof res.error === 'string' ? res : res.error);
+}
+
+/**
+ * Query keys and fetchers behind the built-in REST hooks; shared with server prefetching.
+ * @type {Record<string, {fn: (client: SexyGuardClient, ctx: {signal: AbortSignal}) => Promise<any>, auth: boolean}>}
+ */
+export const restQueries = {
+  profile: { fn: (client, { signal }) => client.getProfile({ signal }).then(unwrapResult), auth: true },
+  market: { fn: (client, { signal }) => client.getMarket({ signal }).then(unwrapResult), auth: false },
+  info: { fn: (client, { signal }) => client.getInfo({ signal }).then(unwrapResult), auth: false },
+  version: { fn: (client, { signal }) => client.getVersion({ signal }).then(unwrapResult), auth: false }
+};
+
+/**
+ * Fill `queryCache` with built-in REST queries; token-scoped ones only when a token is present.
+ * Failures are left out of the cache rather than thrown.
+ * @param {SexyGuardClient} client
+ * @param {QueryCache} queryCache
+ * @param {string[]} [keys]
+ * @returns {Promise<void>}
+ */
+export async function prefetchQueries(client, queryCache, keys = Object.keys(restQueries)) {
+  await Promise.all(keys.map((key) => {
+    const query = restQueries[key];
+    if (!query || (query.auth && !client.getToken())) return null;
+    return queryCache.fetch(key, (ctx) => query.fn(client, ctx), { auth: query.auth }).catch(() => null);
+  }));
+}
+
+/**
+ * @typedef {Object} PriceFormat
+ * @property {string} [currency] ISO 4217; without one the price is formatted as a plain number
+ * @property {string} [locale] runtime default when omitted
+ */
+
+/**
+ * @typedef {MarketItem & {
+ *   discountPercent: number,
+ *   onSale: boolean,
+ *   formattedPrice: string,
+ *   formattedOldPrice: string|null
+ * }} MarketProduct
+ */
+
+/**
+ * @typedef {Object} MarketQuery
+ * @property {(item: MarketProduct) => boolean} [filter]
+ * @property {'price-asc'|'price-desc'|'discount'|'name'|((a: MarketProduct, b: MarketProduct) => number)} [sortBy]
+ * @property {string} [search] case-insensitive, in `productName`
+ * @property {{min?: number|null, max?: number|null}} [priceRange] inclusive
+ */
+
+const priceFormatters = new Map();
+
+/**
+ * `Intl.NumberFormat` currency string; formatters are reused per currency / locale.
+ * The SDK does not guess a currency: without `currency` only the number is formatted.
+ * @param {number|null|undefined} value
+ * @param {PriceFormat} [format]
+ * @returns {string}
+ */
+export function formatPrice(value, { currency, locale } = {}) {
+  if (value === null || value === undefined || Number.isNaN(Number(value))) return '';
+  const key = `${locale || ''}|${currency || ''}`;
+  let formatter = priceFormatters.get(key);
+  if (!formatter) {
+    formatter = new Intl.NumberFormat(locale, currency ? { style: 'currency', currency } : { maximumFractionDigits: 2 });
+    priceFormatters.set(key, formatter);
+  }
+  return formatter.format(Number(value));
+}
+
+/**
+ * Add discount and display fields to a market item. `onSale` needs an old price above the current one.
+ * A `currency` sent with the item wins over the one in `format`.
+ * @param {MarketItem & {currency?: string}} item
+ * @param {PriceFormat} [format]
+ * @returns {MarketProduct}
+ */
+export function decorateMarketItem(item, format) {
+  const priceFormat = item.currency ? { ...format, currency: item.currency } : format;
+  const price = Number(item.productPrice);
+  const oldPrice = item.productOldPrice === null || item.productOldPrice === undefined ? null : Number(item.productOldPrice);
+  const onSale = oldPrice !== null && oldPrice > price;
+  return {
+    ...item,
+    discountPercent: onSale ? Math.round((1 - price / oldPrice) * 100) : 0,
+    onSale,
+    formattedPrice: formatPrice(price, priceFormat),
+    formattedOldPrice: oldPrice === null ? null : formatPrice(oldPrice, priceFormat)
+  };
+}
+
+const MARKET_SORTS = {
+  'price-asc': (a, b) => a.productPrice - b.productPrice,
+  'price-desc': (a, b) => b.productPrice - a.productPrice,
+  discount: (a, b) => b.discountPercent - a.discountPercent,
+  name: (a, b) => String(a.productName).localeCompare(String(b.productName))
+};
+
+/**
+ * Filter, search and sort decorated market items; the input array is not changed.
+ * @param {MarketProduct[]} items
+ * @param {MarketQuery} [query]
+ * @returns {MarketProduct[]}
+ */
+export function queryMarket(items, { filter, sortBy, search, priceRange } = {}) {
+  const needle = search ? search.trim().toLowerCase() : '';
+  const min = priceRange?.min ?? null;
+  const max = priceRange?.max ?? null;
+  const result = items.filter((item) => {
+    if (needle && !String(item.productName || '').toLowerCase().includes(needle)) return false;
+    if (min !== null && item.productPrice < min) return false;
+    if (max !== null && item.productPrice > max) return false;
+    return filter ? filter(item) : true;
+  });
+  const compare = typeof sortBy === 'function' ? sortBy : MARKET_SORTS[sortBy];
+  return compare ? result.sort(compare) : result;
+}
+
+/**
+ * @typedef {Object} CartLine
+ * @property {number} productId
+ * @property {number} quantity
+ * @property {MarketItem} item snapshot taken when the product was added
+ */
+
+/**
+ * Cart kept in a token-storage style adapter (`get` / `set` / `clear` / `subscribe`, string values)
+ * as JSON. Every store over the same adapter sees the same lines; other tabs arrive through `subscribe`.
+ * @param {Object} [opts]
+ * @param {ReturnType<typeof createTokenStorage>} [opts.storage] localStorage `sexyguard_cart` by default
+ */
+export function createCartStore({ storage = createTokenStorage({ key: 'sexyguard_cart' }) } = {}) {
+  const listeners = new Set();
+  const read = () => {
+    try {
+      const lines = JSON.parse(storage.get() || '[]');
+      return Array.isArray(lines) ? lines.filter((line) => line && line.quantity > 0) : [];
+    } catch {
+      return [];
+    }
+  };
+  /** @type {CartLine[]} */
+  let lines = read();
+  const emit = () => { listeners.forEach((listener) => listener(lines)); };
+  const write = (next) => {
+    lines = next;
+    if (next.length) storage.set(JSON.stringify(next));
+    else storage.clear();
+    emit();
+  };
+  let unsubscribeStorage = null;
+
+  return {
+    /** @returns {CartLine[]} */
+    getLines: () => lines,
+    /**
+     * @param {(lines: CartLine[]) => void} listener
+     * @returns {() => void}
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      if (!unsubscribeStorage && storage.subscribe) {
+        unsubscribeStorage = storage.subscribe(() => {
+          lines = read();
+          emit();
+        });
+      }
+      return () => {
+        listeners.delete(listener);
+        if (!listeners.size && unsubscribeStorage) {
+          unsubscribeStorage();
+          unsubscribeStorage = null;
+        }
+      };
+    },
+    /**
+     * @param {MarketItem} item
+     * @param {number} [quantity]
+     */
+    add(item, quantity = 1) {
+      const existing = lines.find((line) => line.productId === item.productId);
+      write(existing
+        ? lines.map((line) => (line === existing ? { ...line, item, quantity: line.quantity + quantity } : line))
+        : [...lines, { productId: item.productId, quantity, item }]);
+    },
+    /**
+     * @param {number} productId
+     * @param {number} quantity 0 or less removes the line
+     */
+    setQuantity(productId, quantity) {
+      write(quantity > 0
+        ? lines.map((line) => (line.productId === productId ? { ...line, quantity } : line))
+        : lines.filter((line) => line.productId !== productId));
+    },
+    /** @param {number} productId */
+    remove(productId) {
+      write(lines.filter((line) => line.productId !== productId));
+    },
+    clear() {
+      write([]);
+    }
+  };
+}
+
+/** js-backend versions this SDK build is written against. */
+export const SUPPORTED_BACKEND_VERSIONS = '^1.0.0';
+
+/**
+ * @param {string} version `1.2.3`, `v1.2`, `1.2.3-beta.1`; `x` / `*` parts count as missing
+ * @returns {{major: number, minor: number, patch: number, prerelease: string, parts: number}|null}
+ */
+export function parseVersion(version) {
+  const m = /^\s*[v=]?\s*(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?/.exec(String(version ?? ''));
+  if (!m) return null;
+  const given = [m[1], m[2], m[3]].filter((part) => part !== undefined && !/^[xX*]$/.test(part));
+  return {
+    major: Number(given[0] ?? 0),
+    minor: Number(given[1] ?? 0),
+    patch: Number(given[2] ?? 0),
+    prerelease: given.length === 3 ? m[4] || '' : '',
+    parts: given.length
+  };
+}
+
+function compareParsed(a, b) {
+  if (a.major !== b.major) return a.major - b.major;
+  if (a.minor !== b.minor) return a.minor - b.minor;
+  if (a.patch !== b.patch) return a.patch - b.patch;
+  if (a.prerelease === b.prerelease) return 0;
+  if (!a.prerelease) return 1;
+  if (!b.prerelease) return -1;
+  return a.prerelease < b.prerelease ? -1 : 1;
+}
+
+/**
+ * One comparator of a range (`^1.2`, `~1.2.3`, `>=1.0.0`, `1.x`) as `[operator, version]` pairs.
+ * @param {string} token
+ * @returns {[string, ReturnType<typeof parseVersion>][]|null}
+ */
+function rangeComparators(token) {
+  const m = /^(\^|~|>=|<=|>|<|=)?(.*)$/.exec(token);
+  const op = m[1] || '';
+  const v = parseVersion(m[2]);
+  if (!v) return null;
+  if (!v.parts) return [];
+  const next = (level) => ({
+    major: level === 0 ? v.major + 1 : v.major,
+    minor: level === 1 ? v.minor + 1 : level === 0 ? 0 : v.minor,
+    patch: level === 2 ? v.patch + 1 : 0,
+    prerelease: '',
+    parts: 3
+  });
+  if (op === '^') {
+    const level = v.major > 0 || v.parts === 1 ? 0 : v.minor > 0 || v.parts === 2 ? 1 : 2;
+    return [['>=', v], ['<', next(level)]];
+  }
+  if (op === '~') return [['>=', v], ['<', next(v.parts === 1 ? 0 : 1)]];
+  if (!op || op === '=') return v.parts === 3 ? [['=', v]] : [['>=', v], ['<', next(v.parts - 1)]];
+  // partial bounds: `>1.2` is past the whole 1.2.x line, `<=1.2` includes it
+  if (v.parts < 3 && op === '>') return [['>=', next(v.parts - 1)]];
+  if (v.parts < 3 && op === '<=') return [['<', next(v.parts - 1)]];
+  return [[op, v]];
+}
+
+/**
+ * npm-style range check: `^`, `~`, `>=` / `<` comparators separated by spaces, `x` wildcards and `||`.
+ * @param {string} version
+ * @param {string} range
+ * @returns {boolean} `false` for versions or ranges that do not parse
+ */
+export function satisfiesVersion(version, range) {
+  const v = parseVersion(version);
+  if (!v || v.parts === 0) return false;
+  const full = { ...v, parts: 3 };
+  return String(range).split('||').some((set) => {
+    const tokens = set.trim().replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1').split(/\s+/).filter(Boolean);
+    const comparators = tokens.map(rangeComparators);
+    if (comparators.some((c) => c === null)) return false;
+    return comparators.flat().every(([op, bound]) => {
+      const c = compareParsed(full, bound);
+      if (op === '>=') return c >= 0;
+      if (op === '>') return c > 0;
+      if (op === '<=') return c <= 0;
+      if (op === '<') return c < 0;
+      return c === 0;
+    });
+  });
+}
+
+/**
+ * @typedef {Object} BackendStatus
+ * @property {'unknown'|'online'|'degraded'|'down'} status down: no response; degraded: error status or slow
+ * @property {number|null} latencyMs of the last `/health` answer
+ * @property {number|null} checkedAt
+ * @property {SexyGuardError|null} error
+ * @property {number} failures checks in a row that were not `online`
+ * @property {string|null} version from `/api/v1/public/version`
+ * @property {boolean|null} compatible `version` satisfies `versionRange`; `null` until known
+ * @property {string|null} versionRange
+ * @property {boolean} paused the tab is hidden
+ */
+
+const HEALTHY_STATUSES = ['ok', 'healthy', 'up', 'pass'];
+
+const monotonicNow = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+/**
+ * Polls `/health`: every `intervalMs` while online, with exponential backoff from `retryMs` up to
+ * `maxBackoffMs` otherwise. Pauses while the document is hidden and checks right away on `online`.
+ * The backend version is checked on the first answer and after every outage.
+ */
+export class HealthMonitor {
+  /**
+   * @param {SexyGuardClient} client
+   * @param {Object} [opts]
+   * @param {number} [opts.intervalMs]
+   * @param {number} [opts.timeoutMs] a slower `/health` counts as down
+   * @param {number} [opts.degradedLatencyMs] a slower answer counts as degraded
+   * @param {number} [opts.retryMs] first retry after a failed check
+   * @param {number} [opts.maxBackoffMs]
+   * @param {string|null} [opts.versionRange] `null` skips the version check
+   * @param {(state: BackendStatus, prev: BackendStatus) => void} [opts.onChange] `status` changed
+   * @param {(info: {version: string, range: string}) => void} [opts.onIncompatible] once per version
+   */
+  constructor(client, {
+    intervalMs = 30000,
+    timeoutMs = 5000,
+    degradedLatencyMs = 1500,
+    retryMs = 5000,
+    maxBackoffMs = 5 * 60 * 1000,
+    versionRange = SUPPORTED_BACKEND_VERSIONS,
+    onChange,
+    onIncompatible
+  } = {}) {
+    this.client = client;
+    this.intervalMs = intervalMs;
+    this.timeoutMs = timeoutMs;
+    this.degradedLatencyMs = degradedLatencyMs;
+    this.retryMs = retryMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.versionRange = versionRange;
+    this.onChange = onChange;
+    this.onIncompatible = onIncompatible;
+    /** @type {BackendStatus} */
+    this.state = {
+      status: 'unknown',
+      latencyMs: null,
+      checkedAt: null,
+      error: null,
+      failures: 0,
+      version: null,
+      compatible: null,
+      versionRange,
+      paused: false
+    };
+    this.listeners = new Set();
+    this.running = false;
+    this._timer = null;
+    this._checking = null;
+    this._controller = null;
+    this._versionController = null;
+    this._reportedVersion = null;
+    this._onVisibility = () => this._visibilityChanged();
+    this._onOnline = () => { if (!this.state.paused) this.check(); };
+  }
+
+  /**
+   * @param {() => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => { this.listeners.delete(listener); };
+  }
+
+  /** @returns {BackendStatus} */
+  getState() {
+    return this.state;
+  }
+
+  _set(patch) {
+    const prev = this.state;
+    this.state = { ...prev, ...patch };
+    this.listeners.forEach((listener) => listener());
+    if (prev.status !== this.state.status && this.onChange) this.onChange(this.state, prev);
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    if (typeof document !== 'undefined') document.addEventListener('visibilitychange', this._onVisibility);
+    if (typeof window !== 'undefined') window.addEventListener('online', this._onOnline);
+    const hidden = typeof document !== 'undefined' && document.visibilityState === 'hidden';
+    if (hidden) this._set({ paused: true });
+    else this.check();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._controller?.abort();
+    this._versionController?.abort();
+    if (typeof document !== 'undefined') document.removeEventListener('visibilitychange', this._onVisibility);
+    if (typeof window !== 'undefined') window.removeEventListener('online', this._onOnline);
+  }
+
+  _visibilityChanged() {
+    if (document.visibilityState === 'hidden') {
+      clearTimeout(this._timer);
+      this._set({ paused: true });
+      return;
+    }
+    this._set({ paused: false });
+    const since = this.state.checkedAt ? Date.now() - this.state.checkedAt : Infinity;
+    if (since >= this._delay()) this.check();
+    else this._schedule(this._delay() - since);
+  }
+
+  _delay() {
+    const { status, failures } = this.state;
+    if (status === 'online' || !failures) return this.intervalMs;
+    return Math.min(this.maxBackoffMs, this.retryMs * 2 ** (failures - 1));
+  }
+
+  _schedule(delay = this._delay()) {
+    clearTimeout(this._timer);
+    if (!this.running || this.state.paused) return;
+    this._timer = setTimeout(() => this.check(), delay);
+  }
+
+  /**
+   * Check now; concurrent calls share one request.
+   * @returns {Promise<BackendStatus>}
+   */
+  check() {
+    if (!this._checking) {
+      this._checking = this._run().finally(() => {
+        this._checking = null;
+        this._schedule();
+      });
+    }
+    return this._checking;
+  }
+
+  async _run() {
+    clearTimeout(this._timer);
+    const controller = new AbortController();
+    this._controller = controller;
+    const started = monotonicNow();
+    const wasDown = this.state.status === 'down' || this.state.status === 'unknown';
+    let status;
+    let error = null;
+    let latencyMs = null;
+    try {
+      const res = await this.client.health({ signal: controller.signal, timeoutMs: this.timeoutMs, retry: false, queue: false });
+      latencyMs = Math.round(monotonicNow() - started);
+      if (res?.error) {
+        status = 'degraded';
+        error = normalizeError(res);
+      } else if (typeof res?.status === 'string' && !HEALTHY_STATUSES.includes(res.status.toLowerCase())) {
+        status = 'degraded';
+      } else {
+        status = latencyMs > this.degradedLatencyMs ? 'degraded' : 'online';
+      }
+    } catch (err) {
+      if (controller.signal.aborted && !this.running) return this.state;
+      error = normalizeError(err);
+      // an HTTP error still means the backend answered
+      status = error.status ? 'degraded' : 'down';
+      if (error.status) latencyMs = Math.round(monotonicNow() - started);
+    }
+    this._set({
+      status,
+      latencyMs,
+      error,
+      checkedAt: Date.now(),
+      failures: status === 'online' ? 0 : this.state.failures + 1
+    });
+    if (status !== 'down' && (wasDown || this.state.version === null)) await this._checkVersion(controller);
+    return this.state;
+  }
+
+  /**
+   * Fetch `/api/v1/public/version` and compare it with `versionRange`. `stop()` cancels it.
+   * @returns {Promise<boolean|null>} compatibility, `null` when unknown
+   */
+  checkVersion() {
+    const controller = new AbortController();
+    this._versionController = controller;
+    return this._checkVersion(controller);
+  }
+
+  /** @param {AbortController} controller aborted by `stop()` */
+  async _checkVersion(controller) {
+    if (!this.versionRange) return null;
+    let res;
+    try {
+      res = await this.client.getVersion({ signal: controller.signal, timeoutMs: this.timeoutMs, retry: false, queue: false });
+    } catch {
+      return this.state.compatible;
+    }
+    // stopped while the request was out: neither state nor callbacks change
+    if (controller.signal.aborted) return this.state.compatible;
+    if (!res || res.error || !res.version) return this.state.compatible;
+    const compatible = satisfiesVersion(res.version, this.versionRange);
+    this._set({ version: res.version, compatible });
+    if (!compatible && this._reportedVersion !== res.version) {
+      this._reportedVersion = res.version;
+      this.onIncompatible?.({ version: res.version, range: this.versionRange });
+    }
+    return compatible;
+  }
+}
+
+/**
+ * @typedef {Object} OfflineMutation
+ * @property {string} id
+ * @property {number} seq replay order
+ * @property {'rest'|'supabase'} kind
+ * @property {string} [path] REST
+ * @property {string} [method] REST
+ * @property {any} [body] REST
+ * @property {boolean} [auth] REST
+ * @property {string} [schema] Supabase
+ * @property {string} [table] Supabase
+ * @property {'insert'|'update'|'delete'} [op] Supabase
+ * @property {any} [payload] Supabase
+ * @property {Record<string, any>} [match] Supabase
+ * @property {'pending'|'failed'} status
+ * @property {number} attempts
+ * @property {{message: string, status: number|null}|null} error last replay failure
+ * @property {number} createdAt
+ */
+
+/**
+ * @typedef {Object} OfflineStore
+ * @property {() => Promise<OfflineMutation[]>} getAll
+ * @property {(item: OfflineMutation) => Promise<void>} put
+ * @property {(id: string) => Promise<void>} delete
+ * @property {() => Promise<void>} clear
+ */
+
+/**
+ * @param {IDBRequest} req
+ * @returns {Promise<any>}
+ */
+function idbResult(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Lazily open one object store; `run` falls back when the database cannot be opened.
+ * @param {string} name database name
+ * @param {string} storeName
+ * @param {string} [keyPath] omit for out-of-line keys
+ */
+function idbRunner(name, storeName, keyPath) {
+  let opening = null;
+  return async (mode, fn, fallback) => {
+    if (!opening) {
+      const req = indexedDB.open(name, 1);
+      req.onupgradeneeded = () => { req.result.createObjectStore(storeName, keyPath ? { keyPath } : undefined); };
+      opening = idbResult(req).catch(() => null);
+    }
+    const db = await opening;
+    if (!db) return fallback();
+    return idbResult(fn(db.transaction(storeName, mode).objectStore(storeName)));
+  };
+}
+
+/**
+ * Storage for the offline queue: IndexedDB, or memory when IndexedDB is missing
+ * (SSR, tests) or cannot be opened (some private modes).
+ * @param {Object} [opts]
+ * @param {'indexeddb'|'memory'} [opts.type]
+ * @param {string} [opts.name] IndexedDB database name
+ * @returns {OfflineStore}
+ */
+export function createOfflineStore({ type = 'indexeddb', name = 'sexyguard_offline' } = {}) {
+  const memory = new Map();
+  const memoryStore = {
+    getAll: async () => [...memory.values()],
+    put: async (item) => { memory.set(item.id, item); },
+    delete: async (id) => { memory.delete(id); },
+    clear: async () => { memory.clear(); }
+  };
+  if (type === 'memory' || typeof indexedDB === 'undefined') return memoryStore;
+
+  const run = idbRunner(name, 'mutations', 'id');
+  return {
+    getAll: () => run('readonly', (store) => store.getAll(), memoryStore.getAll),
+    put: (item) => run('readwrite', (store) => store.put(item), () => memoryStore.put(item)).then(() => {}),
+    delete: (id) => run('readwrite', (store) => store.delete(id), () => memoryStore.delete(id)).then(() => {}),
+    clear: () => run('readwrite', (store) => store.clear(), memoryStore.clear).then(() => {})
+  };
+}
+
+/**
+ * Send a queued mutation. Throws SexyGuardNetworkError while the backend is still
+ * unreachable and a typed HTTP error when it rejects the change.
+ * @param {OfflineMutation} item
+ * @param {{client?: SexyGuardClient, supabase?: any}} targets
+ * @returns {Promise<any>}
+ */
+export async function sendOfflineMutation(item, { client, supabase } = {}) {
+  if (item.kind === 'rest') {
+    const request = { path: item.path, method: item.method };
+    if (!client) throw new SexyGuardNetworkError('REST client is not available', null, null, request);
+    let res;
+    try {
+      res = await client.request(item.path, { method: item.method, body: item.body, auth: item.auth, queue: false });
+    } catch (err) {
+      throw toRequestError(err, request);
+    }
+    if (res?.error) throw createHttpError(res.status || 400, res, request);
+    return res;
+  }
+
+  const request = { path: `${item.schema || 'public'}.${item.table}`, method: item.op };
+  if (!supabase) throw new SexyGuardNetworkError('Supabase is not available', null, null, request);
+  let builder = supabase.schema(item.schema || 'public').from(item.table);
+  if (item.op === 'insert') builder = builder.insert(item.payload);
+  else if (item.op === 'update') builder = builder.update(item.payload);
+  else builder = builder.delete();
+  Object.entries(item.match || {}).forEach(([k, v]) => { builder = builder.eq(k, v); });
+  const res = await (item.op === 'delete' ? builder : builder.select());
+  if (res.error) {
+    // postgrest reports fetch failures as status 0
+    if (!res.status) throw new SexyGuardNetworkError(res.error.message, null, res.error, request);
+    throw createHttpError(res.status, res.error, request);
+  }
+  return res.data;
+}
+
+/**
+ * @param {SexyGuardError} error
+ * @returns {boolean}
+ */
+function isUnreachable(error) {
+  return error instanceof SexyGuardNetworkError || error instanceof SexyGuardTimeoutError;
+}
+
+/**
+ * Ordered queue of mutations made while the backend was unreachable.
+ * `replay()` sends them oldest first and stops at the first network failure, so a later
+ * change never overtakes an earlier one. Rejected mutations go to `onConflict`: return
+ * 'discard' to drop it, 'retry' to keep it pending for the next replay; otherwise it is
+ * marked failed and waits for `retry(id)`.
+ */
+export class OfflineQueue {
+  /**
+   * @param {Object} [opts]
+   * @param {OfflineStore} [opts.store]
+   * @param {(item: OfflineMutation) => Promise<any>} [opts.send] e.g. `sendOfflineMutation`
+   * @param {(item: OfflineMutation, error: SexyGuardError) => 'discard'|'retry'|'keep'|void|Promise<'discard'|'retry'|'keep'|void>} [opts.onConflict]
+   * @param {(summary: {sent: number, failed: number, pending: number}) => void} [opts.onReplay]
+   */
+  constructor({ store = createOfflineStore(), send, onConflict, onReplay } = {}) {
+    this.store = store;
+    this.send = send;
+    this.onConflict = onConflict;
+    this.onReplay = onReplay;
+    this.items = [];
+    this.replaying = false;
+    this.listeners = new Set();
+    this._seq = 0;
+    this._replay = null;
+    this.ready = store.getAll().then((items) => {
+      this.items = items.sort((a, b) => a.seq - b.seq);
+      this._seq = this.items.reduce((max, item) => Math.max(max, item.seq), 0);
+      this._notify();
+    }, () => {});
+  }
+
+  /**
+   * @param {() => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => { this.listeners.delete(listener); };
+  }
+
+  _notify() {
+    this.listeners.forEach((listener) => listener());
+  }
+
+  /** @returns {OfflineMutation[]} */
+  getItems() {
+    return this.items;
+  }
+
+  /**
+   * @param {Omit<OfflineMutation, 'id'|'seq'|'status'|'attempts'|'error'|'createdAt'>} mutation
+   * @returns {Promise<OfflineMutation>}
+   */
+  async enqueue(mutation) {
+    await this.ready;
+    const item = {
+      ...mutation,
+      id: globalThis.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`,
+      seq: ++this._seq,
+      status: 'pending',
+      attempts: 0,
+      error: null,
+      createdAt: Date.now()
+    };
+    this.items = [...this.items, item];
+    this._notify();
+    await this.store.put(item);
+    return item;
+  }
+
+  async _update(item, patch) {
+    const next = { ...item, ...patch };
+    this.items = this.items.map((i) => (i.id === item.id ? next : i));
+    this._notify();
+    await this.store.put(next);
+    return next;
+  }
+
+  /** @param {string} id */
+  async discard(id) {
+    await this.ready;
+    this.items = this.items.filter((i) => i.id !== id);
+    this._notify();
+    await this.store.delete(id);
+  }
+
+  /**
+   * Put failed mutations (or only `id`) back in line and replay.
+   * @param {string} [id]
+   */
+  async retry(id) {
+    await this.ready;
+    for (const item of this.items) {
+      if (item.status === 'failed' && (id === undefined || item.id === id)) {
+        await this._update(item, { status: 'pending', error: null });
+      }
+    }
+    return this.replay();
+  }
+
+  /**
+   * Send pending mutations in order; concurrent calls share one pass.
+   * @returns {Promise<{sent: number, failed: number, pending: number}>}
+   */
+  replay() {
+    if (!this._replay) {
+      this._replay = this._run().finally(() => {
+        this._replay = null;
+        this.replaying = false;
+        this._notify();
+      });
+    }
+    return this._replay;
+  }
+
+  async _run() {
+    await this.ready;
+    this.replaying = true;
+    this._notify();
+    const tried = new Set();
+    let sent = 0;
+    let failed = 0;
+    // mutations enqueued during the pass are sent in the same pass
+    for (;;) {
+      const item = this.items.find((i) => i.status === 'pending' && !tried.has(i.id));
+      if (!item) break;
+      tried.add(item.id);
+      try {
+        await this.send(item);
+      } catch (err) {
+        const error = normalizeError(err);
+        const current = await this._update(item, {
+          attempts: item.attempts + 1,
+          error: { message: error.message, status: error.status }
+        });
+        if (isUnreachable(error)) break;
+        const decision = this.onConflict ? await this.onConflict(current, error) : undefined;
+        if (decision === 'discard') {
+          await this.discard(item.id);
+        } else if (decision !== 'retry') {
+          await this._update(current, { status: 'failed' });
+          failed += 1;
+        }
+        continue;
+      }
+      await this.discard(item.id);
+      sent += 1;
+    }
+    const summary = { sent, failed, pending: this.items.filter((i) => i.status === 'pending').length };
+    this.onReplay?.(summary);
+    return summary;
+  }
+}
+
+/**
+ * Client middleware that parks mutations failing with a network error in `queue` and
+ * resolves them as `{ status: 'queued', queued: true, offlineId }`. Reads, auth endpoints
+ * and requests sent with `queue: false` fail as usual.
+ * @param {OfflineQueue} queue
+ * @param {{shouldQueue?: (ctx: RequestContext) => boolean}} [opts]
+ * @returns {Middleware}
+ */
+export function createOfflineMiddleware(queue, { shouldQueue } = {}) {
+  return {
+    onError: async (error, ctx) => {
+      if (ctx.queue === false || ['GET', 'HEAD', 'OPTIONS'].includes(ctx.method)) return undefined;
+      if (ctx.path.startsWith('/api/v1/auth/')) return undefined;
+      // a timeout may have reached the backend: replaying it could apply the change twice
+      if (!(error instanceof SexyGuardNetworkError || error instanceof TypeError)) return undefined;
+      if (shouldQueue && !shouldQueue(ctx)) return undefined;
+      const item = await queue.enqueue({ kind: 'rest', path: ctx.path, method: ctx.method, body: ctx.body, auth: ctx.auth });
+      return { status: 'queued', queued: true, offlineId: item.id };
+    }
+  };
+}
+
+/**
+ * @typedef {Object} PersistedQueryCache
+ * @property {string} buster
+ * @property {number} savedAt
+ * @property {{rest: string|null, supabase: string|null}} scope hashed REST token and Supabase user id
+ * @property {{key: string, data: any, updatedAt: number, auth: boolean, supabase: boolean}[]} queries
+ */
+
+/**
+ * @typedef {Object} CachePersister
+ * @property {() => PersistedQueryCache|null|Promise<PersistedQueryCache|null>} load may answer synchronously
+ * @property {(snapshot: PersistedQueryCache) => void|Promise<void>} save
+ * @property {() => void|Promise<void>} remove
+ */
+
+/** Default `maxAge` of persisted entries: one day. */
+const PERSIST_MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * FNV-1a; keeps tokens out of persisted snapshots while still telling users apart.
+ * @param {string|null|undefined} value
+ * @returns {string|null}
+ */
+function hashScope(value) {
+  if (!value) return null;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i += 1) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Where the query cache survives reloads. localStorage loads synchronously, so restored
+ * data is there on the first render; IndexedDB is asynchronous but has room for more.
+ * Without the chosen backend (SSR) the snapshot lives in memory.
+ * @param {Object} [opts]
+ * @param {'localStorage'|'indexeddb'|'memory'} [opts.type]
+ * @param {string} [opts.key] localStorage key / IndexedDB database name
+ * @returns {CachePersister}
+ */
+export function createCachePersister({ type = 'localStorage', key = 'sexyguard_cache' } = {}) {
+  let memory = null;
+  const memoryPersister = {
+    load: () => memory,
+    save: (snapshot) => { memory = snapshot; },
+    remove: () => { memory = null; }
+  };
+
+  if (type === 'localStorage' && typeof window !== 'undefined') {
+    return {
+      load: () => {
+        try {
+          return JSON.parse(window.localStorage.getItem(key) || 'null');
+        } catch {
+          return null;
+        }
+      },
+      save: (snapshot) => {
+        try {
+          window.localStorage.setItem(key, JSON.stringify(snapshot));
+        } catch {
+          // quota exceeded: keep the previous snapshot
+        }
+      },
+      remove: () => { window.localStorage.removeItem(key); }
+    };
+  }
+
+  if (type === 'indexeddb' && typeof indexedDB !== 'undefined') {
+    const run = idbRunner(key, 'snapshots');
+    return {
+      load: () => run('readonly', (store) => store.get('cache'), memoryPersister.load).then((snapshot) => snapshot || null),
+      save: (snapshot) => run('readwrite', (store) => store.put(snapshot, 'cache'), () => memoryPersister.save(snapshot)).then(() => {}),
+      remove: () => run('readwrite', (store) => store.delete('cache'), memoryPersister.remove).then(() => {})
+    };
+  }
+
+  return memoryPersister;
+}
+
+/**
+ * Load a persisted snapshot into `cache`. A snapshot with another `buster` is ignored, and
+ * entries older than `maxAge` are skipped. Token-scoped entries are restored only for the
+ * same token, Supabase-scoped ones only for the same user; `userId: undefined` (session not
+ * known yet) skips the latter, so call again once it is known.
+ * @param {QueryCache} cache
+ * @param {PersistedQueryCache|null|undefined} snapshot
+ * @param {{buster?: string, maxAge?: number, token?: string|null, userId?: string|null}} [opts]
+ * @returns {number} restored entries
+ */
+export function hydratePersistedCache(cache, snapshot, { buster = '', maxAge = PERSIST_MAX_AGE, token = null, userId } = {}) {
+  if (!snapshot || snapshot.buster !== buster || !Array.isArray(snapshot.queries)) return 0;
+  const now = Date.now();
+  const rest = hashScope(token);
+  const supabase = userId === undefined ? undefined : hashScope(userId);
+  const queries = snapshot.queries.filter((query) => {
+    if (now - query.updatedAt > maxAge) return false;
+    if (query.auth && (!rest || snapshot.scope?.rest !== rest)) return false;
+    if (query.supabase && (supabase === undefined || snapshot.scope?.supabase !== supabase)) return false;
+    return true;
+  });
+  cache.hydrate({ queries });
+  return queries.length;
+}
+
+/**
+ * Save `cache` into `persister` whenever it changes (throttled, flushed on `pagehide`).
+ * Entries invalidated by a token change are left out until they are refetched.
+ * @param {QueryCache} cache
+ * @param {CachePersister} persister
+ * @param {Object} opts
+ * @param {() => {token: string|null, userId: string|null}} opts.getScope
+ * @param {string} [opts.buster]
+ * @param {number} [opts.throttleMs]
+ * @param {(key: string) => boolean} [opts.filter] which keys to persist
+ * @returns {() => void} stop
+ */
+export function persistQueryCache(cache, persister, { getScope, buster = '', throttleMs = 1000, filter }) {
+  let timer = null;
+  const save = () => {
+    clearTimeout(timer);
+    timer = null;
+    const { token, userId } = getScope();
+    const queries = cache.dehydrate().queries.filter((query) => {
+      if (cache.entries.get(query.key)?.invalidated && (query.auth || query.supabase)) return false;
+      return !filter || filter(query.key);
+    });
+    Promise.resolve(persister.save({
+      buster,
+      savedAt: Date.now(),
+      scope: { rest: hashScope(token), supabase: hashScope(userId) },
+      queries
+    })).catch(() => {});
+  };
+  const schedule = () => {
+    if (!timer) timer = setTimeout(save, throttleMs);
+  };
+  const flush = () => { if (timer) save(); };
+  const unsubscribe = cache.subscribeAll(schedule);
+  if (typeof window !== 'undefined') window.addEventListener('pagehide', flush);
+  return () => {
+    unsubscribe();
+    clearTimeout(timer);
+    timer = null;
+    if (typeof window !== 'undefined') window.removeEventListener('pagehide', flush);
+  };
+}
+
+/**
+ * Lazy create Supabase client.
+ * @param {{supabaseUrl: string, supabaseKey: string, options?: any}} params
+ * @returns {Promise<any>}
+ */
+export async function createSupabaseClient({ supabaseUrl, supabaseKey, options } = {}) {
+  if (!supabaseUrl || !supabaseKey) throw new Error('supabaseUrl and supabaseKey are required');
+  const mod = await import('@supabase/supabase-js');
+  return mod.createClient(supabaseUrl, supabaseKey, options);
+}
+
+/**
+ * @typedef {Object} StorageUploadOptions
+ * @property {boolean} [upsert]
+ * @property {string} [contentType]
+ * @property {string} [cacheControl] seconds, default '3600'
+ * @property {(progress: {loaded: number, total: number}) => void} [onProgress]
+ * @property {AbortSignal} [signal]
+ * @property {boolean} [resumable] TUS upload through the optional `tus-js-client`
+ * @property {string|null} [accessToken] user JWT; the anon key is used without it
+ * @property {string} [supabaseUrl] project URL; with `supabaseKey` enables progress and `resumable`
+ * @property {string} [supabaseKey] anon key of the project
+ */
+
+/** Supabase only accepts 6 MB TUS chunks. */
+const TUS_CHUNK_SIZE = 6 * 1024 * 1024;
+
+function storageEndpoint(supabaseUrl) {
+  return `${String(supabaseUrl).replace(/\/$/, '')}/storage/v1`;
+}
+
+function storageHeaders(supabaseKey, accessToken) {
+  return {
+    apikey: supabaseKey,
+    Authorization: `Bearer ${accessToken || supabaseKey}`
+  };
+}
+
+function abortedResult() {
+  return { data: null, error: { name: 'AbortError', message: 'Upload aborted' } };
+}
+
+/** Single-request upload with progress events (browsers). */
+function xhrUpload(bucket, path, file, { upsert, contentType, cacheControl, onProgress, signal, accessToken, supabaseUrl, supabaseKey }) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve(abortedResult());
+      return;
+    }
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', `${storageEndpoint(supabaseUrl)}/object/${bucket}/${path}`);
+    const headers = {
+      ...storageHeaders(supabaseKey, accessToken),
+      'content-type': contentType || file.type || 'application/octet-stream',
+      'cache-control': `max-age=${cacheControl}`,
+      'x-upsert': String(Boolean(upsert))
+    };
+    Object.entries(headers).forEach(([k, v]) => xhr.setRequestHeader(k, v));
+    xhr.upload.onprogress = (e) => {
+      if (onProgress) onProgress({ loaded: e.loaded, total: e.total || file.size });
+    };
+    xhr.onload = () => {
+      let body = null;
+      try { body = JSON.parse(xhr.responseText); } catch { body = null; }
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve({ data: { path, id: body?.Id ?? null, fullPath: body?.Key ?? `${bucket}/${path}` }, error: null });
+      } else {
+        resolve({ data: null, error: { message: body?.message || body?.error || xhr.statusText, statusCode: String(xhr.status) } });
+      }
+    };
+    xhr.onerror = () => resolve({ data: null, error: { message: 'Network error' } });
+    xhr.onabort = () => resolve(abortedResult());
+    signal?.addEventListener('abort', () => xhr.abort(), { once: true });
+    xhr.send(file);
+  });
+}
+
+/** Resumable upload; an interrupted upload of the same file continues where it stopped. */
+async function tusUpload(bucket, path, file, { upsert, contentType, cacheControl, onProgress, signal, accessToken, supabaseUrl, supabaseKey }) {
+  let Upload;
+  try {
+    ({ Upload } = await import('tus-js-client'));
+  } catch {
+    return { data: null, error: { message: 'Resumable uploads need the tus-js-client package' } };
+  }
+  if (signal?.aborted) return abortedResult();
+
+  return new Promise((resolve) => {
+    const upload = new Upload(file, {
+      endpoint: `${storageEndpoint(supabaseUrl)}/upload/resumable`,
+      retryDelays: [0, 3000, 5000, 10000, 20000],
+      headers: { ...storageHeaders(supabaseKey, accessToken), 'x-upsert': String(Boolean(upsert)) },
+      uploadDataDuringCreation: true,
+      removeFingerprintOnSuccess: true,
+      metadata: {
+        bucketName: bucket,
+        objectName: path,
+        contentType: contentType || file.type || 'application/octet-stream',
+        cacheControl
+      },
+      chunkSize: TUS_CHUNK_SIZE,
+      onProgress: (loaded, total) => {
+        if (onProgress) onProgress({ loaded, total });
+      },
+      onError: (error) => resolve({ data: null, error }),
+      onSuccess: () => resolve({ data: { path, id: null, fullPath: `${bucket}/${path}` }, error: null })
+    });
+    signal?.addEventListener('abort', () => {
+      upload.abort(true).catch(() => {});
+      resolve(abortedResult());
+    }, { once: true });
+    upload.findPreviousUploads().then((previous) => {
+      if (previous.length) upload.resumeFromPreviousUpload(previous[0]);
+      upload.start();
+    }).catch((err) => resolve({ data: null, error: normalizeError(err) }));
+  });
+}
+
+/**
+ * Upload a file to Supabase Storage: TUS when `resumable`, XHR with progress in browsers,
+ * otherwise `storage.from(bucket).upload()`. The first two talk to the Storage API directly
+ * and need `supabaseUrl` and `supabaseKey`.
+ * @param {any} supabase
+ * @param {string} bucket
+ * @param {string} path
+ * @param {Blob|File|ArrayBuffer} file
+ * @param {StorageUploadOptions} [options]
+ * @returns {Promise<{data: {path: string, id: string|null, fullPath: string}|null, error: any}>}
+ */
+export async function uploadToStorage(supabase, bucket, path, file, options = {}) {
+  const opts = { cacheControl: '3600', upsert: false, ...options };
+  // same normalization as storage-js: no leading / trailing / repeated slashes
+  const objectPath = path.replace(/^\/+|\/+$/g, '').replace(/\/+/g, '/');
+  const direct = Boolean(opts.supabaseUrl && opts.supabaseKey);
+  if (opts.resumable) {
+    if (!direct) return { data: null, error: { message: 'Resumable uploads need supabaseUrl and supabaseKey' } };
+    return tusUpload(bucket, objectPath, file, opts);
+  }
+  if (direct && typeof XMLHttpRequest !== 'undefined') return xhrUpload(bucket, objectPath, file, opts);
+  if (opts.signal?.aborted) return abortedResult();
+  return supabase.storage.from(bucket).upload(objectPath, file, {
+    upsert: opts.upsert,
+    contentType: opts.contentType,
+    cacheControl: opts.cacheControl
+  });
+}
+
+/** Signed URLs per Supabase client: `${bucket}\u0000${path}\u0000${options}` → { url, expiresAt, promise } */
+const signedUrls = new WeakMap();
+
+function signedUrlEntries(supabase) {
+  let entries = signedUrls.get(supabase);
+  if (!entries) {
+    entries = new Map();
+    signedUrls.set(supabase, entries);
+  }
+  return entries;
+}
+
+function signedUrlKey(bucket, path, { expiresIn = 3600, download, transform } = {}) {
+  return [bucket, path, JSON.stringify([expiresIn, download ?? null, transform ?? null])].join('\u0000');
+}
+
+/** Reuse a signed URL until the last tenth of its lifetime (at most a minute). */
+function isFresh(entry, expiresIn) {
+  return Boolean(entry?.url) && entry.expiresAt - Date.now() > Math.min(60000, expiresIn * 100);
+}
+
+/**
+ * Cached signed URL, or `null` when none is usable. Synchronous, for first renders.
+ * @param {any} supabase
+ * @param {string} bucket
+ * @param {string} path
+ * @param {{expiresIn?: number, download?: boolean|string, transform?: Object}} [options]
+ * @returns {string|null}
+ */
+export function peekSignedUrl(supabase, bucket, path, options = {}) {
+  const entry = signedUrlEntries(supabase).get(signedUrlKey(bucket, path, options));
+  return isFresh(entry, options.expiresIn ?? 3600) ? entry.url : null;
+}
+
+/**
+ * Signed URL for a private object, cached until shortly before it expires.
+ * @param {any} supabase
+ * @param {string} bucket
+ * @param {string} path
+ * @param {{expiresIn?: number, download?: boolean|string, transform?: Object}} [options]
+ * @returns {Promise<{data: {signedUrl: string}|null, error: any}>}
+ */
+export async function getCachedSignedUrl(supabase, bucket, path, options = {}) {
+  const { expiresIn = 3600, download, transform } = options;
+  const entries = signedUrlEntries(supabase);
+  const key = signedUrlKey(bucket, path, options);
+  const cached = entries.get(key);
+  if (isFresh(cached, expiresIn)) return { data: { signedUrl: cached.url }, error: null };
+  if (cached?.promise) return cached.promise;
+
+  const promise = supabase.storage.from(bucket)
+    .createSignedUrl(path, expiresIn, { download, transform })
+    .then(({ data, error }) => {
+      if (error || !data?.signedUrl) {
+        entries.delete(key);
+        return { data: null, error };
+      }
+      entries.set(key, { url: data.signedUrl, expiresAt: Date.now() + expiresIn * 1000, promise: null });
+      return { data: { signedUrl: data.signedUrl }, error: null };
+    });
+  entries.set(key, { url: null, expiresAt: 0, promise });
+  return promise;
+}
+
+/**
+ * Forget cached signed URLs of the given paths (after remove / move / overwrite).
+ * @param {any} supabase
+ * @param {string} bucket
+ * @param {string[]} paths
+ */
+export function invalidateSignedUrls(supabase, bucket, paths) {
+  const entries = signedUrls.get(supabase);
+  if (!entries) return;
+  const prefixes = paths.map((path) => `${bucket}\u0000${path}\u0000`);
+  [...entries.keys()].forEach((key) => {
+    if (prefixes.some((prefix) => key.startsWith(prefix))) entries.delete(key);
+  });
+}
+
+/** PostgREST filters accepted in `useSupabaseTable({ filters })`. */
+export const FILTER_OPS = new Set([
+  'eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'is', 'in',
+  'like', 'ilike', 'likeAllOf', 'likeAnyOf', 'ilikeAllOf', 'ilikeAnyOf',
+  'contains', 'containedBy', 'overlaps',
+  'rangeGt', 'rangeGte', 'rangeLt', 'rangeLte', 'rangeAdjacent',
+  'textSearch', 'match', 'not', 'or', 'filter'
+]);
+
+/**
+ * @typedef {Object} TableFilter
+ * @property {string} op one of FILTER_OPS
+ * @property {string} [column]
+ * @property {any} [value] `or`: PostgREST logic string, `match`: object
+ * @property {string} [operator] for `not` / `filter`
+ * @property {Object} [options] e.g. `{ referencedTable }` for `or`, `{ type, config }` for `textSearch`
+ */
+
+/** Equality as PostgREST sees it: filter values often arrive as strings. */
+export function looseEqual(a, b) {
+  return a === b || (a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b));
+}
+
+/** Order two column values: numerically when both are numeric, otherwise as strings. */
+export function compareValues(a, b) {
+  const na = Number(a);
+  const nb = Number(b);
+  if (a !== '' && b !== '' && !Number.isNaN(na) && !Number.isNaN(nb)) return na - nb;
+  const sa = String(a);
+  const sb = String(b);
+  return sa < sb ? -1 : sa > sb ? 1 : 0;
+}
+
+/** `like` / `ilike` pattern (`%`, `*`, `_`) to a RegExp. */
+export function likeToRegExp(pattern, flags) {
+  const src = String(pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/[%*]/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${src}$`, flags);
+}
+
+/**
+ * Evaluate one filter against a row the way the server would.
+ * @param {any} row
+ * @param {TableFilter} f
+ * @returns {boolean|null} `null` when it cannot be decided client-side
+ */
+export function filterMatches(row, f) {
+  if (!f || !FILTER_OPS.has(f.op)) return true;
+  const v = row[f.column];
+  const present = v !== null && v !== undefined;
+  switch (f.op) {
+    case 'eq': return looseEqual(v, f.value);
+    case 'neq': return present && !looseEqual(v, f.value);
+    case 'gt': return present && compareValues(v, f.value) > 0;
+    case 'gte': return present && compareValues(v, f.value) >= 0;
+    case 'lt': return present && compareValues(v, f.value) < 0;
+    case 'lte': return present && compareValues(v, f.value) <= 0;
+    case 'is': return f.value === null ? !present : v === f.value;
+    case 'in': return Array.isArray(f.value) ? f.value.some((x) => looseEqual(v, x)) : null;
+    case 'like': return typeof v === 'string' && likeToRegExp(f.value).test(v);
+    case 'ilike': return typeof v === 'string' && likeToRegExp(f.value, 'i').test(v);
+    case 'contains':
+      if (Array.isArray(f.value)) return Array.isArray(v) && f.value.every((x) => v.includes(x));
+      if (f.value && typeof f.value === 'object') {
+        return Boolean(v) && typeof v === 'object'
+          && Object.entries(f.value).every(([k, x]) => JSON.stringify(v[k]) === JSON.stringify(x));
+      }
+      return null;
+    case 'containedBy':
+      return Array.isArray(f.value) && Array.isArray(v) ? v.every((x) => f.value.includes(x)) : null;
+    case 'overlaps':
+      return Array.isArray(f.value) && Array.isArray(v) ? v.some((x) => f.value.includes(x)) : null;
+    case 'match': return Object.entries(f.value || {}).every(([k, x]) => looseEqual(row[k], x));
+    case 'not': {
+      if (!['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'is', 'like', 'ilike'].includes(f.operator)) return null;
+      const inner = filterMatches(row, { op: f.operator, column: f.column, value: f.value });
+      return inner === null ? null : !inner;
+    }
+    default: return null;
+  }
+}
+
+/**
+ * @param {any} row
+ * @param {TableFilter[]} filters
+ * @returns {boolean|null}
+ */
+export function rowMatchesFilters(row, filters) {
+  let result = true;
+  for (const f of filters || []) {
+    const m = filterMatches(row, f);
+    if (m === false) return false;
+    if (m === null) result = null;
+  }
+  return result;
+}
+
+/** Postgres order: NULLS LAST for ascending, NULLS FIRST for descending unless `nullsFirst` is set. */
+export function compareRows(a, b, orders) {
+  for (const { column, ascending = true, nullsFirst = !ascending } of orders) {
+    const av = a[column];
+    const bv = b[column];
+    const aNull = av === null || av === undefined;
+    const bNull = bv === null || bv === undefined;
+    if (aNull || bNull) {
+      if (aNull && bNull) continue;
+      return aNull === nullsFirst ? -1 : 1;
+    }
+    const c = compareValues(av, bv);
+    if (c) return ascending ? c : -c;
+  }
+  return 0;
+}
+
+/**
+ * JSON with object keys sorted, so equal arguments always give the same cache key.
+ * @param {any} value
+ * @returns {string}
+ */
+export function stableStringify(value) {
+  const json = JSON.stringify(value, (_key, v) => {
+    if (!v || typeof v !== 'object' || Array.isArray(v)) return v;
+    return Object.keys(v).sort().reduce((acc, k) => {
+      acc[k] = v[k];
+      return acc;
+    }, {});
+  });
+  return json === undefined ? '' : json;
+}
+
+function parseChunk(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Read a streaming response incrementally.
+ * `sse`: one chunk per event (`data:` lines, JSON-parsed when possible, `[DONE]` skipped);
+ * `ndjson`: one chunk per line; `text`: raw decoded pieces.
+ * @param {Response} response
+ * @param {Object} [options]
+ * @param {'sse'|'ndjson'|'text'} [options.format] defaults from Content-Type
+ * @param {(chunk: any, meta: {event?: string, id?: string|null}) => void} [options.onChunk]
+ * @returns {Promise<any[]>} all chunks
+ */
+export async function readStream(response, { format, onChunk } = {}) {
+  const type = response.headers.get('content-type') || '';
+  let mode = format;
+  if (!mode) {
+    if (type.includes('text/event-stream')) mode = 'sse';
+    else if (/ndjson|jsonl|json-seq/.test(type)) mode = 'ndjson';
+    else mode = 'text';
+  }
+  const chunks = [];
+  const emit = (chunk, meta = {}) => {
+    chunks.push(chunk);
+    if (onChunk) onChunk(chunk, meta);
+  };
+  const emitEvent = (block) => {
+    let event = 'message';
+    let id = null;
+    const data = [];
+    block.split(/\r?\n/).forEach((line) => {
+      if (!line || line.startsWith(':')) return;
+      const i = line.indexOf(':');
+      const field = i < 0 ? line : line.slice(0, i);
+      const value = i < 0 ? '' : line.slice(i + 1).replace(/^ /, '');
+      if (field === 'data') data.push(value);
+      else if (field === 'event') event = value;
+      else if (field === 'id') id = value;
+    });
+    const text = data.join('\n');
+    if (!data.length || text === '[DONE]') return;
+    emit(parseChunk(text), { event, id });
+  };
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+    if (mode === 'text') {
+      if (buffer) emit(buffer);
+      buffer = '';
+    } else {
+      const parts = buffer.split(mode === 'sse' ? /\r?\n\r?\n/ : /\r?\n/);
+      buffer = done ? '' : parts.pop();
+      parts.forEach((part) => {
+        if (mode === 'sse') emitEvent(part);
+        else if (part.trim()) emit(parseChunk(part));
+      });
+    }
+    if (done) break;
+  }
+  return chunks;
+}
+
+/**
+ * Call an Edge Function and read its SSE / NDJSON response as it arrives.
+ * Sends the session token from `supabase.auth.getSession()` (or `accessToken`), the anon key without one.
+ * @param {any} supabase
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {string} options.supabaseUrl project URL
+ * @param {string} options.supabaseKey anon key of the project
+ * @param {string|null} [options.accessToken] user JWT instead of the Supabase session's
+ * @param {any} [options.body] objects are sent as JSON
+ * @param {string} [options.method]
+ * @param {Record<string, string>} [options.headers]
+ * @param {AbortSignal} [options.signal]
+ * @param {'sse'|'ndjson'|'text'} [options.format]
+ * @param {(chunk: any, meta: Object) => void} [options.onChunk]
+ * @param {typeof fetch} [options.fetch] the global one by default
+ * @returns {Promise<{data: any[]|null, error: SexyGuardError|null}>}
+ */
+export async function streamEdgeFunction(supabase, name, {
+  supabaseUrl,
+  supabaseKey,
+  accessToken,
+  body,
+  method = 'POST',
+  headers = {},
+  signal,
+  format,
+  onChunk,
+  fetch: fetchImpl
+} = {}) {
+  const request = { path: `/functions/v1/${name}`, method };
+  if (!supabaseUrl || !supabaseKey) {
+    return { data: null, error: normalizeError('Streaming Edge Functions need supabaseUrl and supabaseKey') };
+  }
+  const raw = body === undefined || typeof body === 'string' || body instanceof Blob
+    || body instanceof ArrayBuffer || (typeof FormData !== 'undefined' && body instanceof FormData);
+  try {
+    let token = accessToken;
+    if (token === undefined) {
+      const { data } = await supabase.auth.getSession();
+      token = data?.session?.access_token || null;
+    }
+    const doFetch = fetchImpl || globalThis.fetch;
+    const response = await doFetch(`${String(supabaseUrl).replace(/\/$/, '')}/functions/v1/${name}`, {
+      method,
+      signal,
+      headers: {
+        apikey: supabaseKey,
+        Authorization: `Bearer ${token || supabaseKey}`,
+        ...(raw ? {} : { 'Content-Type': 'application/json' }),
+        ...headers
+      },
+      body: raw ? body : JSON.stringify(body)
+    });
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      return { data: null, error: createHttpError(response.status, parseChunk(text), request) };
+    }
+    return { data: await readStream(response, { format, onChunk }), error: null };
+  } catch (err) {
+    if (isAbortError(err)) return { data: null, error: null };
+    return { data: null, error: normalizeError(err) };
+  }
+}
+
+// one exchange per code while it is in flight: React StrictMode would otherwise spend it twice
+const codeExchanges = new Map();
+
+/**
+ * Finish a Supabase OAuth / magic link redirect: exchange the PKCE `code` for a session,
+ * or surface `error_description` sent back by the provider.
+ * @param {any} supabase
+ * @param {string} [url] defaults to `window.location.href`
+ * @returns {Promise<{data: {session: any}, error: any}>}
+ */
+export async function handleAuthCallback(supabase, url) {
+  const href = url || (typeof window !== 'undefined' ? window.location.href : '');
+  const parsed = new URL(href, 'http://localhost');
+  const hash = new URLSearchParams(parsed.hash.replace(/^#/, ''));
+  const description = parsed.searchParams.get('error_description') || hash.get('error_description');
+  const errorCode = parsed.searchParams.get('error') || hash.get('error');
+  if (errorCode || description) {
+    return { data: { session: null }, error: { message: description || errorCode, code: errorCode } };
+  }
+  const code = parsed.searchParams.get('code');
+  if (!code) {
+    // implicit flow: the client already picked the tokens out of the hash
+    const { data, error } = await supabase.auth.getSession();
+    return { data: { session: data?.session || null }, error };
+  }
+  if (!codeExchanges.has(code)) {
+    const exchange = Promise.resolve()
+      .then(() => supabase.auth.exchangeCodeForSession(code))
+      .finally(() => { codeExchanges.delete(code); });
+    codeExchanges.set(code, exchange);
+  }
+  try {
+    const { data, error } = await codeExchanges.get(code);
+    return { data: { session: data?.session || null }, error };
+  } catch (err) {
+    return { data: { session: null }, error: normalizeError(err) };
+  }
+}
+
+/**
+ * `fetch` that sends `Authorization: Bearer <getToken()>` whenever a token is present.
+ * Pass as `global.fetch` to authorize a Supabase client with the REST token.
+ * @param {() => string|null|undefined} getToken
+ * @param {typeof fetch} [baseFetch]
+ * @returns {typeof fetch}
+ */
+export function createBearerFetch(getToken, baseFetch) {
+  return (input, init = {}) => {
+    const doFetch = baseFetch || globalThis.fetch;
+    const token = getToken();
+    if (!token) return doFetch(input, init);
+    const headers = new Headers(init.headers);
+    headers.set('Authorization', `Bearer ${token}`);
+    return doFetch(input, { ...init, headers });
+  };
+}
+
+/**
+ * @typedef {Object} SubscriptionStatus
+ * @property {boolean} active
+ * @property {Date|null} expiresAt
+ * @property {number} remainingMs 0 when expired or unknown
+ */
+
+/**
+ * Interpret `UserProfile.till` (unix seconds or ms) as a subscription expiry.
+ * @param {number|null|undefined} till
+ * @param {number} [now]
+ * @returns {SubscriptionStatus}
+ */
+export function getSubscriptionStatus(till, now = Date.now()) {
+  if (till === null || till === undefined || Number.isNaN(Number(till))) {
+    return { active: false, expiresAt: null, remainingMs: 0 };
+  }
+  const ms = Number(till) < 1e12 ? Number(till) * 1000 : Number(till);
+  const remainingMs = Math.max(0, ms - now);
+  return { active: remainingMs > 0, expiresAt: new Date(ms), remainingMs };
+}
+
+/**
+ * @typedef {Object} LicenseStatus
+ * @property {'active'|'expired'|'unbound'|'bound-to-other-device'|null} status `null` without a profile
+ * @property {boolean} active subscription running, whatever the binding
+ * @property {string|null} hwid device the license is bound to
+ * @property {boolean} bound
+ * @property {boolean|null} deviceMatches `null` while the fingerprint is unknown
+ * @property {Date|null} expiresAt
+ * @property {number} remainingMs
+ * @property {boolean} expiringSoon active and ends within `warnBeforeMs`
+ */
+
+/** Default `expiringSoon` threshold: three days. */
+export const LICENSE_WARN_BEFORE_MS = 3 * 24 * 60 * 60 * 1000;
+
+/**
+ * License state from `UserProfile.till` and `UserProfile.hwid`. An expired subscription is
+ * `expired` whatever the binding; a bound one whose device is not known yet counts as `active`.
+ * @param {UserProfile|null|undefined} profile
+ * @param {string|null} [fingerprint] this device
+ * @param {{now?: number, warnBeforeMs?: number}} [opts]
+ * @returns {LicenseStatus}
+ */
+export function getLicenseStatus(profile, fingerprint = null, { now = Date.now(), warnBeforeMs = LICENSE_WARN_BEFORE_MS } = {}) {
+  const subscription = getSubscriptionStatus(profile?.till, now);
+  const hwid = profile?.hwid || null;
+  const deviceMatches = hwid && fingerprint ? hwid === fingerprint : null;
+  let status = null;
+  if (profile) {
+    if (!subscription.active) status = 'expired';
+    else if (!hwid) status = 'unbound';
+    else if (deviceMatches === false) status = 'bound-to-other-device';
+    else status = 'active';
+  }
+  return {
+    status,
+    active: subscription.active,
+    hwid,
+    bound: Boolean(hwid),
+    deviceMatches,
+    expiresAt: subscription.expiresAt,
+    remainingMs: subscription.remainingMs,
+    expiringSoon: subscription.active && subscription.remainingMs <= warnBeforeMs
+  };
+}
+
+/**
+ * Device fingerprint for HWID binding: SHA-256 (hex) of traits that survive reloads, browser
+ * updates and window resizes. `null` where there is no `navigator` or WebCrypto (e.g. the server).
+ * @param {Object} [opts]
+ * @param {string} [opts.salt] e.g. the product id, so fingerprints differ between products
+ * @returns {Promise<string|null>}
+ */
+export async function getBrowserFingerprint({ salt = '' } = {}) {
+  if (typeof navigator === 'undefined' || !globalThis.crypto?.subtle) return null;
+  const screenInfo = typeof screen !== 'undefined'
+    ? [Math.max(screen.width, screen.height), Math.min(screen.width, screen.height), screen.colorDepth]
+    : [];
+  let timeZone = '';
+  try {
+    timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+  } catch {
+    timeZone = '';
+  }
+  const traits = [
+    salt,
+    // version numbers change on every browser update
+    (navigator.userAgent || '').replace(/\d+(\.\d+)+/g, ''),
+    navigator.platform || '',
+    navigator.hardwareConcurrency || '',
+    navigator.deviceMemory || '',
+    navigator.maxTouchPoints || 0,
+    timeZone,
+    ...screenInfo
+  ];
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(traits.join('|')));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Role check against a hierarchy ordered from lowest to highest.
+ * Roles outside the hierarchy only satisfy themselves.
+ * @param {string|null|undefined} role
+ * @param {string} required
+ * @param {string[]} [hierarchy]
+ * @returns {boolean}
+ */
+export function roleSatisfies(role, required, hierarchy = []) {
+  if (!role) return false;
+  if (role === required) return true;
+  const have = hierarchy.indexOf(role);
+  const need = hierarchy.indexOf(required);
+  return have >= 0 && need >= 0 && have >= need;
+}
+
+/**
+ * @typedef {Object} KeyBatchResult
+ * @property {number} index
+ * @property {string|null} key
+ * @property {SexyGuardError|null} error
+ */
+
+/**
+ * A text cell starting with `=`, `+`, `-`, `@` (or a tab / CR) would run as a formula in
+ * Excel or Sheets, so it is prefixed with `'` and quoted.
+ * @param {any} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  const formula = typeof value === 'string' && /^[=+\-@\t\r]/.test(text);
+  if (formula) text = `'${text}`;
+  return formula || /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Batch results as CSV (`index,key,status,error`).
+ * @param {KeyBatchResult[]} results
+ * @returns {string}
+ */
+export function keysToCsv(results) {
+  const rows = results.map((r) => [r.index + 1, r.key, r.error ? 'error' : 'ok', r.error?.message].map(csvCell).join(','));
+  return ['index,key,status,error', ...rows].join('\n');
+}
+
+/**
+ * Generated keys only, one per line.
+ * @param {KeyBatchResult[]} results
+ * @returns {string}
+ */
+export function keysToText(results) {
+  return results.filter((r) => r.key).map((r) => r.key).join('\n');
+}
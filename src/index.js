@@ -1,316 +1,124 @@
 /* SexyGuard React SDK */
-import React, { createContext, useContext, useEffect, useMemo, useRef, useState, useCallback } from 'react';
-
-/**
- * @typedef {Object} UserProfile
- * @property {string} nickname
- * @property {string} email
- * @property {string} role
- * @property {number} uid
- * @property {string|null} hwid
- * @property {number|null} till
- * @property {string|null} ram
- */
-
-/**
- * @typedef {Object} MarketItem
- * @property {number} productId
- * @property {string} productName
- * @property {number} productPrice
- * @property {number|null} productOldPrice
- * @property {string|null} productDir
- */
-
-/**
- * @typedef {Object} PublicInfo
- * @property {number} totalUsers
- */
-
-/**
- * @typedef {Object} AuthResponse
- * @property {string} status
- * @property {string} token
- * @property {string} session
- * @property {string} email
- * @property {string} role
- */
-
-/**
- * @typedef {Object} RegisterResponse
- * @property {string} status
- */
-
-/**
- * @typedef {Object} KeyGenerateResponse
- * @property {boolean} status
- * @property {string} key
- */
-
-/**
- * @typedef {Object} KeyActivateResponse
- * @property {string} status
- * @property {string} message
- */
-
-/**
- * @typedef {Object} VersionResponse
- * @property {string} version
- */
-
-/**
- * @typedef {Object} MarketResponse
- * @property {MarketItem[]} items
- */
-
-/**
- * @typedef {Object} ErrorResponse
- * @property {string} error
- * @property {number} [status]
- */
-
-/**
- * Typed SDK error.
- */
-export class SexyGuardError extends Error {
-  /**
-   * @param {string} message
-   * @param {number|null} [status]
-   * @param {any} [data]
-   */
-  constructor(message, status = null, data = null) {
-    super(message);
-    this.name = 'SexyGuardError';
-    this.status = status;
-    this.data = data;
-  }
-}
-
-/**
- * Normalize any error shape into SexyGuardError.
- * @param {any} err
- * @returns {SexyGuardError}
- */
-export function normalizeError(err) {
-  if (!err) return new SexyGuardError('Unknown error');
-  if (err instanceof SexyGuardError) return err;
-  if (typeof err === 'string') return new SexyGuardError(err);
-  if (err?.error) return new SexyGuardError(err.error, err.status, err);
-  if (err?.message) return new SexyGuardError(err.message, err.status || null, err);
-  return new SexyGuardError('Unknown error');
-}
-
-/**
- * Create token storage (localStorage / cookie / memory).
- * @param {Object} [opts]
- * @param {'localStorage'|'cookie'|'memory'} [opts.type]
- * @param {string} [opts.key]
- * @param {{path?: string, maxAge?: number}} [opts.cookie]
- * @returns {{get: Function, set: Function, clear: Function}}
- */
-export function createTokenStorage({
-  type = 'localStorage',
-  key = 'sexyguard_token',
-  cookie = { path: '/', maxAge: 60 * 60 * 24 * 30 }
-} = {}) {
-  const memory = { value: null };
-
-  const cookieGet = () => {
-    if (typeof document === 'undefined') return null;
-    const match = document.cookie.match(new RegExp(`(?:^|; )${key}=([^;]*)`));
-    return match ? decodeURIComponent(match[1]) : null;
-  };
-  const cookieSet = (val) => {
-    if (typeof document === 'undefined') return;
-    const maxAge = cookie?.maxAge ? `; max-age=${cookie.maxAge}` : '';
-    const path = cookie?.path ? `; path=${cookie.path}` : '; path=/';
-    document.cookie = `${key}=${encodeURIComponent(val || '')}${maxAge}${path}`;
-  };
-  const cookieClear = () => {
-    if (typeof document === 'undefined') return;
-    document.cookie = `${key}=; max-age=0; path=/`;
-  };
-
-  if (type === 'cookie') {
-    return {
-      get: cookieGet,
-      set: cookieSet,
-      clear: cookieClear
-    };
-  }
-
-  if (type === 'memory') {
-    return {
-      get: () => memory.value,
-      set: (v) => { memory.value = v; },
-      clear: () => { memory.value = null; }
-    };
-  }
-
-  return {
-    get: () => {
-      if (typeof window === 'undefined') return null;
-      return window.localStorage.getItem(key);
-    },
-    set: (v) => {
-      if (typeof window === 'undefined') return;
-      if (v) window.localStorage.setItem(key, v);
-      else window.localStorage.removeItem(key);
-    },
-    clear: () => {
-      if (typeof window === 'undefined') return;
-      window.localStorage.removeItem(key);
-    }
-  };
-}
-
-/**
- * REST client for js-backend.
- */
-export class SexyGuardClient {
-  /**
-   * @param {Object} [opts]
-   * @param {string} [opts.baseUrl]
-   * @param {Function} [opts.getToken]
-   * @param {Function} [opts.setToken]
-   * @param {string} [opts.tokenStorageKey]
-   * @param {ReturnType<typeof createTokenStorage>} [opts.tokenStorage]
-   */
-  constructor({ baseUrl, getToken, setToken, tokenStorageKey = 'sexyguard_token', tokenStorage } = {}) {
-    this.baseUrl = (baseUrl || '').replace(/\/$/, '');
-    this.tokenStorageKey = tokenStorageKey;
-    this.storage = tokenStorage || createTokenStorage({ type: 'localStorage', key: tokenStorageKey });
-    this._getToken = getToken || (() => this.storage.get());
-    this._setToken = setToken || ((token) => {
-      if (token) this.storage.set(token);
-      else this.storage.clear();
-    });
-    this.cache = new Map();
-  }
-
-  /** @returns {string|null|undefined} */
-  getToken() { return this._getToken(); }
-
-  /** @param {string|null} token */
-  setToken(token) { this._setToken(token); }
-
-  /**
-   * @param {string} key
-   * @returns {any|null}
-   */
-  getCached(key) {
-    const entry = this.cache.get(key);
-    if (!entry) return null;
-    if (entry.expires && Date.now() > entry.expires) {
-      this.cache.delete(key);
-      return null;
-    }
-    return entry.value;
-  }
-
-  /**
-   * @param {string} key
-   * @param {any} value
-   * @param {number} [ttlMs]
-   * @returns {any}
-   */
-  setCached(key, value, ttlMs = 30000) {
-    this.cache.set(key, { value, expires: ttlMs ? Date.now() + ttlMs : null });
-    return value;
-  }
-
-  /**
-   * @param {string} path
-   * @param {{method?: string, body?: any, auth?: boolean}} [options]
-   * @returns {Promise<any|ErrorResponse>}
-   */
-  async request(path, { method = 'GET', body, auth = false } = {}) {
-    const headers = { 'Content-Type': 'application/json' };
-    if (auth) {
-      const token = this.getToken();
-      if (token) headers.Authorization = `Bearer ${token}`;
-    }
-    const res = await fetch(`${this.baseUrl}${path}`, {
-      method,
-      headers,
-      body: body ? JSON.stringify(body) : undefined
-    });
-    const data = await res.json().catch(() => ({}));
-    if (!res.ok) {
-      return { error: data.error || 'Request failed', status: res.status, ...data };
-    }
-    return data;
-  }
-
-  /**
-   * @param {string} key
-   * @param {Function} fn
-   * @param {number} [ttlMs]
-   * @returns {Promise<any>}
-   */
-  async requestCached(key, fn, ttlMs = 30000) {
-    const cached = this.getCached(key);
-    if (cached) return cached;
-    const result = await fn();
-    return this.setCached(key, result, ttlMs);
-  }
-
-  /** @returns {Promise<AuthResponse|ErrorResponse>} */
-  login(login, password) {
-    return this.request('/api/v1/auth/login', { method: 'POST', body: { login, password } });
-  }
+'use client';
 
-  /** @returns {Promise<RegisterResponse|ErrorResponse>} */
-  register(login, email, password) {
-    return this.request('/api/v1/auth/register', { method: 'POST', body: { login, email, password } });
-  }
-
-  /** @returns {Promise<UserProfile|ErrorResponse>} */
-  getProfile() { return this.request('/api/v1/profile/me', { auth: true }); }
-
-  /** @returns {Promise<{status: string, message: string}|ErrorResponse>} */
-  changePassword(password) { return this.request('/api/v1/profile/password', { method: 'POST', auth: true, body: { password } }); }
-
-  /** @returns {Promise<{status: string, message: string}|ErrorResponse>} */
-  setMemory(memory) { return this.request('/api/v1/profile/ram', { method: 'POST', auth: true, body: { memory } }); }
-
-  /** @returns {Promise<KeyGenerateResponse|ErrorResponse>} */
-  generateKey({ plus_subday, value_of_activate, delete_time }) {
-    return this.request('/api/v1/keys/generate', { method: 'POST', auth: true, body: { plus_subday, value_of_activate, delete_time } });
-  }
-
-  /** @returns {Promise<KeyActivateResponse|ErrorResponse>} */
-  activateKey(key) { return this.request('/api/v1/keys/activate', { method: 'POST', auth: true, body: { key } }); }
-
-  /** @returns {Promise<PublicInfo|ErrorResponse>} */
-  getInfo() { return this.request('/api/v1/public/info'); }
-
-  /** @returns {Promise<MarketResponse|ErrorResponse>} */
-  getMarket() { return this.request('/api/v1/public/market'); }
-
-  /** @returns {Promise<VersionResponse|ErrorResponse>} */
-  getVersion() { return this.request('/api/v1/public/version'); }
-
-  /** @returns {Promise<any>} */
-  health() { return this.request('/health'); }
-}
-
-/**
- * Lazy create Supabase client.
- * @param {{supabaseUrl: string, supabaseKey: string, options?: any}} params
- * @returns {Promise<any>}
- */
-export async function createSupabaseClient({ supabaseUrl, supabaseKey, options } = {}) {
-  if (!supabaseUrl || !supabaseKey) throw new Error('supabaseUrl and supabaseKey are required');
-  const mod = await import('@supabase/supabase-js');
-  return mod.createClient(supabaseUrl, supabaseKey, options);
-}
+import React, { createContext, useContext, useEffect, useMemo, useRef, useState, useCallback } from 'react';
+import {
+  SexyGuardClient,
+  QueryCache,
+  createTokenStorage,
+  normalizeError,
+  unwrapResult,
+  restQueries,
+  keysToCsv,
+  keysToText,
+  getSubscriptionStatus,
+  getLicenseStatus,
+  LICENSE_WARN_BEFORE_MS,
+  getBrowserFingerprint,
+  roleSatisfies,
+  createBearerFetch,
+  handleAuthCallback,
+  uploadToStorage,
+  getCachedSignedUrl,
+  peekSignedUrl,
+  invalidateSignedUrls,
+  stableStringify,
+  streamEdgeFunction,
+  isOffline,
+  createOfflineStore,
+  OfflineQueue,
+  sendOfflineMutation,
+  createOfflineMiddleware,
+  createCachePersister,
+  hydratePersistedCache,
+  persistQueryCache,
+  FILTER_OPS,
+  rowMatchesFilters,
+  compareRows,
+  formatPrice,
+  decorateMarketItem,
+  queryMarket,
+  createCartStore,
+  HealthMonitor
+} from './core.js';
+
+/** @typedef {import('./core.js').SexyGuardError} SexyGuardError */
+/** @typedef {import('./core.js').MarketItem} MarketItem */
+/** @typedef {import('./core.js').KeyBatchResult} KeyBatchResult */
+/** @typedef {import('./core.js').TableFilter} TableFilter */
+/** @typedef {import('./core.js').LicenseStatus} LicenseStatus */
+/** @typedef {import('./core.js').MarketQuery} MarketQuery */
+/** @typedef {import('./core.js').PriceFormat} PriceFormat */
+
+export {
+  SexyGuardError,
+  SexyGuardNetworkError,
+  SexyGuardTimeoutError,
+  SexyGuardUnauthorizedError,
+  SexyGuardForbiddenError,
+  SexyGuardValidationError,
+  SexyGuardRateLimitError,
+  SexyGuardServerError,
+  SexyGuardSchemaError,
+  createHttpError,
+  normalizeError,
+  isAbortError,
+  createTokenStorage,
+  defaultRetryPolicy,
+  validateKeyParams,
+  field,
+  validateSchema,
+  MODEL_SCHEMAS,
+  ENDPOINT_SCHEMAS,
+  SexyGuardClient,
+  QueryCache,
+  restQueries,
+  prefetchQueries,
+  createSupabaseClient,
+  parseCookies,
+  serializeCookie,
+  keysToCsv,
+  keysToText,
+  getSubscriptionStatus,
+  getLicenseStatus,
+  getBrowserFingerprint,
+  roleSatisfies,
+  createBearerFetch,
+  handleAuthCallback,
+  uploadToStorage,
+  getCachedSignedUrl,
+  peekSignedUrl,
+  invalidateSignedUrls,
+  readStream,
+  streamEdgeFunction,
+  createOfflineStore,
+  OfflineQueue,
+  sendOfflineMutation,
+  createOfflineMiddleware,
+  createCachePersister,
+  hydratePersistedCache,
+  persistQueryCache,
+  formatPrice,
+  decorateMarketItem,
+  queryMarket,
+  createCartStore,
+  parseVersion,
+  satisfiesVersion,
+  SUPPORTED_BACKEND_VERSIONS,
+  HealthMonitor,
+  RateLimiter
+} from './core.js';
 
 const SexyGuardContext = createContext(null);
+// {values: Record<name, context value>, names, instance, setInstance} under `instances`
+const SexyGuardInstancesContext = createContext(null);
 
 /**
- * Main provider for REST + Supabase.
+ * One REST client + Supabase project. Named (`name`) it only registers in
+ * SexyGuardInstancesContext and keys its storages by the name; `ActiveInstance` exposes it.
  */
-export function SexyGuardProvider({
+function InstanceProvider({
+  name = null,
   baseUrl,
   client,
   tokenStorageKey = 'sexyguard_token',
@@ -319,9 +127,34 @@ export function SexyGuardProvider({
   supabaseKey,
   supabaseOptions,
   supabaseClient,
+  throwOnError = false,
+  sessionTokenStorage,
+  refreshToken,
+  refreshPath,
+  onSessionExpired,
+  syncTabs = true,
+  queryCache,
+  staleTime,
+  cacheTime,
+  refetchOnWindowFocus = true,
+  refetchOnReconnect = true,
+  initialState,
+  credentials,
+  roleHierarchy = ['user', 'admin'],
+  navigate,
+  authBridge,
+  offline = false,
+  persistCache = false,
+  fetch: fetchImpl,
+  validation,
+  rateLimit,
   children
 }) {
   const storage = useMemo(() => tokenStorage || createTokenStorage({ key: tokenStorageKey }), [tokenStorage, tokenStorageKey]);
+  const sessionStorage = useMemo(
+    () => sessionTokenStorage || createTokenStorage({ key: `${tokenStorageKey}_session` }),
+    [sessionTokenStorage, tokenStorageKey]
+  );
 
   const [token, setToken] = useState(() => {
     return storage.get();
@@ -330,20 +163,144 @@ export function SexyGuardProvider({
   const tokenRef = useRef(token);
   useEffect(() => { tokenRef.current = token; }, [token]);
 
+  useEffect(() => {
+    if (!syncTabs || !storage.subscribe) return;
+    return storage.subscribe((next) => {
+      tokenRef.current = next || null;
+      setToken(next || null);
+    });
+  }, [storage, syncTabs]);
+
+  const refreshTokenRef = useRef(refreshToken);
+  const bridgeRefreshRef = useRef(null);
+  const onSessionExpiredRef = useRef(onSessionExpired);
+  useEffect(() => {
+    refreshTokenRef.current = refreshToken;
+    onSessionExpiredRef.current = onSessionExpired;
+  }, [refreshToken, onSessionExpired]);
+
   const apiClient = useMemo(() => {
     if (client) return client;
-    return new SexyGuardClient({
+    const created = new SexyGuardClient({
       baseUrl,
       tokenStorageKey,
       tokenStorage: storage,
+      sessionTokenStorage: sessionStorage,
+      throwOnError,
+      credentials,
+      fetch: fetchImpl,
+      validation,
+      rateLimit,
+      refreshPath,
+      refreshToken: (ctx) => {
+        if (refreshTokenRef.current) return refreshTokenRef.current(ctx);
+        if (bridgeRefreshRef.current) return bridgeRefreshRef.current(ctx);
+        return created._defaultRefreshToken(ctx);
+      },
+      onSessionExpired: () => onSessionExpiredRef.current?.(),
       getToken: () => tokenRef.current,
       setToken: (t) => {
+        // keep the ref in sync right away so replayed requests see the new token
+        tokenRef.current = t || null;
         setToken(t || null);
         if (t) storage.set(t);
         else storage.clear();
       }
     });
-  }, [baseUrl, client, tokenStorageKey, storage]);
+    return created;
+  }, [baseUrl, client, tokenStorageKey, storage, sessionStorage, throwOnError, credentials, fetchImpl, refreshPath]);
+
+  // options object may be new every render: apply it instead of rebuilding the client
+  useEffect(() => {
+    if (!client) apiClient.setValidation(validation);
+  }, [apiClient, client, validation]);
+
+  useEffect(() => {
+    if (!client) apiClient.setRateLimit(rateLimit);
+  }, [apiClient, client, rateLimit]);
+
+  const [refreshing, setRefreshing] = useState(false);
+  const [expired, setExpired] = useState(false);
+
+  useEffect(() => apiClient.subscribe((event) => {
+    if (event.type === 'refreshing') setRefreshing(true);
+    if (event.type === 'refreshed') {
+      setRefreshing(false);
+      setExpired(false);
+    }
+    if (event.type === 'expired') {
+      setRefreshing(false);
+      setExpired(true);
+      setToken(null);
+    }
+  }), [apiClient]);
+
+  useEffect(() => { if (token) setExpired(false); }, [token]);
+
+  // persistCache: true | { persister, buster, maxAge, throttleMs, filter }
+  const persistEnabled = Boolean(persistCache);
+  const persistPersister = persistCache?.persister;
+  const persistBuster = persistCache?.buster || '';
+  const persistMaxAge = persistCache?.maxAge;
+  const persister = useMemo(
+    () => (persistEnabled ? persistPersister || createCachePersister(name ? { key: `sexyguard_cache_${name}` } : undefined) : null),
+    [persistEnabled, persistPersister, name]
+  );
+  const supabaseEnabled = Boolean(supabaseClient || (supabaseUrl && supabaseKey));
+
+  // read once: an inline `initialState` object must not rebuild the cache on every render
+  const initialStateRef = useRef(initialState);
+
+  // a new client (e.g. another baseUrl) starts from an empty cache
+  const cache = useMemo(() => {
+    const created = queryCache || new QueryCache({ staleTime, cacheTime });
+    // server-prefetched data is available on the very first render
+    if (initialStateRef.current) created.hydrate(initialStateRef.current);
+    // so is a synchronously persisted snapshot; Supabase-scoped entries wait for the session
+    const snapshot = persister?.load();
+    if (snapshot && typeof snapshot.then !== 'function') {
+      hydratePersistedCache(created, snapshot, {
+        buster: persistBuster,
+        maxAge: persistMaxAge,
+        token: tokenRef.current,
+        userId: supabaseEnabled ? undefined : null
+      });
+    }
+    return created;
+  }, [queryCache, staleTime, cacheTime, apiClient, persister, persistBuster, persistMaxAge]);
+
+  // token-scoped queries must never outlive the token they were fetched with
+  const prevTokenRef = useRef(token);
+  useEffect(() => {
+    const prev = prevTokenRef.current;
+    prevTokenRef.current = token;
+    if (prev === token) return;
+    if (!token) cache.remove((_key, entry) => entry.options.auth);
+    else if (prev) cache.invalidate((_key, entry) => entry.options.auth);
+  }, [cache, token]);
+
+  useEffect(() => {
+    if (typeof window === 'undefined') return;
+    const onFocus = () => {
+      if (document.visibilityState !== 'hidden') cache.refetchStale();
+    };
+    const onOnline = () => cache.refetchStale();
+    if (refetchOnWindowFocus) {
+      window.addEventListener('focus', onFocus);
+      document.addEventListener('visibilitychange', onFocus);
+    }
+    if (refetchOnReconnect) window.addEventListener('online', onOnline);
+    return () => {
+      window.removeEventListener('focus', onFocus);
+      document.removeEventListener('visibilitychange', onFocus);
+      window.removeEventListener('online', onOnline);
+    };
+  }, [cache, refetchOnWindowFocus, refetchOnReconnect]);
+
+  let authStatus = 'anonymous';
+  if (refreshing) authStatus = 'refreshing';
+  else if (token) authStatus = 'authenticated';
+  else if (expired) authStatus = 'expired';
 
   const [supabase, setSupabase] = useState(supabaseClient || null);
   const [supabaseError, setSupabaseError] = useState(null);
@@ -358,10 +315,20 @@ export function SexyGuardProvider({
     if (!supabaseUrl || !supabaseKey) return;
 
     let active = true;
+    // authorize Supabase requests with the REST token instead of a Supabase session
+    const options = authBridge === 'rest-to-supabase'
+      ? {
+        ...supabaseOptions,
+        global: {
+          ...supabaseOptions?.global,
+          fetch: createBearerFetch(() => tokenRef.current, supabaseOptions?.global?.fetch)
+        }
+      }
+      : supabaseOptions;
     import('@supabase/supabase-js')
       .then(({ createClient }) => {
         if (!active) return;
-        const sb = createClient(supabaseUrl, supabaseKey, supabaseOptions);
+        const sb = createClient(supabaseUrl, supabaseKey, options);
         setSupabase(sb);
         setSupabaseReady(true);
       })
@@ -372,36 +339,296 @@ export function SexyGuardProvider({
       });
 
     return () => { active = false; };
-  }, [supabaseUrl, supabaseKey, supabaseOptions, supabaseClient]);
+  }, [supabaseUrl, supabaseKey, supabaseOptions, supabaseClient, authBridge]);
+
+  useEffect(() => {
+    if (authBridge !== 'rest-to-supabase' || !supabase || !token) return;
+    supabase.realtime?.setAuth?.(token);
+  }, [authBridge, supabase, token]);
+
+  // the Supabase access token doubles as the REST token and follows its refreshes
+  useEffect(() => {
+    if (authBridge !== 'supabase-to-rest' || !supabase) return;
+    let active = true;
+    const sync = (session) => {
+      const next = session?.access_token || null;
+      if (active && next !== tokenRef.current) apiClient.setToken(next);
+    };
+    bridgeRefreshRef.current = async () => {
+      const { data, error } = await supabase.auth.refreshSession();
+      return error || !data?.session ? null : { token: data.session.access_token };
+    };
+    supabase.auth.getSession().then(({ data }) => sync(data?.session));
+    const { data: sub } = supabase.auth.onAuthStateChange((_event, session) => sync(session));
+    return () => {
+      active = false;
+      bridgeRefreshRef.current = null;
+      sub?.subscription?.unsubscribe();
+    };
+  }, [authBridge, supabase, apiClient]);
+
+  // undefined until known; one subscription shared by useSession and the cache scoping below
+  const [supabaseSession, setSupabaseSession] = useState(supabaseEnabled ? undefined : null);
+  const supabaseUserId = supabaseSession === undefined ? undefined : supabaseSession?.user?.id || null;
+  const supabaseUserIdRef = useRef(supabaseUserId);
+  useEffect(() => {
+    if (!supabase?.auth) {
+      if (supabase || !supabaseEnabled || supabaseError) setSupabaseSession(null);
+      return undefined;
+    }
+    let active = true;
+    const sync = (session) => { if (active) setSupabaseSession(session || null); };
+    supabase.auth.getSession().then(({ data }) => sync(data?.session), () => sync(null));
+    const { data: sub } = supabase.auth.onAuthStateChange((_event, session) => sync(session));
+    return () => {
+      active = false;
+      sub?.subscription?.unsubscribe();
+    };
+  }, [supabase, supabaseEnabled, supabaseError]);
+
+  // Supabase-scoped queries must never outlive the user they were fetched for
+  useEffect(() => {
+    const prev = supabaseUserIdRef.current;
+    supabaseUserIdRef.current = supabaseUserId;
+    if (prev !== undefined && prev !== supabaseUserId) cache.remove((_key, entry) => entry.options.supabase);
+  }, [cache, supabaseUserId]);
+
+  const persistThrottle = persistCache?.throttleMs;
+  const persistFilterRef = useRef(persistCache?.filter);
+  useEffect(() => { persistFilterRef.current = persistCache?.filter; }, [persistCache]);
+  const supabaseUserKnown = supabaseUserId !== undefined;
+  useEffect(() => {
+    if (!persister || !supabaseUserKnown) return undefined;
+    let active = true;
+    let stop = null;
+    Promise.resolve()
+      .then(() => persister.load())
+      .catch(() => null)
+      .then((snapshot) => {
+        if (!active) return;
+        hydratePersistedCache(cache, snapshot, {
+          buster: persistBuster,
+          maxAge: persistMaxAge,
+          token: tokenRef.current,
+          userId: supabaseUserIdRef.current
+        });
+        // start saving only now: an earlier save would overwrite what is not restored yet
+        stop = persistQueryCache(cache, persister, {
+          buster: persistBuster,
+          throttleMs: persistThrottle,
+          filter: (key) => (persistFilterRef.current ? persistFilterRef.current(key) : true),
+          getScope: () => ({ token: tokenRef.current || null, userId: supabaseUserIdRef.current || null })
+        });
+      });
+    return () => {
+      active = false;
+      stop?.();
+    };
+  }, [cache, persister, supabaseUserKnown, persistBuster, persistMaxAge, persistThrottle]);
+
+  // offline: true | { store, onConflict, shouldQueue }
+  const offlineEnabled = Boolean(offline);
+  const offlineStore = offline?.store;
+  const offlineRef = useRef(offline);
+  const offlineTargetsRef = useRef({});
+  useEffect(() => { offlineRef.current = offline; }, [offline]);
+  useEffect(() => {
+    offlineTargetsRef.current = { client: apiClient, supabase, cache };
+  }, [apiClient, supabase, cache]);
+
+  const offlineQueue = useMemo(() => {
+    if (!offlineEnabled) return null;
+    return new OfflineQueue({
+      store: offlineStore || (name ? createOfflineStore({ name: `sexyguard_offline_${name}` }) : undefined),
+      send: (item) => sendOfflineMutation(item, offlineTargetsRef.current),
+      onConflict: (item, error) => offlineRef.current?.onConflict?.(item, error),
+      onReplay: ({ sent }) => { if (sent) offlineTargetsRef.current.cache?.invalidate(); }
+    });
+  }, [offlineEnabled, offlineStore, name]);
+
+  useEffect(() => {
+    if (!offlineQueue) return undefined;
+    return apiClient.use(createOfflineMiddleware(offlineQueue, {
+      shouldQueue: (ctx) => (offlineRef.current?.shouldQueue ? offlineRef.current.shouldQueue(ctx) : true)
+    }));
+  }, [apiClient, offlineQueue]);
+
+  // replay on reconnect, and once the clients the queued mutations need are available
+  useEffect(() => {
+    if (!offlineQueue || typeof window === 'undefined') return undefined;
+    const replay = () => {
+      if (!isOffline()) offlineQueue.replay().catch(() => {});
+    };
+    replay();
+    window.addEventListener('online', replay);
+    return () => { window.removeEventListener('online', replay); };
+  }, [offlineQueue, apiClient, supabase]);
+
+  // useCart stores live as long as the provider: nothing is shared across providers or SSR requests
+  const [cartStores] = useState(() => ({ byKey: new Map(), byStorage: new WeakMap() }));
+
+  // the profile entry as useSession sees it, without a cache subscription per hook
+  const [profileState, setProfileState] = useState(() => cache.getState('profile'));
+  useEffect(() => {
+    setProfileState(cache.getState('profile'));
+    return cache.subscribeAll((key) => {
+      if (key === 'profile') setProfileState(cache.getState('profile'));
+    });
+  }, [cache]);
 
   const value = useMemo(() => ({
+    instance: name,
     client: apiClient,
     token,
     setToken,
+    authStatus,
+    queryCache: cache,
+    roleHierarchy,
+    navigate,
+    authBridge,
     supabase,
+    supabaseUrl: supabaseUrl || null,
+    supabaseKey: supabaseKey || null,
+    supabaseEnabled,
     supabaseReady,
-    supabaseError
-  }), [apiClient, token, supabase, supabaseReady, supabaseError]);
+    supabaseError,
+    supabaseSession: supabaseSession || null,
+    supabaseSessionKnown: supabaseSession !== undefined,
+    profileState,
+    cartStores,
+    offlineQueue
+  }), [name, apiClient, token, authStatus, cache, roleHierarchy, navigate, authBridge, supabase, supabaseUrl, supabaseKey, supabaseEnabled, supabaseReady, supabaseError, supabaseSession, profileState, cartStores, offlineQueue]);
+
+  const parent = useContext(SexyGuardInstancesContext);
+  const registry = useMemo(
+    () => (name && parent ? { ...parent, values: { ...parent.values, [name]: value } } : null),
+    [name, parent, value]
+  );
+
+  if (!registry) return React.createElement(SexyGuardContext.Provider, { value }, children);
+  return React.createElement(SexyGuardInstancesContext.Provider, { value: registry }, children);
+}
 
+/** Exposes the instance named `name` (the active one when omitted) to hooks without `instance`. */
+function ActiveInstance({ name, children }) {
+  const registry = useContext(SexyGuardInstancesContext);
+  const value = registry.values[name || registry.instance] || registry.values[registry.names[0]];
   return React.createElement(SexyGuardContext.Provider, { value }, children);
 }
 
-/** @returns {{client: SexyGuardClient, token: string|null, setToken: Function, supabase: any, supabaseReady: boolean, supabaseError: any}} */
-export function useSexyGuard() {
+// per instance only; every other prop of a multi-instance provider is a default for all of them
+const INSTANCE_ONLY_PROPS = [
+  'client',
+  'queryCache',
+  'tokenStorage',
+  'sessionTokenStorage',
+  'initialState',
+  'supabaseClient',
+  'supabaseUrl',
+  'supabaseKey',
+  'supabaseOptions',
+  'offline',
+  'persistCache'
+];
+
+/**
+ * Provider for several backends: one client, token storage, cache and Supabase project per name.
+ * Adding or removing a name remounts the tree; switching the active one does not.
+ */
+function InstancesProvider({ instances, defaultInstance, onInstanceChange, tokenStorageKey = 'sexyguard_token', children, ...props }) {
+  const namesKey = JSON.stringify(Object.keys(instances));
+  const names = useMemo(() => JSON.parse(namesKey), [namesKey]);
+  const [active, setActive] = useState(() => (defaultInstance && instances[defaultInstance] ? defaultInstance : names[0]));
+  const instance = names.includes(active) ? active : names[0];
+
+  const setInstance = useCallback((next) => {
+    if (!names.includes(next)) throw new Error(`Unknown SexyGuard instance "${next}"`);
+    setActive(next);
+  }, [names]);
+
+  const onInstanceChangeRef = useRef(onInstanceChange);
+  useEffect(() => { onInstanceChangeRef.current = onInstanceChange; }, [onInstanceChange]);
+  const prevInstanceRef = useRef(instance);
+  useEffect(() => {
+    const prev = prevInstanceRef.current;
+    prevInstanceRef.current = instance;
+    if (prev !== instance) onInstanceChangeRef.current?.(instance, prev);
+  }, [instance]);
+
+  const registry = useMemo(() => ({ values: {}, names, instance, setInstance }), [names, instance, setInstance]);
+
+  const shared = Object.fromEntries(Object.entries(props).filter(([prop]) => !INSTANCE_ONLY_PROPS.includes(prop)));
+  const tree = names.reduceRight(
+    (inner, name) => React.createElement(InstanceProvider, {
+      key: name,
+      ...shared,
+      ...instances[name],
+      tokenStorageKey: instances[name].tokenStorageKey || `${tokenStorageKey}_${name}`,
+      name
+    }, inner),
+    React.createElement(ActiveInstance, null, children)
+  );
+  return React.createElement(SexyGuardInstancesContext.Provider, { value: registry }, tree);
+}
+
+/**
+ * Main provider for REST + Supabase. With `instances` (`{ eu: {...}, us: {...} }`, each entry taking
+ * the props below) it serves several backends; hooks use the active one unless given `instance`.
+ */
+export function SexyGuardProvider({ instances, defaultInstance, onInstanceChange, ...props }) {
+  if (instances) return React.createElement(InstancesProvider, { instances, defaultInstance, onInstanceChange, ...props });
+  return React.createElement(InstanceProvider, props);
+}
+
+/**
+ * Run the subtree against one named instance, whichever is active.
+ */
+export function SexyGuardInstance({ name, children }) {
+  const registry = useContext(SexyGuardInstancesContext);
+  if (!registry?.values[name]) throw new Error(`Unknown SexyGuard instance "${name}"`);
+  return React.createElement(ActiveInstance, { name }, children);
+}
+
+/**
+ * Active instance of a multi-instance provider; `setInstance` switches it without remounting.
+ * @returns {{instance: string|null, instances: string[], setInstance: (name: string) => void}}
+ */
+export function useSexyGuardInstance() {
+  const registry = useContext(SexyGuardInstancesContext);
+  const setInstance = useCallback((next) => {
+    if (!registry) throw new Error(`Unknown SexyGuard instance "${next}"`);
+    registry.setInstance(next);
+  }, [registry]);
+  return { instance: registry?.instance ?? null, instances: registry?.names || [], setInstance };
+}
+
+/**
+ * @param {string} [instance] a name from `instances`; the active (or `<SexyGuardInstance>`) one by default
+ * @returns {{instance: string|null, client: SexyGuardClient, token: string|null, setToken: Function, authStatus: 'anonymous'|'authenticated'|'refreshing'|'expired', queryCache: QueryCache, roleHierarchy: string[], navigate?: Function, authBridge?: 'supabase-to-rest'|'rest-to-supabase', supabase: any, supabaseUrl: string|null, supabaseKey: string|null, supabaseEnabled: boolean, supabaseReady: boolean, supabaseError: any, supabaseSession: any, supabaseSessionKnown: boolean, profileState: QueryState, offlineQueue: OfflineQueue|null}}
+ */
+export function useSexyGuard(instance) {
   const ctx = useContext(SexyGuardContext);
+  const registry = useContext(SexyGuardInstancesContext);
+  if (instance) {
+    if (!registry?.values[instance]) throw new Error(`Unknown SexyGuard instance "${instance}"`);
+    return registry.values[instance];
+  }
   if (!ctx) throw new Error('useSexyGuard must be used inside SexyGuardProvider');
   return ctx;
 }
 
 /**
  * REST auth hook.
+ * @param {Object} [options]
+ * @param {string} [options.instance]
  */
-export function useAuth() {
-  const { client, token, setToken } = useSexyGuard();
+export function useAuth({ instance } = {}) {
+  const { client, token, setToken, authStatus } = useSexyGuard(instance);
 
   const login = useCallback(async (login, password) => {
     const res = await client.login(login, password);
     if (res.token) client.setToken(res.token);
+    if (res.token) client.setSession(res.session || null);
     if (res.token) setToken(res.token);
     return res;
   }, [client, setToken]);
@@ -412,22 +639,137 @@ export function useAuth() {
 
   const logout = useCallback(() => {
     client.setToken(null);
+    client.setSession(null);
     setToken(null);
   }, [client, setToken]);
 
-  return { token, login, register, logout };
+  return { token, status: authStatus, login, register, logout };
+}
+
+/**
+ * One session over the REST backend and Supabase.
+ * `signIn` runs the backends in `order`; if a later one fails, the earlier ones are signed out.
+ * With `authBridge` on the provider only the backend that issues the token is signed into.
+ * @param {Object} [options]
+ * @param {('rest'|'supabase')[]} [options.order]
+ * @param {string} [options.instance]
+ */
+export function useSession({ order = ['rest', 'supabase'], instance } = {}) {
+  const {
+    client,
+    token,
+    queryCache,
+    authBridge,
+    supabaseEnabled,
+    supabaseSession: session,
+    supabaseSessionKnown,
+    profileState
+  } = useSexyGuard(instance);
+  const auth = useAuth({ instance });
+  // actions only: the session comes from the provider's single auth subscription
+  const sb = useSupabaseAuth({ autoLoad: false, instance });
+  const [pending, setPending] = useState(false);
+  const [error, setError] = useState(null);
+
+  // load the shared profile entry once per token; every useSession reads it from the provider
+  useEffect(() => {
+    if (!token) return;
+    queryCache
+      .fetch('profile', (ctx) => restQueries.profile.fn(client, ctx), { auth: restQueries.profile.auth })
+      .catch(() => null);
+  }, [queryCache, client, token]);
+
+  const orderKey = order.join(',');
+  const steps = useMemo(() => orderKey.split(',').filter((step) => {
+    if (step === 'rest') return authBridge !== 'supabase-to-rest';
+    if (step === 'supabase') return supabaseEnabled && authBridge !== 'rest-to-supabase';
+    return false;
+  }), [orderKey, authBridge, supabaseEnabled]);
+
+  const { login: restLogin, logout: restLogout } = auth;
+  const { signIn: supabaseSignIn, signOut: supabaseSignOut } = sb;
+
+  /**
+   * @param {{login?: string, email?: string, password: string}} credentials
+   * REST signs in with `login` (or `email`), Supabase with `email` (or `login`)
+   */
+  const signIn = useCallback(async ({ login, email, password }) => {
+    setPending(true);
+    setError(null);
+    const data = {};
+    const done = [];
+    try {
+      for (const step of steps) {
+        if (step === 'rest') data.rest = unwrapResult(await restLogin(login ?? email, password));
+        else data.supabase = unwrapResult(await supabaseSignIn(email ?? login, password)).data;
+        done.push(step);
+      }
+    } catch (err) {
+      const e = normalizeError(err);
+      await Promise.all(done.map((step) => (step === 'rest' ? restLogout() : supabaseSignOut())));
+      setError(e);
+      setPending(false);
+      return { data, error: e };
+    }
+    setPending(false);
+    return { data, error: null };
+  }, [steps, restLogin, restLogout, supabaseSignIn, supabaseSignOut]);
+
+  const signOut = useCallback(async () => {
+    setPending(true);
+    // js-backend has no logout route: dropping the token is the whole REST sign-out
+    restLogout();
+    const res = supabaseEnabled ? await supabaseSignOut() : { error: null };
+    const e = res.error ? normalizeError(res.error) : null;
+    setError(e);
+    setPending(false);
+    return { error: e };
+  }, [restLogout, supabaseSignOut, supabaseEnabled]);
+
+  const profile = token ? profileState.data || null : null;
+  const supabaseUser = session?.user || null;
+  const user = useMemo(() => {
+    if (!profile && !supabaseUser) return null;
+    return {
+      id: supabaseUser?.id ?? profile?.uid ?? null,
+      email: profile?.email ?? supabaseUser?.email ?? null,
+      nickname: profile?.nickname ?? supabaseUser?.user_metadata?.nickname ?? null,
+      role: profile?.role ?? supabaseUser?.app_metadata?.role ?? null,
+      profile: profile || null,
+      supabaseUser: supabaseUser || null
+    };
+  }, [profile, supabaseUser]);
+
+  return {
+    user,
+    profile,
+    supabaseUser,
+    session,
+    token: auth.token,
+    status: auth.status,
+    isAuthenticated: Boolean(auth.token || session),
+    loading: pending
+      || (Boolean(token) && profileState.fetching && profileState.data === undefined)
+      || (supabaseEnabled && !supabaseSessionKnown),
+    error,
+    signIn,
+    signOut
+  };
 }
 
 /**
  * Supabase auth hook.
- * @param {boolean} [autoLoad]
+ * @param {boolean|{autoLoad?: boolean, instance?: string}} [options]
  */
-export function useSupabaseAuth(autoLoad = true) {
-  const { supabase, supabaseReady, supabaseError } = useSexyGuard();
+export function useSupabaseAuth(options = true) {
+  const { autoLoad = true, instance } = typeof options === 'boolean' ? { autoLoad: options } : options;
+  const { supabase, supabaseReady, supabaseError } = useSexyGuard(instance);
   const [session, setSession] = useState(null);
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [initialized, setInitialized] = useState(false);
+  const [lastEvent, setLastEvent] = useState(null);
 
   const loadSession = useCallback(async () => {
     if (!supabase) return null;
@@ -438,13 +780,15 @@ export function useSupabaseAuth(autoLoad = true) {
     setSession(data?.session || null);
     setUser(data?.session?.user || null);
     setLoading(false);
+    setInitialized(true);
     return data?.session || null;
   }, [supabase]);
 
   useEffect(() => {
     if (!supabase || !autoLoad) return;
     loadSession();
-    const { data: sub } = supabase.auth.onAuthStateChange((_event, session) => {
+    const { data: sub } = supabase.auth.onAuthStateChange((event, session) => {
+      setLastEvent(event);
       setSession(session);
       setUser(session?.user || null);
     });
@@ -478,226 +822,2118 @@ export function useSupabaseAuth(autoLoad = true) {
     return { error };
   }, [supabase]);
 
-  return {
-    supabase,
-    supabaseReady,
-    supabaseError,
-    session,
-    user,
-    loading,
-    error,
-    refresh: loadSession,
-    signIn,
-    signUp,
-    signOut
-  };
-}
+  /**
+   * @param {string} provider e.g. 'github', 'google'
+   * @param {Object} [options] `redirectTo`, `scopes`, `queryParams`, `skipBrowserRedirect`
+   */
+  const signInWithOAuth = useCallback(async (provider, options) => {
+    if (!supabase) return { error: 'Supabase not initialized' };
+    const { data, error } = await supabase.auth.signInWithOAuth({ provider, options });
+    if (error) setError(error);
+    return { data, error };
+  }, [supabase]);
 
+  /**
+   * Magic link / one-time code by email or SMS.
+   * @param {{email?: string, phone?: string, options?: Object}} params
+   */
+  const signInWithOtp = useCallback(async (params) => {
+    if (!supabase) return { error: 'Supabase not initialized' };
+    const { data, error } = await supabase.auth.signInWithOtp(params);
+    if (error) setError(error);
+    return { data, error };
+  }, [supabase]);
 
-/**
- * Supabase table CRUD hook.
- * @param {string} table
- * @param {Object} [options]
- */
-export function useSupabaseTable(table, {
-  select = '*',
-  autoLoad = true,
-  filters = [],
-  query,
-  schema = 'public',
-  single = false
-} = {}) {
-  const { supabase } = useSexyGuard();
-  const [data, setData] = useState(single ? null : []);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+  /**
+   * @param {{email?: string, phone?: string, token?: string, token_hash?: string, type: string}} params
+   */
+  const verifyOtp = useCallback(async (params) => {
+    if (!supabase) return { error: 'Supabase not initialized' };
+    const { data, error } = await supabase.auth.verifyOtp(params);
+    if (error) setError(error);
+    if (data?.session) {
+      setSession(data.session);
+      setUser(data.session.user || null);
+    }
+    return { data, error };
+  }, [supabase]);
+
+  /**
+   * @param {string} email
+   * @param {{redirectTo?: string}} [options] page that calls `updateUser({ password })`
+   */
+  const resetPasswordForEmail = useCallback(async (email, options) => {
+    if (!supabase) return { error: 'Supabase not initialized' };
+    const { data, error } = await supabase.auth.resetPasswordForEmail(email, options);
+    if (error) setError(error);
+    return { data, error };
+  }, [supabase]);
+
+  /**
+   * @param {{email?: string, phone?: string, password?: string, data?: Object}} attributes
+   * @param {{emailRedirectTo?: string}} [options]
+   */
+  const updateUser = useCallback(async (attributes, options) => {
+    if (!supabase) return { error: 'Supabase not initialized' };
+    const { data, error } = await supabase.auth.updateUser(attributes, options);
+    if (error) setError(error);
+    if (data?.user) setUser(data.user);
+    return { data, error };
+  }, [supabase]);
 
-  const applyFilters = (builder) => {
-    let q = builder;
-    filters.forEach((f) => {
-      if (!f || !f.op) return;
-      if (typeof q[f.op] === 'function') {
-        q = q[f.op](f.column, f.value);
+  return {
+    supabase,
+    supabaseReady,
+    supabaseError,
+    session,
+    user,
+    loading,
+    initialized,
+    error,
+    lastEvent,
+    refresh: loadSession,
+    signIn,
+    signUp,
+    signOut,
+    signInWithOAuth,
+    signInWithOtp,
+    verifyOtp,
+    resetPasswordForEmail,
+    updateUser
+  };
+}
+
+
+/**
+ * Finish an OAuth / PKCE / magic link redirect on the callback route.
+ * @param {Object} [options]
+ * @param {(session: any) => void} [options.onSuccess] e.g. navigate to the app
+ * @param {(error: any) => void} [options.onError]
+ * @param {boolean} [options.cleanUrl] drop `code` / tokens from the address bar
+ * @param {string} [options.instance]
+ */
+export function useAuthCallback({
+  onSuccess,
+  onError,
+  cleanUrl = true,
+  enabled = true,
+  instance
+} = {}) {
+  const { supabase } = useSexyGuard(instance);
+  const [state, setState] = useState({ loading: enabled, session: null, error: null });
+  const onSuccessRef = useRef(onSuccess);
+  const onErrorRef = useRef(onError);
+  useEffect(() => {
+    onSuccessRef.current = onSuccess;
+    onErrorRef.current = onError;
+  }, [onSuccess, onError]);
+
+  useEffect(() => {
+    if (!supabase || !enabled || typeof window === 'undefined') return;
+    let active = true;
+    handleAuthCallback(supabase, window.location.href).then(({ data, error }) => {
+      if (!active) return;
+      if (cleanUrl) {
+        const url = new URL(window.location.href);
+        ['code', 'state', 'error', 'error_code', 'error_description'].forEach((k) => url.searchParams.delete(k));
+        url.hash = '';
+        window.history.replaceState(window.history.state, '', url.toString());
       }
+      setState({ loading: false, session: data.session, error: error || null });
+      if (error) onErrorRef.current?.(error);
+      else onSuccessRef.current?.(data.session);
     });
-    return q;
-  };
+    return () => { active = false; };
+  }, [supabase, enabled, cleanUrl]);
+
+  return state;
+}
+
+/**
+ * @param {any} row
+ * @param {Record<string, any>|undefined} match
+ * @returns {boolean}
+ */
+function rowMatches(row, match) {
+  return Boolean(row) && Object.entries(match || {}).every(([k, v]) => row[k] === v);
+}
+
+/** Merge `payload` into rows matching `match` (array or single row). */
+function patchRows(data, match, payload) {
+  if (Array.isArray(data)) return data.map((row) => (rowMatches(row, match) ? { ...row, ...payload } : row));
+  return rowMatches(data, match) ? { ...data, ...payload } : data;
+}
+
+/** Drop rows matching `match` (array or single row). */
+function dropRows(data, match) {
+  if (Array.isArray(data)) return data.filter((row) => !rowMatches(row, match));
+  return rowMatches(data, match) ? null : data;
+}
 
-  const load = useCallback(async () => {
+/** Swap rows for their server versions by primary key. */
+function replaceRows(data, rows, primaryKey) {
+  if (!Array.isArray(data)) return rows[0] || data;
+  const byKey = new Map(rows.map((row) => [row[primaryKey], row]));
+  return data.map((row) => (byKey.has(row[primaryKey]) ? byKey.get(row[primaryKey]) : row));
+}
+
+/**
+ * @param {any} builder
+ * @param {TableFilter} f
+ */
+function applyFilter(builder, f) {
+  if (!f || !FILTER_OPS.has(f.op)) return builder;
+  switch (f.op) {
+    case 'or': return builder.or(f.value, f.options);
+    case 'match': return builder.match(f.value);
+    case 'not':
+    case 'filter':
+      return builder[f.op](f.column, f.operator, f.value);
+    default:
+      return builder[f.op](f.column, f.value, f.options);
+  }
+}
+
+/**
+ * @typedef {Object} TableOrder
+ * @property {string} column
+ * @property {boolean} [ascending]
+ * @property {boolean} [nullsFirst]
+ */
+
+/**
+ * @param {string|TableOrder|(string|TableOrder)[]|undefined} orderBy
+ * @returns {TableOrder[]}
+ */
+function normalizeOrder(orderBy) {
+  if (!orderBy) return [];
+  return [].concat(orderBy).map((o) => (typeof o === 'string' ? { column: o, ascending: true } : o));
+}
+
+/** Quote a value for a PostgREST logic string (`or=(...)`). */
+function pgValue(value) {
+  const str = String(value);
+  return /[,.:()"\s]/.test(str) ? `"${str.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"` : str;
+}
+
+/**
+ * Keyset condition: rows strictly after `row` in `orders[0]` order, tie-broken by primary key.
+ * @param {any} builder
+ * @param {any} row
+ * @param {TableOrder[]} orders
+ * @param {string} primaryKey
+ */
+function applyCursor(builder, row, orders, primaryKey) {
+  const { column, ascending = true } = orders[0];
+  const op = ascending ? 'gt' : 'lt';
+  if (column === primaryKey) return builder[op](column, row[column]);
+  const value = pgValue(row[column]);
+  return builder.or(`${column}.${op}.${value},and(${column}.eq.${value},${primaryKey}.${op}.${pgValue(row[primaryKey])})`);
+}
+
+/** Orders actually sent to the server; cursor mode always ends on the primary key. */
+function resolveOrders(orderBy, cursorMode, primaryKey) {
+  let orders = normalizeOrder(orderBy);
+  if (cursorMode) {
+    if (!orders.length) orders = [{ column: primaryKey, ascending: true }];
+    if (!orders.some((o) => o.column === primaryKey)) {
+      orders = [...orders, { column: primaryKey, ascending: orders[0].ascending !== false }];
+    }
+  }
+  return orders;
+}
+
+let channelSeq = 0;
+
+/**
+ * Supabase table CRUD hook. Mutations are applied to `data` locally;
+ * pass `{ optimistic: true }` to apply them before the server answers.
+ *
+ * With `pageSize` rows are loaded page by page: `pagination: 'offset'` uses `.range()`
+ * (`setPage(n)` / `loadMore()`), `pagination: 'cursor'` continues after the last row
+ * in `orderBy` order (`loadMore()` only). Changing filters, order or search resets paging.
+ *
+ * `realtime: true` (or `{ event, filter }`) applies INSERT / UPDATE / DELETE events to `data`
+ * by primary key, keeping filters and order; rows that cannot be checked locally
+ * (search, `or`, custom `query`) and reconnects trigger a background reload.
+ *
+ * `query` is read on every load; list the values it closes over in `deps` to reload when they change.
+ * @param {string} table
+ * @param {Object} [options]
+ */
+export function useSupabaseTable(table, {
+  select = '*',
+  autoLoad = true,
+  filters = [],
+  query,
+  schema = 'public',
+  single = false,
+  primaryKey = 'id',
+  orderBy,
+  search,
+  searchColumn = 'fts',
+  searchType = 'websearch',
+  searchConfig,
+  count,
+  pageSize,
+  pagination = 'offset',
+  realtime = false,
+  deps = [],
+  instance
+} = {}) {
+  const { supabase, offlineQueue } = useSexyGuard(instance);
+  const [data, setData] = useState(single ? null : []);
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [total, setTotal] = useState(null);
+  const [page, setPageState] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+
+  const dataRef = useRef(data);
+  useEffect(() => { dataRef.current = data; }, [data]);
+
+  // filters / orderBy are usually inline literals: key on their content, read them through a ref;
+  // `query` is an inline function too, so what it depends on comes in `deps`
+  const paramsKey = JSON.stringify([select, filters, orderBy, search, searchColumn, searchType, searchConfig, count, pageSize, pagination, single, Boolean(query), deps]);
+  const paramsRef = useRef(null);
+  paramsRef.current = { filters, orderBy, search, searchColumn, searchType, searchConfig, count, pageSize, pagination, single, query };
+
+  const loadIdRef = useRef(0);
+  const controllerRef = useRef(null);
+  const pageRef = useRef(0);
+  const hasMoreRef = useRef(false);
+  const busyRef = useRef(false);
+  const offsetRef = useRef(0);
+
+  const fetchRows = useCallback(async ({ append = false, page: target = 0, reconcile = false } = {}) => {
     if (!supabase || !table) return null;
-    setLoading(true);
+    const p = paramsRef.current;
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const id = ++loadIdRef.current;
+    busyRef.current = true;
+    setLoading(!append && !reconcile);
+    setLoadingMore(append);
     setError(null);
-    let builder = supabase.schema(schema).from(table).select(select);
-    builder = applyFilters(builder);
-    if (query) builder = query(builder) || builder;
-    if (single) builder = builder.single();
-    const { data, error } = await builder;
-    if (error) setError(error);
-    else setData(data || (single ? null : []));
+
+    const cursorMode = Boolean(p.pageSize) && p.pagination === 'cursor' && !p.single;
+    const orders = resolveOrders(p.orderBy, cursorMode, primaryKey);
+    // a reconcile reloads everything currently shown in one request
+    const size = reconcile ? Math.max(p.pageSize || 0, dataRef.current?.length || 0) : p.pageSize;
+
+    let builder = supabase.schema(schema).from(table).select(select, p.count ? { count: p.count } : undefined);
+    (p.filters || []).forEach((f) => { builder = applyFilter(builder, f); });
+    if (p.search) {
+      builder = builder.textSearch(p.searchColumn, p.search, { type: p.searchType, config: p.searchConfig });
+    }
+    if (cursorMode && append && dataRef.current?.length) {
+      builder = applyCursor(builder, dataRef.current[dataRef.current.length - 1], orders, primaryKey);
+    }
+    orders.forEach((o) => {
+      builder = builder.order(o.column, { ascending: o.ascending !== false, nullsFirst: o.nullsFirst });
+    });
+    if (p.query) builder = p.query(builder) || builder;
+    if (p.single) {
+      builder = builder.single();
+    } else if (p.pageSize) {
+      // one extra row tells whether another page exists
+      if (cursorMode) {
+        builder = builder.limit(size + 1);
+      } else {
+        const from = reconcile ? offsetRef.current : target * p.pageSize;
+        builder = builder.range(from, from + size);
+      }
+    }
+    if (typeof builder.abortSignal === 'function') builder = builder.abortSignal(controller.signal);
+
+    const { data: rows, error, count: rowCount } = await builder;
+    if (id !== loadIdRef.current) return null;
+    busyRef.current = false;
+    controllerRef.current = null;
+
+    if (error) {
+      setError(error);
+    } else {
+      let next = rows || (p.single ? null : []);
+      let more = false;
+      if (p.pageSize && !p.single && next.length > size) {
+        more = true;
+        next = next.slice(0, size);
+      }
+      if (!append && !reconcile) offsetRef.current = target * (p.pageSize || 0);
+      pageRef.current = target;
+      hasMoreRef.current = more;
+      setPageState(target);
+      setHasMore(more);
+      if (typeof rowCount === 'number') setTotal(rowCount);
+      setData(append ? (prev) => [...(prev || []), ...next] : next);
+    }
     setLoading(false);
-    return data;
-  }, [supabase, table, select, filters, query, single, schema]);
+    setLoadingMore(false);
+    return rows;
+  }, [supabase, table, schema, select, primaryKey]);
+
+  const load = useCallback(() => fetchRows({ page: 0 }), [fetchRows]);
+
+  const reconcileTimerRef = useRef(null);
+  const reconcile = useCallback(() => {
+    clearTimeout(reconcileTimerRef.current);
+    reconcileTimerRef.current = setTimeout(() => {
+      fetchRows({ page: pageRef.current, reconcile: true });
+    }, 200);
+  }, [fetchRows]);
+
+  const applyChange = useCallback((payload) => {
+    const p = paramsRef.current;
+    const removed = payload.eventType === 'DELETE';
+    const row = removed ? payload.old : payload.new;
+    const key = row?.[primaryKey];
+    if (key === undefined) return;
+
+    if (p.single) {
+      setData((prev) => {
+        if (!prev || prev[primaryKey] !== key) return prev;
+        return removed ? null : { ...prev, ...row };
+      });
+      return;
+    }
+
+    const prev = dataRef.current || [];
+    const index = prev.findIndex((r) => r[primaryKey] === key);
+    let matched = false;
+    if (!removed) {
+      matched = p.search || p.query ? null : rowMatchesFilters(row, p.filters);
+      if (matched === null) {
+        reconcile();
+        return;
+      }
+    }
+
+    let next = index >= 0 ? prev.filter((_, i) => i !== index) : prev;
+    // count only moves when the change is certain from what is loaded
+    let delta = 0;
+    if (payload.eventType === 'INSERT' && matched) delta = 1;
+    else if (index >= 0 && !matched) delta = -1;
+    if (matched) {
+      const merged = index >= 0 ? { ...prev[index], ...row } : row;
+      const orders = resolveOrders(p.orderBy, Boolean(p.pageSize) && p.pagination === 'cursor', primaryKey);
+      const last = next[next.length - 1];
+      // rows past the last loaded one belong to a page that is not loaded yet
+      const beyond = hasMoreRef.current && last && (orders.length ? compareRows(merged, last, orders) > 0 : index < 0);
+      if (!beyond) {
+        let at = index >= 0 && !orders.length ? index : next.length;
+        if (orders.length) {
+          at = next.findIndex((r) => compareRows(merged, r, orders) < 0);
+          if (at < 0) at = next.length;
+        }
+        next = [...next.slice(0, at), merged, ...next.slice(at)];
+      }
+    }
+    if (next !== prev) {
+      dataRef.current = next;
+      setData(next);
+    }
+    if (delta) setTotal((t) => (t === null ? t : t + delta));
+  }, [primaryKey, reconcile]);
+
+  const disconnectedRef = useRef(false);
+  const handleStatus = useCallback((status) => {
+    if (status === 'SUBSCRIBED') {
+      if (disconnectedRef.current) reconcile();
+      disconnectedRef.current = false;
+    } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+      disconnectedRef.current = true;
+    }
+  }, [reconcile]);
+
+  useSupabaseRealtime(table, {
+    schema,
+    event: realtime?.event || '*',
+    filter: realtime?.filter,
+    enabled: Boolean(realtime),
+    onEvent: applyChange,
+    onStatus: handleStatus,
+    instance
+  });
+
+  const loadMore = useCallback(() => {
+    if (!hasMoreRef.current || busyRef.current) return Promise.resolve(null);
+    return fetchRows({ append: true, page: pageRef.current + 1 });
+  }, [fetchRows]);
 
-  useEffect(() => { if (autoLoad) load(); }, [autoLoad, load]);
+  const setPage = useCallback((n) => {
+    if (paramsRef.current.pagination === 'cursor' && n !== 0) return Promise.resolve(null);
+    return fetchRows({ page: Math.max(0, n) });
+  }, [fetchRows]);
 
-  const insert = useCallback(async (payload) => {
+  useEffect(() => {
+    if (autoLoad) load();
+  }, [autoLoad, load, paramsKey]);
+
+  useEffect(() => () => {
+    loadIdRef.current += 1;
+    controllerRef.current?.abort();
+    clearTimeout(reconcileTimerRef.current);
+  }, []);
+
+  // a mutation that never reached Supabase waits in the offline queue and stays applied locally
+  const queueOffline = useCallback(async (res, mutation) => {
+    if (!offlineQueue || (res.status !== 0 && !isOffline())) return null;
+    const item = await offlineQueue.enqueue({ kind: 'supabase', schema, table, ...mutation });
+    return { data: null, error: null, status: 0, queued: true, offlineId: item.id };
+  }, [offlineQueue, schema, table]);
+
+  const insert = useCallback(async (payload, { optimistic = false } = {}) => {
     if (!supabase) return { error: 'Supabase not initialized' };
-    return supabase.schema(schema).from(table).insert(payload).select();
-  }, [supabase, table, schema]);
+    const rows = Array.isArray(payload) ? payload : [payload];
+    const snapshot = dataRef.current;
+    if (optimistic && !single) setData((prev) => [...prev, ...rows]);
+    const res = await supabase.schema(schema).from(table).insert(payload).select();
+    if (res.error) {
+      const queued = await queueOffline(res, { op: 'insert', payload });
+      if (queued) {
+        if (!optimistic && !single) setData((prev) => [...prev, ...rows]);
+        return queued;
+      }
+      if (optimistic) setData(snapshot);
+      return res;
+    }
+    if (!single) {
+      setData((prev) => [...prev.filter((row) => !rows.includes(row)), ...(res.data || rows)]);
+    }
+    return res;
+  }, [supabase, table, schema, single, queueOffline]);
 
-  const update = useCallback(async (payload, match) => {
+  const update = useCallback(async (payload, match, { optimistic = false } = {}) => {
     if (!supabase) return { error: 'Supabase not initialized' };
+    const snapshot = dataRef.current;
+    if (optimistic) setData((prev) => patchRows(prev, match, payload));
     let builder = supabase.schema(schema).from(table).update(payload);
     if (match) {
       Object.entries(match).forEach(([k, v]) => { builder = builder.eq(k, v); });
     }
-    return builder.select();
-  }, [supabase, table, schema]);
+    const res = await builder.select();
+    if (res.error) {
+      const queued = await queueOffline(res, { op: 'update', payload, match });
+      if (queued) {
+        if (!optimistic) setData((prev) => patchRows(prev, match, payload));
+        return queued;
+      }
+      if (optimistic) setData(snapshot);
+      return res;
+    }
+    setData((prev) => (res.data?.length ? replaceRows(prev, res.data, primaryKey) : patchRows(prev, match, payload)));
+    return res;
+  }, [supabase, table, schema, primaryKey, queueOffline]);
 
-  const remove = useCallback(async (match) => {
+  const remove = useCallback(async (match, { optimistic = false } = {}) => {
     if (!supabase) return { error: 'Supabase not initialized' };
+    const snapshot = dataRef.current;
+    if (optimistic) setData((prev) => dropRows(prev, match));
     let builder = supabase.schema(schema).from(table).delete();
     if (match) {
       Object.entries(match).forEach(([k, v]) => { builder = builder.eq(k, v); });
     }
-    return builder;
-  }, [supabase, table, schema]);
+    const res = await builder;
+    if (res.error) {
+      const queued = await queueOffline(res, { op: 'delete', match });
+      if (queued) {
+        if (!optimistic) setData((prev) => dropRows(prev, match));
+        return queued;
+      }
+      if (optimistic) setData(snapshot);
+      return res;
+    }
+    setData((prev) => dropRows(prev, match));
+    return res;
+  }, [supabase, table, schema, queueOffline]);
 
-  return { data, loading, error, refresh: load, insert, update, remove };
+  return {
+    data,
+    loading,
+    loadingMore,
+    error,
+    count: total,
+    page,
+    hasMore,
+    refresh: load,
+    loadMore,
+    setPage,
+    insert,
+    update,
+    remove,
+    setData
+  };
 }
 
 
 /**
- * Supabase realtime subscription.
+ * Supabase realtime subscription. Every call gets its own channel.
  * @param {string} table
  * @param {Object} [options]
+ * @param {(status: string, err?: Error) => void} [options.onStatus] channel status: SUBSCRIBED, CHANNEL_ERROR, TIMED_OUT, CLOSED
  */
 export function useSupabaseRealtime(table, {
   event = '*',
   schema = 'public',
   filter,
   enabled = true,
-  onEvent
+  onEvent,
+  onStatus,
+  instance
 } = {}) {
-  const { supabase } = useSexyGuard();
+  const { supabase } = useSexyGuard(instance);
+  const onEventRef = useRef(onEvent);
+  const onStatusRef = useRef(onStatus);
+  onEventRef.current = onEvent;
+  onStatusRef.current = onStatus;
 
   useEffect(() => {
     if (!supabase || !enabled || !table) return;
     const channel = supabase
-      .channel(`realtime:${schema}:${table}`)
+      .channel(`realtime:${schema}:${table}:${++channelSeq}`)
       .on('postgres_changes', { event, schema, table, filter }, (payload) => {
-        if (onEvent) onEvent(payload);
+        if (onEventRef.current) onEventRef.current(payload);
       })
-      .subscribe();
+      .subscribe((status, err) => {
+        if (onStatusRef.current) onStatusRef.current(status, err);
+      });
 
     return () => { supabase.removeChannel(channel); };
-  }, [supabase, table, event, schema, filter, enabled, onEvent]);
+  }, [supabase, table, event, schema, filter, enabled]);
 }
 
 
+/** Presence / broadcast channels shared between hooks, per Supabase client, reference counted. */
+const sharedChannels = new WeakMap();
+
 /**
- * Load REST profile.
- * @param {boolean} [autoLoad]
+ * How the options of an open channel differ from `config`, or null. They are fixed at
+ * `subscribe()` and Supabase keeps one channel per name, so a later caller cannot change them.
+ * @param {Object} open config the channel was opened with
+ * @param {Object} config
+ * @returns {string|null}
  */
-export function useProfile(autoLoad = true) {
-  const { client, token } = useSexyGuard();
-  const [profile, setProfile] = useState(null);
-  const [loading, setLoading] = useState(false);
+function channelConfigMismatch(open, config) {
+  if (config.presence && !open.presence) return 'no presence';
+  if (config.presence && open.presence.key !== config.presence.key) return `presence key "${open.presence.key}"`;
+  const broadcast = (c) => ({ self: Boolean(c.broadcast?.self), ack: Boolean(c.broadcast?.ack) });
+  if (config.broadcast && JSON.stringify(broadcast(open)) !== JSON.stringify(broadcast(config))) {
+    return `broadcast ${JSON.stringify(broadcast(open))}`;
+  }
+  return null;
+}
+
+/**
+ * Open (or reuse) a named channel. The first caller's `config` configures it; a later caller
+ * asking for other options gets the open channel and a console warning. Presence events are
+ * bound only for channels opened with `config.presence`.
+ * @param {any} supabase
+ * @param {string} name
+ * @param {Object} config `{ presence: { key } }`, `{ broadcast: { self, ack } }`
+ */
+function acquireChannel(supabase, name, config) {
+  let byName = sharedChannels.get(supabase);
+  if (!byName) {
+    byName = new Map();
+    sharedChannels.set(supabase, byName);
+  }
+  let entry = byName.get(name);
+  if (!entry) {
+    const channel = supabase.channel(name, { config });
+    entry = {
+      channel,
+      config,
+      refs: 0,
+      status: 'CLOSED',
+      statusListeners: new Set(),
+      presenceListeners: new Set(),
+      broadcastListeners: new Map()
+    };
+    const current = entry;
+    if (config.presence) {
+      ['sync', 'join', 'leave'].forEach((type) => {
+        channel.on('presence', { event: type }, (payload) => {
+          current.presenceListeners.forEach((listener) => listener(type, payload));
+        });
+      });
+    }
+    channel.subscribe((status, err) => {
+      current.status = status;
+      current.statusListeners.forEach((listener) => listener(status, err));
+    });
+    byName.set(name, entry);
+  } else {
+    const mismatch = channelConfigMismatch(entry.config, config);
+    if (mismatch) console.warn(`[sexyguard] channel "${name}" is already open with other options (${mismatch}); the new ones are ignored`);
+  }
+  entry.refs += 1;
+  return entry;
+}
+
+function releaseChannel(supabase, name) {
+  const byName = sharedChannels.get(supabase);
+  const entry = byName?.get(name);
+  if (!entry) return;
+  entry.refs -= 1;
+  if (entry.refs > 0) return;
+  byName.delete(name);
+  supabase.removeChannel(entry.channel);
+}
+
+/** Listen to one broadcast event; the channel binding is added once per event. */
+function listenBroadcast(entry, event, listener) {
+  let listeners = entry.broadcastListeners.get(event);
+  if (!listeners) {
+    const set = new Set();
+    listeners = set;
+    entry.broadcastListeners.set(event, set);
+    entry.channel.on('broadcast', { event }, (message) => {
+      set.forEach((l) => l(message));
+    });
+  }
+  listeners.add(listener);
+  return () => { listeners.delete(listener); };
+}
+
+/**
+ * Supabase Presence: who is online on a channel. Pass `state` to track yourself.
+ * @param {string} channelName
+ * @param {Object} [options]
+ * @param {string} [options.key] presence key (e.g. user id), used when this hook opens the channel
+ * @param {Object} [options.state] tracked payload; re-tracked when its content changes
+ * @param {(payload: {key: string, newPresences: any[], currentPresences: any[]}) => void} [options.onJoin]
+ * @param {(payload: {key: string, leftPresences: any[], currentPresences: any[]}) => void} [options.onLeave]
+ * @param {string} [options.instance]
+ */
+export function usePresence(channelName, {
+  key,
+  state,
+  enabled = true,
+  onJoin,
+  onLeave,
+  instance
+} = {}) {
+  const { supabase } = useSexyGuard(instance);
+  const [presenceState, setPresenceState] = useState({});
+  const [status, setStatus] = useState('CLOSED');
+  const entryRef = useRef(null);
+  const trackingRef = useRef(false);
+  const onJoinRef = useRef(onJoin);
+  const onLeaveRef = useRef(onLeave);
+  onJoinRef.current = onJoin;
+  onLeaveRef.current = onLeave;
+
+  useEffect(() => {
+    if (!supabase || !enabled || !channelName) return;
+    const entry = acquireChannel(supabase, channelName, { presence: { key: key || '' } });
+    entryRef.current = entry;
+
+    const onPresence = (type, payload) => {
+      if (type === 'sync') setPresenceState({ ...entry.channel.presenceState() });
+      else if (type === 'join' && onJoinRef.current) onJoinRef.current(payload);
+      else if (type === 'leave' && onLeaveRef.current) onLeaveRef.current(payload);
+    };
+    entry.presenceListeners.add(onPresence);
+    entry.statusListeners.add(setStatus);
+    setStatus(entry.status);
+    setPresenceState({ ...entry.channel.presenceState() });
+
+    return () => {
+      entry.presenceListeners.delete(onPresence);
+      entry.statusListeners.delete(setStatus);
+      if (trackingRef.current && entry.refs > 1) entry.channel.untrack();
+      trackingRef.current = false;
+      entryRef.current = null;
+      releaseChannel(supabase, channelName);
+    };
+  }, [supabase, channelName, key, enabled]);
+
+  const stateKey = JSON.stringify(state ?? null);
+  useEffect(() => {
+    const entry = entryRef.current;
+    if (!entry || status !== 'SUBSCRIBED' || state === undefined) return;
+    trackingRef.current = true;
+    entry.channel.track(state);
+  }, [status, stateKey]);
+
+  const track = useCallback(async (payload) => {
+    const entry = entryRef.current;
+    if (!entry) return 'error';
+    trackingRef.current = true;
+    return entry.channel.track(payload);
+  }, []);
+
+  const untrack = useCallback(async () => {
+    const entry = entryRef.current;
+    if (!entry) return 'error';
+    trackingRef.current = false;
+    return entry.channel.untrack();
+  }, []);
+
+  // one entry per key; `metas` holds every connection (tab) of that key
+  const users = useMemo(() => Object.entries(presenceState).map(([k, metas]) => ({
+    ...metas[0],
+    key: k,
+    metas
+  })), [presenceState]);
+
+  return { users, presenceState, status, track, untrack };
+}
+
+/**
+ * Supabase Broadcast: send and receive messages of one event on a channel.
+ * @param {string} channelName
+ * @param {string} event
+ * @param {Object} [options]
+ * @param {boolean} [options.self] also receive own messages (when this hook opens the channel)
+ * @param {boolean} [options.ack] wait for the server to acknowledge `send`
+ * @param {number} [options.limit] how many received payloads to keep
+ * @param {(payload: any, message: any) => void} [options.onMessage]
+ * @param {string} [options.instance]
+ */
+export function useBroadcast(channelName, event, {
+  enabled = true,
+  self = false,
+  ack = false,
+  limit = 50,
+  onMessage,
+  instance
+} = {}) {
+  const { supabase } = useSexyGuard(instance);
+  const [messages, setMessages] = useState([]);
+  const [status, setStatus] = useState('CLOSED');
+  const entryRef = useRef(null);
+  const limitRef = useRef(limit);
+  const onMessageRef = useRef(onMessage);
+  limitRef.current = limit;
+  onMessageRef.current = onMessage;
+
+  useEffect(() => {
+    if (!supabase || !enabled || !channelName || !event) return;
+    const entry = acquireChannel(supabase, channelName, { broadcast: { self, ack } });
+    entryRef.current = entry;
+
+    const stop = listenBroadcast(entry, event, (message) => {
+      setMessages((prev) => [...prev, message.payload].slice(-limitRef.current));
+      if (onMessageRef.current) onMessageRef.current(message.payload, message);
+    });
+    entry.statusListeners.add(setStatus);
+    setStatus(entry.status);
+
+    return () => {
+      stop();
+      entry.statusListeners.delete(setStatus);
+      entryRef.current = null;
+      releaseChannel(supabase, channelName);
+    };
+  }, [supabase, channelName, event, enabled, self, ack]);
+
+  /** @returns {Promise<'ok'|'timed out'|'error'>} */
+  const send = useCallback(async (payload) => {
+    const entry = entryRef.current;
+    if (!entry) return 'error';
+    return entry.channel.send({ type: 'broadcast', event, payload });
+  }, [event]);
+
+  const clear = useCallback(() => setMessages([]), []);
+
+  return { messages, send, status, clear };
+}
+
+/**
+ * Supabase Storage for one bucket. Uploads report progress and can be cancelled;
+ * signed URLs are cached until shortly before they expire.
+ * @param {string} bucket
+ * @param {Object} [options]
+ * @param {string} [options.instance]
+ */
+export function useSupabaseStorage(bucket, { instance } = {}) {
+  const { supabase, supabaseUrl, supabaseKey, authBridge, token } = useSexyGuard(instance);
+  const [uploading, setUploading] = useState(false);
+  const [progress, setProgress] = useState(null);
   const [error, setError] = useState(null);
+  const controllersRef = useRef(new Set());
+  const tokenRef = useRef(token);
+  tokenRef.current = token;
 
-  const loadProfile = useCallback(async () => {
-    if (!token) return null;
-    setLoading(true);
+  useEffect(() => () => {
+    controllersRef.current.forEach((c) => c.abort());
+  }, []);
+
+  const accessToken = useCallback(async () => {
+    if (authBridge === 'rest-to-supabase') return tokenRef.current;
+    const { data } = await supabase.auth.getSession();
+    return data?.session?.access_token || null;
+  }, [supabase, authBridge]);
+
+  /**
+   * @param {string} path
+   * @param {Blob|File|ArrayBuffer} file
+   * @param {import('./core.js').StorageUploadOptions} [options]
+   */
+  const upload = useCallback(async (path, file, options = {}) => {
+    if (!supabase) return { error: 'Supabase not initialized' };
+    const controller = new AbortController();
+    const forward = () => controller.abort();
+    options.signal?.addEventListener('abort', forward, { once: true });
+    controllersRef.current.add(controller);
+    setUploading(true);
     setError(null);
-    const res = await client.getProfile();
+    setProgress({ loaded: 0, total: file.size ?? file.byteLength ?? 0 });
+
+    const res = await uploadToStorage(supabase, bucket, path, file, {
+      supabaseUrl,
+      supabaseKey,
+      ...options,
+      signal: controller.signal,
+      accessToken: await accessToken(),
+      onProgress: (p) => {
+        setProgress(p);
+        if (options.onProgress) options.onProgress(p);
+      }
+    });
+
+    options.signal?.removeEventListener('abort', forward);
+    controllersRef.current.delete(controller);
+    if (!controllersRef.current.size) setUploading(false);
+    if (res.error && res.error.name !== 'AbortError') setError(res.error);
+    if (!res.error && options.upsert) invalidateSignedUrls(supabase, bucket, [path]);
+    return res;
+  }, [supabase, supabaseUrl, supabaseKey, bucket, accessToken]);
+
+  /** Abort every upload started by this hook. */
+  const cancel = useCallback(() => {
+    controllersRef.current.forEach((c) => c.abort());
+  }, []);
+
+  const download = useCallback(async (path, options) => {
+    if (!supabase) return { error: 'Supabase not initialized' };
+    const res = await supabase.storage.from(bucket).download(path, options);
+    if (res.error) setError(res.error);
+    return res;
+  }, [supabase, bucket]);
+
+  /**
+   * @param {string} [prefix] folder
+   * @param {{limit?: number, offset?: number, page?: number, sortBy?: {column: string, order: 'asc'|'desc'}, search?: string}} [options]
+   * @returns {Promise<{data: any[]|null, error: any, hasMore: boolean}>}
+   */
+  const list = useCallback(async (prefix = '', { limit = 100, offset, page = 0, sortBy, search } = {}) => {
+    if (!supabase) return { data: null, error: 'Supabase not initialized', hasMore: false };
+    const res = await supabase.storage.from(bucket).list(prefix, {
+      limit,
+      offset: offset ?? page * limit,
+      sortBy,
+      search
+    });
+    if (res.error) setError(res.error);
+    return { ...res, hasMore: Boolean(res.data && res.data.length === limit) };
+  }, [supabase, bucket]);
+
+  const remove = useCallback(async (paths) => {
+    if (!supabase) return { error: 'Supabase not initialized' };
+    const list = [].concat(paths);
+    const res = await supabase.storage.from(bucket).remove(list);
+    if (res.error) setError(res.error);
+    else invalidateSignedUrls(supabase, bucket, list);
+    return res;
+  }, [supabase, bucket]);
+
+  const move = useCallback(async (from, to) => {
+    if (!supabase) return { error: 'Supabase not initialized' };
+    const res = await supabase.storage.from(bucket).move(from, to);
+    if (res.error) setError(res.error);
+    else invalidateSignedUrls(supabase, bucket, [from, to]);
+    return res;
+  }, [supabase, bucket]);
+
+  /**
+   * @param {string} path
+   * @param {number} [expiresIn] seconds
+   * @param {{download?: boolean|string, transform?: Object}} [options]
+   */
+  const getSignedUrl = useCallback(async (path, expiresIn = 3600, options = {}) => {
+    if (!supabase) return { data: null, error: 'Supabase not initialized' };
+    const res = await getCachedSignedUrl(supabase, bucket, path, { ...options, expiresIn });
     if (res.error) setError(res.error);
-    else setProfile(res);
-    setLoading(false);
     return res;
-  }, [client, token]);
+  }, [supabase, bucket]);
+
+  /**
+   * @param {string} path
+   * @param {{download?: boolean|string, transform?: Object}} [options]
+   * @returns {string|null}
+   */
+  const getPublicUrl = useCallback((path, options) => {
+    if (!supabase) return null;
+    return supabase.storage.from(bucket).getPublicUrl(path, options).data?.publicUrl || null;
+  }, [supabase, bucket]);
+
+  return {
+    uploading,
+    progress,
+    error,
+    upload,
+    cancel,
+    download,
+    list,
+    remove,
+    move,
+    getSignedUrl,
+    getPublicUrl
+  };
+}
+
+/**
+ * `<img>` for a Storage object: signed URL by default, public URL with `signed={false}`.
+ * Other props go to the `<img>`; `fallback` renders while resolving or on error.
+ */
+export function SupabaseImage({
+  bucket,
+  path,
+  signed = true,
+  expiresIn = 3600,
+  transform,
+  fallback = null,
+  instance,
+  ...imgProps
+}) {
+  const { supabase } = useSexyGuard(instance);
+  const transformKey = JSON.stringify(transform ?? null);
+  const resolveSync = () => {
+    if (!supabase || !bucket || !path) return null;
+    if (!signed) return supabase.storage.from(bucket).getPublicUrl(path, { transform }).data?.publicUrl || null;
+    return peekSignedUrl(supabase, bucket, path, { expiresIn, transform });
+  };
+  const [src, setSrc] = useState(resolveSync);
 
   useEffect(() => {
-    if (autoLoad && token) loadProfile();
-  }, [autoLoad, token, loadProfile]);
+    const known = resolveSync();
+    setSrc(known);
+    if (known || !signed || !supabase || !bucket || !path) return;
+    let active = true;
+    getCachedSignedUrl(supabase, bucket, path, { expiresIn, transform }).then(({ data }) => {
+      if (active) setSrc(data?.signedUrl || null);
+    });
+    return () => { active = false; };
+  }, [supabase, bucket, path, signed, expiresIn, transformKey]);
+
+  if (!src) return fallback;
+  return React.createElement('img', { ...imgProps, src });
+}
 
-  const changePassword = useCallback((password) => client.changePassword(password), [client]);
-  const setMemory = useCallback((memory) => client.setMemory(memory), [client]);
+/**
+ * Call a Postgres function through the shared query cache; equal `args` share one request
+ * and one cache entry (`rpc:<fn>:<args>`).
+ * @param {string} fnName
+ * @param {Object} [args]
+ * @param {Object} [options]
+ * @param {boolean} [options.autoLoad]
+ * @param {string} [options.schema]
+ * @param {number} [options.staleTime]
+ * @param {boolean} [options.get] call read-only functions with GET
+ * @param {string} [options.instance]
+ */
+export function useSupabaseRpc(fnName, args = {}, { autoLoad = true, schema, staleTime, get, instance } = {}) {
+  const { supabase } = useSexyGuard(instance);
+  const argsRef = useRef(args);
+  argsRef.current = args;
+  const key = fnName ? `rpc:${schema ? `${schema}.` : ''}${fnName}:${stableStringify(args)}` : null;
+
+  const query = useQuery(key, async ({ signal }) => {
+    let builder = (schema ? supabase.schema(schema) : supabase).rpc(fnName, argsRef.current, { get });
+    if (typeof builder.abortSignal === 'function') builder = builder.abortSignal(signal);
+    return unwrapResult(await builder).data;
+  }, { enabled: autoLoad && Boolean(supabase), staleTime, supabase: true, instance });
 
-  return { profile, loading, error, refresh: loadProfile, changePassword, setMemory };
+  return {
+    data: query.data ?? null,
+    loading: query.loading,
+    fetching: query.fetching,
+    error: query.error,
+    refresh: query.refresh
+  };
 }
 
 /**
- * Load REST market.
- * @param {boolean} [autoLoad]
+ * Supabase Edge Function. `invoke(body)` calls it every time; `invoke(body, { cache: true })`,
+ * `autoLoad` and `refresh` read it through the query cache (`fn:<name>:<body>`), where
+ * concurrent calls with the same body share one request. `stream(body)` reads
+ * SSE / NDJSON responses chunk by chunk into `chunks`.
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {any} [options.body] body for `autoLoad` / `refresh`
+ * @param {boolean} [options.autoLoad] invoke on mount and when `body` changes
+ * @param {number} [options.staleTime]
+ * @param {string} [options.method]
+ * @param {Record<string, string>} [options.headers]
+ * @param {'sse'|'ndjson'|'text'} [options.format] stream format, defaults from Content-Type
+ * @param {string} [options.instance]
  */
-export function useMarket(autoLoad = true) {
-  const { client } = useSexyGuard();
-  const [items, setItems] = useState(/** @type {MarketItem[]} */([]));
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+export function useEdgeFunction(name, {
+  body,
+  autoLoad = false,
+  staleTime,
+  method = 'POST',
+  headers,
+  format,
+  instance
+} = {}) {
+  const { supabase, supabaseUrl, supabaseKey, authBridge, token, queryCache } = useSexyGuard(instance);
+  const headersRef = useRef(headers);
+  headersRef.current = headers;
+  const tokenRef = useRef(token);
+  useEffect(() => { tokenRef.current = token; }, [token]);
 
-  const loadMarket = useCallback(async () => {
-    setLoading(true);
-    setError(null);
-    const res = await client.getMarket();
-    if (res.error) setError(res.error);
-    else setItems(res.items || []);
-    setLoading(false);
+  const bodyKey = stableStringify(body ?? null);
+  const [active, setActive] = useState({ body, key: bodyKey });
+  useEffect(() => { setActive({ body, key: bodyKey }); }, [bodyKey]);
+
+  const call = useCallback(async (payload, { signal }) => {
+    const { data, error } = await supabase.functions.invoke(name, {
+      body: payload,
+      method,
+      headers: headersRef.current,
+      signal
+    });
+    if (error) throw error;
+    return data;
+  }, [supabase, name, method]);
+
+  const activeRef = useRef(active);
+  activeRef.current = active;
+  const query = useQuery(
+    supabase && name ? `fn:${name}:${active.key}` : null,
+    (ctx) => call(activeRef.current.body, ctx),
+    { enabled: autoLoad, staleTime, supabase: true, instance }
+  );
+
+  // last direct invoke; shown instead of the cached result while it is the newer one
+  const [invoked, setInvoked] = useState({ data: null, error: null, loading: false, at: 0 });
+  const invokeIdRef = useRef(0);
+  const invokeControllersRef = useRef(new Set());
+  useEffect(() => () => {
+    invokeIdRef.current += 1;
+    invokeControllersRef.current.forEach((c) => c.abort());
+  }, []);
+
+  /**
+   * @param {any} [payload]
+   * @param {{cache?: boolean, force?: boolean}} [options] `cache: true` for read-style functions:
+   * shares in-flight calls with the same body, `force: false` also reuses a fresh cached result
+   * @returns {Promise<{data: any, error: SexyGuardError|null}>}
+   */
+  const invoke = useCallback(async (payload, { cache = false, force = true } = {}) => {
+    if (!supabase) return { data: null, error: normalizeError('Supabase not initialized') };
+    if (cache) {
+      const key = stableStringify(payload ?? null);
+      const cacheKey = `fn:${name}:${key}`;
+      setActive({ body: payload, key });
+      try {
+        // joins a call in flight rather than replacing it
+        const fresh = force && !queryCache.getState(cacheKey).fetching;
+        const data = await queryCache.fetch(cacheKey, (ctx) => call(payload, ctx), { force: fresh, staleTime, supabase: true });
+        return { data, error: null };
+      } catch (err) {
+        return { data: null, error: normalizeError(err) };
+      }
+    }
+    // side effects: every call runs the function, nothing is deduplicated
+    const id = ++invokeIdRef.current;
+    const controller = new AbortController();
+    invokeControllersRef.current.add(controller);
+    setInvoked((prev) => ({ ...prev, loading: true }));
+    let res;
+    try {
+      res = { data: await call(payload, { signal: controller.signal }), error: null };
+    } catch (err) {
+      res = { data: null, error: normalizeError(err) };
+    }
+    invokeControllersRef.current.delete(controller);
+    if (id === invokeIdRef.current) setInvoked({ ...res, loading: false, at: Date.now() });
     return res;
-  }, [client]);
+  }, [supabase, queryCache, name, call, staleTime]);
 
-  useEffect(() => { if (autoLoad) loadMarket(); }, [autoLoad, loadMarket]);
+  const [chunks, setChunks] = useState([]);
+  const [streaming, setStreaming] = useState(false);
+  const [streamError, setStreamError] = useState(null);
+  const streamRef = useRef(null);
 
-  return { items, loading, error, refresh: loadMarket };
+  useEffect(() => () => { streamRef.current?.abort(); }, []);
+
+  /**
+   * @param {any} [payload]
+   * @param {{onChunk?: (chunk: any, meta: Object) => void, format?: 'sse'|'ndjson'|'text', signal?: AbortSignal}} [options]
+   */
+  const stream = useCallback(async (payload, { onChunk, format: streamFormat, signal } = {}) => {
+    if (!supabase) return { data: null, error: normalizeError('Supabase not initialized') };
+    streamRef.current?.abort();
+    const controller = new AbortController();
+    streamRef.current = controller;
+    signal?.addEventListener('abort', () => controller.abort(), { once: true });
+    setChunks([]);
+    setStreaming(true);
+    setStreamError(null);
+
+    const res = await streamEdgeFunction(supabase, name, {
+      supabaseUrl,
+      supabaseKey,
+      // the bridge authorizes Supabase with the REST token, not a Supabase session
+      accessToken: authBridge === 'rest-to-supabase' ? tokenRef.current : undefined,
+      body: payload,
+      method,
+      headers: headersRef.current,
+      format: streamFormat || format,
+      signal: controller.signal,
+      onChunk: (chunk, meta) => {
+        if (streamRef.current === controller) setChunks((prev) => [...prev, chunk]);
+        if (onChunk) onChunk(chunk, meta);
+      }
+    });
+
+    if (streamRef.current === controller) {
+      streamRef.current = null;
+      setStreaming(false);
+      if (res.error) setStreamError(res.error);
+    }
+    return res;
+  }, [supabase, supabaseUrl, supabaseKey, authBridge, name, method, format]);
+
+  const cancel = useCallback(() => { streamRef.current?.abort(); }, []);
+
+  const latest = invoked.at > query.updatedAt ? invoked : { data: query.data ?? null, error: query.error };
+
+  return {
+    data: latest.data,
+    loading: query.loading || invoked.loading,
+    fetching: query.fetching || invoked.loading,
+    error: latest.error || streamError,
+    refresh: query.refresh,
+    invoke,
+    chunks,
+    streaming,
+    stream,
+    cancel
+  };
 }
 
+/**
+ * Subscribe to a shared query cache entry.
+ * @param {string|null} key `null` disables the query
+ * @param {(ctx: {signal: AbortSignal}) => Promise<any>} fn
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled]
+ * @param {number} [options.staleTime]
+ * @param {boolean} [options.auth] drop the entry on logout
+ * @param {boolean} [options.supabase] drop the entry when the Supabase user changes
+ * @param {string} [options.instance] whose cache to use
+ */
+export function useQuery(key, fn, { enabled = true, staleTime, auth = false, supabase = false, instance } = {}) {
+  const { queryCache } = useSexyGuard(instance);
+  const fnRef = useRef(fn);
+  const enabledRef = useRef(enabled);
+  useEffect(() => {
+    fnRef.current = fn;
+    enabledRef.current = enabled;
+  }, [fn, enabled]);
+
+  const [state, setState] = useState(() => queryCache.getState(key));
+
+  useEffect(() => {
+    if (!key) return;
+    setState(queryCache.getState(key));
+    return queryCache.subscribe(key, () => setState(queryCache.getState(key)), () => enabledRef.current);
+  }, [queryCache, key]);
+
+  const run = useCallback((force) => {
+    if (!key) return Promise.resolve(null);
+    return queryCache
+      .fetch(key, (ctx) => fnRef.current(ctx), { staleTime, auth, supabase, force })
+      .catch(() => null);
+  }, [queryCache, key, staleTime, auth, supabase]);
+
+  useEffect(() => { if (enabled) run(false); }, [enabled, run]);
+
+  const refresh = useCallback(() => run(true), [run]);
+
+  return {
+    data: state.data,
+    error: state.error,
+    loading: state.fetching && state.data === undefined,
+    fetching: state.fetching,
+    stale: state.stale,
+    updatedAt: state.updatedAt,
+    rateLimit: state.error?.rateLimit || null,
+    refresh
+  };
+}
 
 /**
- * Load REST stats.
- * @param {boolean} [autoLoad]
+ * Track a write operation; `optimistic` updates a cache entry (or anything, via a function
+ * returning a rollback) before `fn` runs and is rolled back if it fails. A result parked by the
+ * offline queue sets `status: 'queued'` and skips `onSuccess` / `onSettled`.
+ * @param {(variables: any) => Promise<any>} fn
+ * @param {Object} [options]
+ * @param {(variables: any) => any} [options.onMutate] return value is passed on as `context`
+ * @param {(data: any, variables: any, context: any) => any} [options.onSuccess]
+ * @param {(error: SexyGuardError, variables: any, context: any) => any} [options.onError]
+ * @param {(data: any, error: SexyGuardError|null, variables: any, context: any) => any} [options.onSettled]
+ * @param {{key: string, update: (prev: any, variables: any) => any}|((variables: any) => (() => void))} [options.optimistic]
+ * @param {string} [options.instance] whose cache `optimistic` updates
  */
-export function useStats(autoLoad = true) {
-  const { client } = useSexyGuard();
-  const [info, setInfo] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+export function useMutation(fn, options = {}) {
+  const { queryCache } = useSexyGuard(options.instance);
+  const [state, setState] = useState({ status: 'idle', data: undefined, error: null });
+  const fnRef = useRef(fn);
+  const optionsRef = useRef(options);
+  useEffect(() => {
+    fnRef.current = fn;
+    optionsRef.current = options;
+  });
 
-  const loadStats = useCallback(async () => {
-    setLoading(true);
-    setError(null);
-    const res = await client.getInfo();
-    if (res.error) setError(res.error);
-    else setInfo(res);
-    setLoading(false);
+  const mutateAsync = useCallback(async (variables) => {
+    const { onMutate, onSuccess, onError, onSettled, optimistic } = optionsRef.current;
+    let rollback = null;
+    let context;
+    let data;
+    setState((prev) => ({ ...prev, status: 'loading', error: null }));
+    try {
+      if (typeof optimistic === 'function') {
+        rollback = optimistic(variables);
+      } else if (optimistic?.key) {
+        const snapshot = queryCache.getQueryData(optimistic.key);
+        queryCache.setQueryData(optimistic.key, (prev) => optimistic.update(prev, variables));
+        rollback = () => queryCache.setQueryData(optimistic.key, snapshot);
+      }
+      if (onMutate) context = await onMutate(variables);
+      data = unwrapResult(await fnRef.current(variables));
+    } catch (err) {
+      const error = normalizeError(err);
+      if (typeof rollback === 'function') rollback();
+      setState({ status: 'error', data: undefined, error });
+      if (onError) await onError(error, variables, context);
+      if (onSettled) await onSettled(undefined, error, variables, context);
+      throw error;
+    }
+    // parked by the offline queue: nothing reached the server yet, so no success callbacks
+    if (data?.queued) {
+      setState({ status: 'queued', data, error: null });
+      return data;
+    }
+    setState({ status: 'success', data, error: null });
+    if (onSuccess) await onSuccess(data, variables, context);
+    if (onSettled) await onSettled(data, null, variables, context);
+    return data;
+  }, [queryCache]);
+
+  const mutate = useCallback((variables) => mutateAsync(variables).catch(() => undefined), [mutateAsync]);
+  const reset = useCallback(() => setState({ status: 'idle', data: undefined, error: null }), []);
+
+  return {
+    ...state,
+    loading: state.status === 'loading',
+    rateLimit: state.error?.rateLimit || null,
+    mutate,
+    mutateAsync,
+    reset
+  };
+}
+
+/**
+ * Live rate-limit state of one route (`'POST /api/v1/keys/generate'`), shared by every hook on the client.
+ * `retryAfterMs` counts down every `tickMs` while the route is limited.
+ * @param {string} route
+ * @param {Object} [options]
+ * @param {number} [options.tickMs]
+ * @param {string} [options.instance]
+ */
+export function useRateLimit(route, { tickMs = 1000, instance } = {}) {
+  const { client } = useSexyGuard(instance);
+  const limiter = client.rateLimiter;
+  const [method, path = ''] = route.split(' ');
+  const read = () => (limiter
+    ? limiter.getInfo(method, path)
+    : { route, limited: false, retryAfterMs: 0, retryAt: Date.now(), limit: null, remaining: null, source: 'client' });
+  const [info, setInfo] = useState(read);
+
+  useEffect(() => {
+    setInfo(read());
+    if (!limiter) return undefined;
+    return limiter.subscribe(() => setInfo(read()));
+  }, [limiter, route]);
+
+  useEffect(() => {
+    if (!info.limited) return undefined;
+    const timer = setTimeout(() => setInfo(read()), Math.min(tickMs, info.retryAfterMs));
+    return () => clearTimeout(timer);
+  }, [info, limiter, route, tickMs]);
+
+  return info;
+}
+
+/**
+ * Mutations waiting in the offline queue (`offline` on the provider).
+ * `retry(id?)` puts failed ones back in line and replays; `discard(id)` drops one.
+ */
+export function useOfflineQueue({ instance } = {}) {
+  const { offlineQueue } = useSexyGuard(instance);
+  const read = () => ({ items: offlineQueue?.getItems() || [], replaying: Boolean(offlineQueue?.replaying) });
+  const [state, setState] = useState(read);
+  const [online, setOnline] = useState(() => !isOffline());
+
+  useEffect(() => {
+    setState(read());
+    if (!offlineQueue) return undefined;
+    return offlineQueue.subscribe(() => setState(read()));
+  }, [offlineQueue]);
+
+  useEffect(() => {
+    if (typeof window === 'undefined') return undefined;
+    const update = () => setOnline(!isOffline());
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  const replay = useCallback(() => (offlineQueue ? offlineQueue.replay() : Promise.resolve(null)), [offlineQueue]);
+  const retry = useCallback((id) => (offlineQueue ? offlineQueue.retry(id) : Promise.resolve(null)), [offlineQueue]);
+  const discard = useCallback((id) => (offlineQueue ? offlineQueue.discard(id) : Promise.resolve()), [offlineQueue]);
+
+  return {
+    enabled: Boolean(offlineQueue),
+    online,
+    items: state.items,
+    pending: state.items.filter((item) => item.status === 'pending').length,
+    failed: state.items.filter((item) => item.status === 'failed').length,
+    replaying: state.replaying,
+    replay,
+    retry,
+    discard
+  };
+}
+
+/**
+ * Writes of one hook that the offline middleware parked instead of sending. `track` takes a
+ * client result; the state is true until the queue has sent (or discarded) all of them.
+ * @param {OfflineQueue|null} offlineQueue
+ * @returns {[boolean, (res: any) => boolean]} `track` returns whether `res` was queued
+ */
+function useQueuedWrites(offlineQueue) {
+  const [ids, setIds] = useState(/** @type {string[]} */([]));
+
+  useEffect(() => {
+    if (!offlineQueue) return undefined;
+    const prune = () => setIds((prev) => {
+      if (!prev.length) return prev;
+      const left = new Set(offlineQueue.getItems().map((item) => item.id));
+      const next = prev.filter((id) => left.has(id));
+      return next.length === prev.length ? prev : next;
+    });
+    prune();
+    return offlineQueue.subscribe(prune);
+  }, [offlineQueue]);
+
+  const track = useCallback((res) => {
+    if (!res?.queued) return false;
+    setIds((prev) => [...prev, res.offlineId]);
+    return true;
+  }, []);
+
+  return [ids.length > 0, track];
+}
+
+/**
+ * Load REST profile. `setMemory` results parked by the offline queue leave the profile as is
+ * and set `queued` until they are sent.
+ * @param {boolean|{autoLoad?: boolean, instance?: string}} [options]
+ */
+export function useProfile(options = true) {
+  const { autoLoad = true, instance } = typeof options === 'boolean' ? { autoLoad: options } : options;
+  const { client, token, queryCache, offlineQueue } = useSexyGuard(instance);
+  const query = useQuery(
+    'profile',
+    (ctx) => restQueries.profile.fn(client, ctx),
+    { enabled: autoLoad && Boolean(token), auth: restQueries.profile.auth, instance }
+  );
+  const [queued, trackQueued] = useQueuedWrites(offlineQueue);
+
+  const changePassword = useCallback(async (password) => {
+    const res = await client.changePassword(password);
+    trackQueued(res);
     return res;
-  }, [client]);
+  }, [client, trackQueued]);
+  const setMemory = useCallback(async (memory) => {
+    const res = await client.setMemory(memory);
+    if (!res.error && !trackQueued(res)) queryCache.invalidate('profile');
+    return res;
+  }, [client, queryCache, trackQueued]);
+
+  return {
+    profile: query.data || null,
+    loading: query.loading,
+    error: query.error,
+    rateLimit: query.rateLimit,
+    queued,
+    refresh: query.refresh,
+    changePassword,
+    setMemory
+  };
+}
+
+/**
+ * Load REST market. Items carry `discountPercent`, `onSale` and formatted prices; `items` is
+ * filtered and sorted per the options, `allItems` is the whole catalog.
+ * @param {boolean|(MarketQuery & PriceFormat & {autoLoad?: boolean, instance?: string})} [options] `false` only reads the cache
+ */
+export function useMarket(options = true) {
+  const { autoLoad = true, filter, sortBy, search, priceRange, currency, locale, instance } = typeof options === 'boolean'
+    ? { autoLoad: options }
+    : options;
+  const { client } = useSexyGuard(instance);
+  const query = useQuery(
+    'market',
+    (ctx) => restQueries.market.fn(client, ctx),
+    { enabled: autoLoad, instance }
+  );
+  const allItems = useMemo(
+    () => /** @type {MarketItem[]} */(query.data?.items || []).map((item) => decorateMarketItem(item, { currency, locale })),
+    [query.data, currency, locale]
+  );
+  const minPrice = priceRange?.min;
+  const maxPrice = priceRange?.max;
+  const items = useMemo(
+    () => queryMarket(allItems, { filter, sortBy, search, priceRange: { min: minPrice, max: maxPrice } }),
+    [allItems, filter, sortBy, search, minPrice, maxPrice]
+  );
+  const format = useCallback((value) => formatPrice(value, { currency, locale }), [currency, locale]);
+
+  return { items, allItems, loading: query.loading, error: query.error, rateLimit: query.rateLimit, refresh: query.refresh, formatPrice: format };
+}
+
+/**
+ * One store per storage adapter within a provider, so every `useCart` over it shows the same lines.
+ * @param {{byKey: Map<string, any>, byStorage: WeakMap<object, any>}} stores the provider's `cartStores`
+ * @param {ReturnType<typeof createTokenStorage>|undefined} storage
+ * @param {string} key used when `storage` is not given
+ */
+function getCartStore(stores, storage, key) {
+  if (!storage) {
+    if (!stores.byKey.has(key)) stores.byKey.set(key, createCartStore({ storage: createTokenStorage({ key }) }));
+    return stores.byKey.get(key);
+  }
+  if (!stores.byStorage.has(storage)) stores.byStorage.set(storage, createCartStore({ storage }));
+  return stores.byStorage.get(storage);
+}
+
+/**
+ * Shopping cart over the REST market, persisted in a token-storage style adapter.
+ * Lines use current market prices once the market is loaded, the snapshot from `add` before that.
+ * @param {Object} [options]
+ * @param {ReturnType<typeof createTokenStorage>} [options.storage] e.g. `createTokenStorage({ type: 'cookie', key: 'cart' })`
+ * @param {string} [options.key] localStorage key when `storage` is not given; `sexyguard_cart`, per instance under `instances`
+ * @param {string} [options.currency]
+ * @param {string} [options.locale]
+ * @param {(cart: {lines: any[], count: number, total: number, client: SexyGuardClient}, extra: any) => Promise<any>} [options.onCheckout]
+ *   purchase / activation; a result without `error` empties the cart
+ * @param {boolean} [options.clearOnCheckout]
+ * @param {string} [options.instance]
+ */
+export function useCart({
+  storage,
+  key,
+  currency,
+  locale,
+  onCheckout,
+  clearOnCheckout = true,
+  instance
+} = {}) {
+  const { client, instance: instanceName, cartStores } = useSexyGuard(instance);
+  const storageKey = key || (instanceName ? `sexyguard_cart_${instanceName}` : 'sexyguard_cart');
+  const store = useMemo(() => getCartStore(cartStores, storage, storageKey), [cartStores, storage, storageKey]);
+  const [lines, setLines] = useState(() => store.getLines());
+  useEffect(() => {
+    setLines(store.getLines());
+    return store.subscribe(setLines);
+  }, [store]);
+
+  const { allItems } = useMarket({ autoLoad: false, currency, locale, instance });
+  const cart = useMemo(() => {
+    const byId = new Map(allItems.map((item) => [item.productId, item]));
+    const resolved = lines.map((line) => {
+      const item = byId.get(line.productId) || decorateMarketItem(line.item, { currency, locale });
+      const lineTotal = item.productPrice * line.quantity;
+      return { ...line, item, lineTotal, formattedLineTotal: formatPrice(lineTotal, { currency: item.currency || currency, locale }) };
+    });
+    // like the items: a currency the market sends wins, when all lines agree on it
+    const itemCurrencies = new Set(resolved.map((line) => line.item.currency).filter(Boolean));
+    const totalFormat = { currency: itemCurrencies.size === 1 ? [...itemCurrencies][0] : currency, locale };
+    const total = resolved.reduce((sum, line) => sum + line.lineTotal, 0);
+    const savings = resolved.reduce(
+      (sum, line) => sum + (line.item.onSale ? (line.item.productOldPrice - line.item.productPrice) * line.quantity : 0),
+      0
+    );
+    return {
+      lines: resolved,
+      count: resolved.reduce((sum, line) => sum + line.quantity, 0),
+      total,
+      savings,
+      formattedTotal: formatPrice(total, totalFormat),
+      formattedSavings: formatPrice(savings, totalFormat)
+    };
+  }, [lines, allItems, currency, locale]);
+
+  const cartRef = useRef(cart);
+  const onCheckoutRef = useRef(onCheckout);
+  useEffect(() => {
+    cartRef.current = cart;
+    onCheckoutRef.current = onCheckout;
+  });
+
+  const [checkingOut, setCheckingOut] = useState(false);
+  const [checkoutError, setCheckoutError] = useState(null);
+  const checkout = useCallback(async (extra) => {
+    if (!onCheckoutRef.current) {
+      const err = normalizeError('onCheckout is not set');
+      setCheckoutError(err);
+      return { error: err.message };
+    }
+    const { lines: current, count, total } = cartRef.current;
+    setCheckingOut(true);
+    setCheckoutError(null);
+    try {
+      const res = await onCheckoutRef.current({ lines: current, count, total, client }, extra);
+      if (res?.error) setCheckoutError(normalizeError(res));
+      else if (clearOnCheckout) store.clear();
+      return res;
+    } catch (err) {
+      setCheckoutError(normalizeError(err));
+      throw err;
+    } finally {
+      setCheckingOut(false);
+    }
+  }, [client, store, clearOnCheckout]);
+
+  const add = useCallback((item, quantity) => store.add(item, quantity), [store]);
+  const remove = useCallback((productId) => store.remove(productId), [store]);
+  const setQuantity = useCallback((productId, quantity) => store.setQuantity(productId, quantity), [store]);
+  const clear = useCallback(() => store.clear(), [store]);
+  const has = useCallback((productId) => lines.some((line) => line.productId === productId), [lines]);
+
+  return { ...cart, add, remove, setQuantity, clear, has, checkout, checkingOut, checkoutError };
+}
 
-  useEffect(() => { if (autoLoad) loadStats(); }, [autoLoad, loadStats]);
 
-  return { info, loading, error, refresh: loadStats };
+/**
+ * Load REST stats.
+ * @param {boolean|{autoLoad?: boolean, instance?: string}} [options]
+ */
+export function useStats(options = true) {
+  const { autoLoad = true, instance } = typeof options === 'boolean' ? { autoLoad: options } : options;
+  const { client } = useSexyGuard(instance);
+  const query = useQuery(
+    'info',
+    (ctx) => restQueries.info.fn(client, ctx),
+    { enabled: autoLoad, instance }
+  );
+
+  return { info: query.data || null, loading: query.loading, error: query.error, rateLimit: query.rateLimit, refresh: query.refresh };
 }
 
 /**
  * Load REST version.
- * @param {boolean} [autoLoad]
+ * @param {boolean|{autoLoad?: boolean, instance?: string}} [options]
+ */
+export function useVersion(options = true) {
+  const { autoLoad = true, instance } = typeof options === 'boolean' ? { autoLoad: options } : options;
+  const { client } = useSexyGuard(instance);
+  const query = useQuery(
+    'version',
+    (ctx) => restQueries.version.fn(client, ctx),
+    { enabled: autoLoad, instance }
+  );
+
+  return { version: query.data?.version || null, loading: query.loading, error: query.error, rateLimit: query.rateLimit, refresh: query.refresh };
+}
+
+/**
+ * Poll `/health` and check the backend version against `versionRange` (see `HealthMonitor`).
+ * Polling pauses while the tab is hidden; `check()` runs one right away.
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled]
+ * @param {number} [options.intervalMs]
+ * @param {number} [options.timeoutMs]
+ * @param {number} [options.degradedLatencyMs]
+ * @param {number} [options.retryMs]
+ * @param {number} [options.maxBackoffMs]
+ * @param {string|null} [options.versionRange] defaults to `SUPPORTED_BACKEND_VERSIONS`
+ * @param {(state: any, prev: any) => void} [options.onChange]
+ * @param {(info: {version: string, range: string}) => void} [options.onIncompatible]
+ * @param {string} [options.instance]
  */
-export function useVersion(autoLoad = true) {
-  const { client } = useSexyGuard();
-  const [version, setVersion] = useState(null);
+export function useBackendStatus({
+  enabled = true,
+  intervalMs,
+  timeoutMs,
+  degradedLatencyMs,
+  retryMs,
+  maxBackoffMs,
+  versionRange,
+  onChange,
+  onIncompatible,
+  instance
+} = {}) {
+  const { client } = useSexyGuard(instance);
+  const onChangeRef = useRef(onChange);
+  const onIncompatibleRef = useRef(onIncompatible);
+  useEffect(() => {
+    onChangeRef.current = onChange;
+    onIncompatibleRef.current = onIncompatible;
+  });
+
+  const monitor = useMemo(() => new HealthMonitor(client, {
+    intervalMs,
+    timeoutMs,
+    degradedLatencyMs,
+    retryMs,
+    maxBackoffMs,
+    versionRange,
+    onChange: (state, prev) => onChangeRef.current?.(state, prev),
+    onIncompatible: (info) => onIncompatibleRef.current?.(info)
+  }), [client, intervalMs, timeoutMs, degradedLatencyMs, retryMs, maxBackoffMs, versionRange]);
+
+  const [state, setState] = useState(() => monitor.getState());
+  useEffect(() => {
+    setState(monitor.getState());
+    if (!enabled) return undefined;
+    const unsubscribe = monitor.subscribe(() => setState(monitor.getState()));
+    monitor.start();
+    return () => {
+      unsubscribe();
+      monitor.stop();
+    };
+  }, [monitor, enabled]);
+
+  const check = useCallback(() => monitor.check(), [monitor]);
+
+  return { ...state, check };
+}
+
+const BACKEND_STATUS_MESSAGES = {
+  degraded: 'The service is responding slowly or with errors.',
+  down: 'The service is unreachable. Retrying…',
+  incompatible: 'The service version is not supported by this app. Please update.',
+  online: 'The service is online.',
+  retry: 'Retry'
+};
+
+/**
+ * Alert shown while the backend is degraded, down or incompatible; `fallback` otherwise.
+ * Polls on its own unless `status` from `useBackendStatus()` is passed; other props are its options.
+ * `messages` overrides the texts for `degraded`, `down`, `incompatible`, `online` and `retry`.
+ */
+export function BackendStatusBanner({
+  status,
+  messages,
+  className,
+  style,
+  showWhenOnline = false,
+  fallback = null,
+  ...options
+}) {
+  const own = useBackendStatus({ ...options, enabled: !status && options.enabled !== false });
+  const current = status || own;
+  const text = { ...BACKEND_STATUS_MESSAGES, ...messages };
+  const kind = current.compatible === false
+    ? 'incompatible'
+    : current.status === 'degraded' || current.status === 'down' ? current.status : 'online';
+
+  if (kind === 'online' && (!showWhenOnline || current.status !== 'online')) return fallback;
+  return React.createElement(
+    'div',
+    { role: kind === 'online' ? 'status' : 'alert', className, style, 'data-status': kind },
+    text[kind],
+    kind === 'incompatible' || kind === 'online'
+      ? null
+      : React.createElement('button', { type: 'button', onClick: () => current.check() }, text.retry)
+  );
+}
+
+/**
+ * Run `worker(index)` for `count` items, at most `concurrency` at a time.
+ * @param {number} count
+ * @param {number} concurrency
+ * @param {(index: number) => Promise<void>} worker
+ * @returns {Promise<void>}
+ */
+async function runPool(count, concurrency, worker) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(count, Math.max(1, concurrency)) }, async () => {
+    while (next < count) {
+      const index = next;
+      next += 1;
+      await worker(index);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+/**
+ * Key generation / activation.
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] parallel requests in `generateBatch`
+ * @param {string} [options.instance]
+ */
+export function useKeys({ concurrency = 4, instance } = {}) {
+  const { client, queryCache, offlineQueue } = useSexyGuard(instance);
+  const [queued, trackQueued] = useQueuedWrites(offlineQueue);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [lastKey, setLastKey] = useState(null);
+  const [batch, setBatch] = useState(/** @type {KeyBatchResult[]} */([]));
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
 
-  const loadVersion = useCallback(async () => {
+  const generate = useCallback(async (params) => {
     setLoading(true);
     setError(null);
-    const res = await client.getVersion();
-    if (res.error) setError(res.error);
-    else setVersion(res.version || null);
+    try {
+      const res = await client.generateKey(params);
+      if (res.error) setError(normalizeError(res));
+      else if (!trackQueued(res)) setLastKey(res.key);
+      return res;
+    } catch (err) {
+      setError(normalizeError(err));
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [client, trackQueued]);
+
+  const generateBatch = useCallback(async (count, params, opts = {}) => {
+    /** @type {KeyBatchResult[]} */
+    const results = [];
+    setLoading(true);
+    setError(null);
+    setProgress({ done: 0, total: count });
+    await runPool(count, opts.concurrency || concurrency, async (index) => {
+      try {
+        const res = await client.generateKey(params);
+        results[index] = res.error
+          ? { index, key: null, error: normalizeError(res) }
+          : { index, key: trackQueued(res) ? null : res.key, error: null };
+      } catch (err) {
+        results[index] = { index, key: null, error: normalizeError(err) };
+      }
+      setProgress((p) => ({ ...p, done: p.done + 1 }));
+    });
+    setBatch(results);
+    setError(results.find((r) => r.error)?.error || null);
     setLoading(false);
-    return res;
-  }, [client]);
+    return results;
+  }, [client, concurrency, trackQueued]);
+
+  const activate = useCallback(async (key) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await client.activateKey(key);
+      if (res.error) setError(normalizeError(res));
+      else if (!trackQueued(res)) queryCache.invalidate('profile');
+      return res;
+    } catch (err) {
+      setError(normalizeError(err));
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [client, queryCache, trackQueued]);
 
-  useEffect(() => { if (autoLoad) loadVersion(); }, [autoLoad, loadVersion]);
+  const exportCsv = useCallback(() => keysToCsv(batch), [batch]);
+  const exportText = useCallback(() => keysToText(batch), [batch]);
 
-  return { version, loading, error, refresh: loadVersion };
+  return { loading, error, rateLimit: error?.rateLimit || null, queued, lastKey, batch, progress, generate, generateBatch, activate, exportCsv, exportText };
+}
+
+/** @param {number} ms */
+function splitDuration(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  return {
+    days: Math.floor(total / 86400),
+    hours: Math.floor((total % 86400) / 3600),
+    minutes: Math.floor((total % 3600) / 60),
+    seconds: total % 60
+  };
+}
+
+/**
+ * License of the signed-in user: subscription from `profile.till`, device binding from `profile.hwid`.
+ * @param {Object} [options]
+ * @param {() => Promise<string|null>|string|null} [options.fingerprint] id of this device; `getBrowserFingerprint` by default
+ * @param {(hwid: string, ctx: {client: SexyGuardClient}) => Promise<any>} [options.bind] submits the binding
+ * @param {string} [options.hwidPath] binding route for `client.bindHwid` when there is no `bind`
+ * @param {boolean} [options.autoBind] bind an active, unbound license to this device once per profile
+ * @param {number} [options.warnBeforeMs] `expiringSoon` threshold, 3 days by default
+ * @param {number} [options.tickMs] recompute `remainingMs` / `countdown` this often; by default only at
+ *   the `warnBeforeMs` threshold and at expiry, 0 stops the clock
+ * @param {(license: LicenseStatus) => void} [options.onExpiringSoon] once per `till`
+ * @param {(license: LicenseStatus) => void} [options.onExpire] an active subscription ran out while mounted
+ * @param {(license: LicenseStatus) => void} [options.onDeviceMismatch] the license is bound to another device
+ * @param {string} [options.instance]
+ */
+export function useLicense({
+  fingerprint = getBrowserFingerprint,
+  bind: bindFn,
+  hwidPath,
+  autoBind = false,
+  warnBeforeMs,
+  tickMs,
+  onExpiringSoon,
+  onExpire,
+  onDeviceMismatch,
+  instance
+} = {}) {
+  const { client, queryCache, offlineQueue } = useSexyGuard(instance);
+  const { profile, loading, error, refresh } = useProfile({ instance });
+  const [queued, trackQueued] = useQueuedWrites(offlineQueue);
+  const [device, setDevice] = useState({ id: null, ready: false });
+  const [now, setNow] = useState(() => Date.now());
+  const [binding, setBinding] = useState(false);
+  const [activating, setActivating] = useState(false);
+  const [actionError, setActionError] = useState(null);
+
+  const optionsRef = useRef({ fingerprint, bindFn, hwidPath, onExpiringSoon, onExpire, onDeviceMismatch });
+  useEffect(() => {
+    optionsRef.current = { fingerprint, bindFn, hwidPath, onExpiringSoon, onExpire, onDeviceMismatch };
+  });
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.resolve()
+      .then(() => optionsRef.current.fingerprint())
+      .catch(() => null)
+      .then((id) => { if (!cancelled) setDevice({ id: id || null, ready: true }); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const till = profile?.till;
+  const warnMs = warnBeforeMs ?? LICENSE_WARN_BEFORE_MS;
+  useEffect(() => {
+    setNow(Date.now());
+    const end = getSubscriptionStatus(till).expiresAt?.getTime();
+    if (tickMs === 0 || !end || end <= Date.now()) return undefined;
+    if (tickMs) {
+      const timer = setInterval(() => {
+        const t = Date.now();
+        setNow(t);
+        if (t >= end) clearInterval(timer);
+      }, tickMs);
+      return () => clearInterval(timer);
+    }
+    // no clock: one timeout for the next change of `expiringSoon` or `status`
+    let timer;
+    const schedule = () => {
+      const t = Date.now();
+      const next = [end - warnMs, end].find((at) => at > t);
+      if (next === undefined) return;
+      timer = setTimeout(() => {
+        setNow(Date.now());
+        schedule();
+      }, Math.min(next - t, MAX_TIMEOUT_MS));
+    };
+    schedule();
+    return () => clearTimeout(timer);
+  }, [till, tickMs, warnMs]);
+
+  const license = useMemo(
+    () => getLicenseStatus(profile, device.id, { now, warnBeforeMs: warnMs }),
+    [profile, device.id, now, warnMs]
+  );
+
+  const firedRef = useRef({ soon: undefined, active: false, mismatch: null });
+  useEffect(() => {
+    const fired = firedRef.current;
+    const { onExpiringSoon: soon, onExpire: expire, onDeviceMismatch: mismatch } = optionsRef.current;
+    if (license.expiringSoon && fired.soon !== till) {
+      fired.soon = till;
+      soon?.(license);
+    }
+    if (fired.active && license.status === 'expired') expire?.(license);
+    if (license.status) fired.active = license.active;
+    if (license.status === 'bound-to-other-device' && fired.mismatch !== license.hwid) {
+      fired.mismatch = license.hwid;
+      mismatch?.(license);
+    }
+  }, [license, till]);
+
+  const bind = useCallback(async () => {
+    const hwid = device.ready ? device.id : await Promise.resolve(optionsRef.current.fingerprint()).catch(() => null);
+    if (!hwid) {
+      const err = normalizeError('Device fingerprint is not available');
+      setActionError(err);
+      return { error: err.message };
+    }
+    setBinding(true);
+    setActionError(null);
+    try {
+      const { bindFn: submit, hwidPath: path } = optionsRef.current;
+      const res = submit ? await submit(hwid, { client }) : await client.bindHwid(hwid, { hwidPath: path });
+      if (res?.error) setActionError(normalizeError(res));
+      else if (!trackQueued(res)) queryCache.invalidate('profile');
+      return res;
+    } catch (err) {
+      setActionError(normalizeError(err));
+      throw err;
+    } finally {
+      setBinding(false);
+    }
+  }, [client, queryCache, device, trackQueued]);
+
+  const activate = useCallback(async (key) => {
+    setActivating(true);
+    setActionError(null);
+    try {
+      const res = await client.activateKey(key);
+      if (res.error) setActionError(normalizeError(res));
+      else if (!trackQueued(res)) queryCache.invalidate('profile');
+      return res;
+    } catch (err) {
+      setActionError(normalizeError(err));
+      throw err;
+    } finally {
+      setActivating(false);
+    }
+  }, [client, queryCache, trackQueued]);
+
+  const autoBoundRef = useRef(null);
+  const uid = profile?.uid;
+  const canBind = Boolean(bindFn || hwidPath);
+  useEffect(() => {
+    if (!autoBind || !canBind || license.status !== 'unbound' || !device.ready || !device.id) return;
+    // one attempt per profile, so a rejected binding does not loop
+    if (autoBoundRef.current === uid) return;
+    autoBoundRef.current = uid;
+    bind().catch(() => {});
+  }, [autoBind, canBind, license.status, device, uid, bind]);
+
+  return {
+    ...license,
+    countdown: splitDuration(license.remainingMs),
+    fingerprint: device.id,
+    checkingDevice: !device.ready,
+    profile,
+    loading,
+    error,
+    refresh,
+    bind,
+    binding,
+    activate,
+    activating,
+    actionError,
+    queued
+  };
+}
+
+// largest delay setTimeout accepts
+const MAX_TIMEOUT_MS = 2147483647;
+
+/**
+ * Auth, role and subscription checks from the REST token, the Supabase session and the profile.
+ * @param {Object} [options]
+ * @param {string[]} [options.roleHierarchy] overrides the provider's hierarchy
+ * @param {string} [options.instance]
+ */
+export function usePermissions({ roleHierarchy, instance } = {}) {
+  const {
+    token,
+    authStatus,
+    roleHierarchy: providerHierarchy,
+    supabaseEnabled,
+    supabaseError,
+    supabaseSession: session,
+    supabaseSessionKnown
+  } = useSexyGuard(instance);
+  const { profile, error: profileError } = useProfile({ instance });
+  const hierarchy = roleHierarchy || providerHierarchy;
+
+  const role = profile?.role || session?.user?.app_metadata?.role || null;
+  const isAuthenticated = Boolean(token || session || profile);
+  // undecided until the profile and the Supabase session have been checked once
+  const loading = authStatus === 'refreshing'
+    || (Boolean(token) && !profile && !profileError)
+    || (supabaseEnabled && !supabaseError && !supabaseSessionKnown);
+
+  const hasRole = useCallback((required) => roleSatisfies(role, required, hierarchy), [role, hierarchy]);
+  const hasAnyRole = useCallback((roles) => roles.some((r) => roleSatisfies(role, r, hierarchy)), [role, hierarchy]);
+  const till = profile?.till;
+  const subscription = getSubscriptionStatus(till);
+
+  // re-render when the subscription runs out so RequireSubscription closes on time
+  const [, setExpiredAt] = useState(0);
+  useEffect(() => {
+    const end = getSubscriptionStatus(till).expiresAt?.getTime();
+    if (!end || end <= Date.now()) return undefined;
+    let timer;
+    const schedule = () => {
+      const left = end - Date.now();
+      if (left <= 0) {
+        setExpiredAt(end);
+        return;
+      }
+      // setTimeout fires at once for delays past ~24.8 days
+      timer = setTimeout(schedule, Math.min(left, MAX_TIMEOUT_MS));
+    };
+    schedule();
+    return () => clearTimeout(timer);
+  }, [till]);
+
+  return { isAuthenticated, role, loading, hasRole, hasAnyRole, subscription, profile, session };
+}
+
+/**
+ * Shared rendering for guard components.
+ */
+function Guard({ allowed, loading, fallback = null, loadingFallback = null, redirectTo, navigate, instance, children }) {
+  const { navigate: providerNavigate } = useSexyGuard(instance);
+  const shouldRedirect = !loading && !allowed && Boolean(redirectTo);
+
+  useEffect(() => {
+    if (!shouldRedirect) return;
+    const go = navigate || providerNavigate;
+    if (go) go(redirectTo);
+    else if (typeof window !== 'undefined') window.location.assign(redirectTo);
+  }, [shouldRedirect, redirectTo, navigate, providerNavigate]);
+
+  if (loading) return loadingFallback;
+  if (!allowed) return fallback;
+  return children;
+}
+
+/**
+ * Render children only for authenticated users (REST token, Supabase session or hydrated profile).
+ */
+export function RequireAuth({ children, ...guard }) {
+  const { isAuthenticated, loading } = usePermissions({ instance: guard.instance });
+  return React.createElement(Guard, { ...guard, allowed: isAuthenticated, loading }, children);
+}
+
+/**
+ * Render children when the profile role satisfies any of `roles` in the role hierarchy.
+ */
+export function RequireRole({ roles, roleHierarchy, children, ...guard }) {
+  const { isAuthenticated, hasAnyRole, loading } = usePermissions({ roleHierarchy, instance: guard.instance });
+  const allowed = isAuthenticated && hasAnyRole(Array.isArray(roles) ? roles : [roles]);
+  return React.createElement(Guard, { ...guard, allowed, loading }, children);
+}
+
+/**
+ * Render children while `UserProfile.till` is in the future.
+ */
+export function RequireSubscription({ children, ...guard }) {
+  const { isAuthenticated, subscription, loading } = usePermissions({ instance: guard.instance });
+  return React.createElement(Guard, { ...guard, allowed: isAuthenticated && subscription.active, loading }, children);
 }
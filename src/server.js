@@ -0,0 +1,102 @@
+/* SexyGuard React SDK — server entry (SSR, React Server Components) */
+import {
+  SexyGuardClient,
+  QueryCache,
+  parseCookies,
+  serializeCookie,
+  prefetchQueries
+} from './core.js';
+
+export {
+  SexyGuardClient,
+  QueryCache,
+  parseCookies,
+  serializeCookie,
+  prefetchQueries,
+  restQueries,
+  getSubscriptionStatus,
+  roleSatisfies
+} from './core.js';
+
+/** @typedef {import('./core.js').CookieOptions} CookieOptions */
+/** @typedef {import('./core.js').DehydratedState} DehydratedState */
+
+/**
+ * Cookie token storage for one server request: reads the incoming `Cookie` header and
+ * records writes as `Set-Cookie` headers instead of touching `document.cookie`.
+ * @param {Object} [opts]
+ * @param {string} [opts.key]
+ * @param {string} [opts.cookieHeader]
+ * @param {CookieOptions} [opts.cookie]
+ * @returns {{get: Function, set: Function, clear: Function, getSetCookieHeaders: () => string[]}}
+ */
+export function createServerCookieStorage({
+  key = 'sexyguard_token',
+  cookieHeader = '',
+  cookie = {}
+} = {}) {
+  const options = { path: '/', maxAge: 60 * 60 * 24 * 30, sameSite: 'Lax', secure: true, ...cookie };
+  let value = parseCookies(cookieHeader)[key] || null;
+  let header = null;
+
+  return {
+    get: () => value,
+    set: (v) => {
+      value = v || null;
+      header = v
+        ? serializeCookie(key, v, options)
+        : serializeCookie(key, '', { ...options, maxAge: 0, expires: undefined });
+    },
+    clear: () => {
+      value = null;
+      header = serializeCookie(key, '', { ...options, maxAge: 0, expires: undefined });
+    },
+    getSetCookieHeaders: () => (header ? [header] : [])
+  };
+}
+
+/**
+ * Request-scoped client + cache. Never share one between requests.
+ * @param {Object} [opts] SexyGuardClient options plus:
+ * @param {string} [opts.cookieHeader] incoming `Cookie` header
+ * @param {string} [opts.tokenStorageKey]
+ * @param {CookieOptions} [opts.cookie] flags for emitted `Set-Cookie` headers (`httpOnly`, `secure`, `sameSite`...)
+ */
+export function createServerClient({
+  cookieHeader = '',
+  tokenStorageKey = 'sexyguard_token',
+  cookie,
+  ...options
+} = {}) {
+  const tokenStorage = createServerCookieStorage({ key: tokenStorageKey, cookieHeader, cookie });
+  const sessionTokenStorage = createServerCookieStorage({ key: `${tokenStorageKey}_session`, cookieHeader, cookie });
+  const client = new SexyGuardClient({ ...options, tokenStorageKey, tokenStorage, sessionTokenStorage });
+  // nothing subscribes on the server, so entries never need collecting
+  const queryCache = new QueryCache({ cacheTime: Infinity });
+
+  return {
+    client,
+    queryCache,
+    /**
+     * @param {string[]} [keys] built-in query keys: profile, market, info, version
+     * @returns {Promise<void>}
+     */
+    prefetch: (keys) => prefetchQueries(client, queryCache, keys),
+    /** @returns {DehydratedState} pass to `<SexyGuardProvider initialState>` */
+    dehydrate: () => queryCache.dehydrate(),
+    /** @returns {string[]} headers to append to the response */
+    getSetCookieHeaders: () => [
+      ...tokenStorage.getSetCookieHeaders(),
+      ...sessionTokenStorage.getSetCookieHeaders()
+    ]
+  };
+}
+
+/**
+ * Snapshot a query cache for `<SexyGuardProvider initialState>`.
+ * @param {QueryCache} queryCache
+ * @returns {DehydratedState}
+ */
+export function dehydrate(queryCache) {
+  return queryCache.dehydrate();
+}
@@ -0,0 +1,1070 @@
+/* SexyGuard React SDK — testing entry: in-memory backend, fake Supabase client, mock provider. No network. */
+import React, { useMemo } from 'react';
+import { SexyGuardProvider } from './index.js';
+import {
+  createTokenStorage,
+  validateKeyParams,
+  filterMatches,
+  compareRows
+} from './core.js';
+
+/** @typedef {import('./core.js').UserProfile} UserProfile */
+/** @typedef {import('./core.js').MarketItem} MarketItem */
+
+/**
+ * @typedef {Object} MockUser
+ * @property {string} nickname login
+ * @property {string} email
+ * @property {string} password
+ * @property {string} [role] 'user' by default
+ * @property {number} [uid]
+ * @property {string|null} [hwid]
+ * @property {number|null} [till] subscription end, unix seconds
+ * @property {string|null} [ram]
+ */
+
+/**
+ * @typedef {Object} MockKey
+ * @property {string} key
+ * @property {number} plus_subday days added on activation
+ * @property {number} value_of_activate activations left
+ * @property {string} delete_time the key cannot be activated after this date
+ */
+
+/**
+ * @typedef {Object} MockRequest
+ * @property {string} method
+ * @property {string} path
+ * @property {any} body
+ * @property {Record<string, string>} headers
+ */
+
+/**
+ * @typedef {Object} MockRouteContext
+ * @property {string} method
+ * @property {string} path
+ * @property {any} body
+ * @property {Record<string, string>} headers
+ * @property {URLSearchParams} query
+ * @property {MockUser|null} user owner of the Bearer token
+ * @property {{users: MockUser[], products: MarketItem[], keys: MockKey[]}} db
+ */
+
+/**
+ * @param {number} status
+ * @param {any} body
+ * @param {Record<string, string>} [headers]
+ * @returns {Response}
+ */
+function jsonResponse(status, body, headers) {
+  return new Response(JSON.stringify(body ?? {}), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+}
+
+/**
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason || new DOMException('Aborted', 'AbortError'));
+    }, { once: true });
+  });
+}
+
+/** Routes that need a Bearer token. */
+const AUTH_ROUTES = new Set([
+  '/api/v1/profile/me',
+  '/api/v1/profile/password',
+  '/api/v1/profile/ram',
+  '/api/v1/keys/generate',
+  '/api/v1/keys/activate'
+]);
+
+/**
+ * In-memory fake of the js-backend `/api/v1/*` routes and `/health`. `fetch` is a drop-in
+ * for the client's `fetch` option; everything else is for seeding and inspecting state.
+ * @param {Object} [opts]
+ * @param {MockUser[]} [opts.users]
+ * @param {MarketItem[]} [opts.products]
+ * @param {MockKey[]} [opts.keys]
+ * @param {string} [opts.version] reported by `/api/v1/public/version` and `/health`
+ * @param {number} [opts.latency] ms before every response
+ */
+export function createMockBackend({ users = [], products = [], keys = [], version = '1.0.0', latency = 0 } = {}) {
+  const db = { users: [], products: [], keys: [] };
+  const tokens = new Map();
+  const sessions = new Map();
+  const overrides = new Map();
+  /** @type {MockRequest[]} */
+  const requests = [];
+  let online = true;
+  let seq = 0;
+
+  const addUser = (user) => {
+    const created = {
+      role: 'user',
+      hwid: null,
+      till: null,
+      ram: null,
+      ...user,
+      uid: user.uid ?? db.users.reduce((max, u) => Math.max(max, u.uid), 0) + 1
+    };
+    db.users.push(created);
+    return created;
+  };
+
+  const seed = (data = {}) => {
+    (data.users || []).forEach(addUser);
+    (data.products || []).forEach((product) => {
+      db.products.push({
+        productOldPrice: null,
+        productDir: null,
+        ...product,
+        productId: product.productId ?? db.products.reduce((max, p) => Math.max(max, p.productId), 0) + 1
+      });
+    });
+    (data.keys || []).forEach((key) => { db.keys.push({ ...key }); });
+  };
+
+  const issue = (user) => {
+    seq += 1;
+    const token = `mock-token-${user.uid}-${seq}`;
+    const session = `mock-session-${user.uid}-${seq}`;
+    tokens.set(token, user.uid);
+    sessions.set(session, user.uid);
+    return { token, session };
+  };
+
+  const findUser = (login) => db.users.find((u) => u.nickname === login || u.email === login) || null;
+
+  /** @param {MockUser} user @returns {UserProfile} */
+  const profileOf = (user) => ({
+    nickname: user.nickname,
+    email: user.email,
+    role: user.role,
+    uid: user.uid,
+    hwid: user.hwid,
+    till: user.till,
+    ram: user.ram
+  });
+
+  /** @type {Record<string, (ctx: MockRouteContext) => {status: number, body: any}>} */
+  const routes = {
+    'POST /api/v1/auth/login': ({ body }) => {
+      const user = findUser(body?.login);
+      if (!user || user.password !== body?.password) return { status: 401, body: { error: 'Invalid login or password' } };
+      return { status: 200, body: { status: 'ok', ...issue(user), email: user.email, role: user.role } };
+    },
+    'POST /api/v1/auth/register': ({ body }) => {
+      if (!body?.login || !body?.email || !body?.password) {
+        return { status: 400, body: { error: 'login, email and password are required' } };
+      }
+      if (findUser(body.login) || findUser(body.email)) return { status: 409, body: { error: 'User already exists' } };
+      addUser({ nickname: body.login, email: body.email, password: body.password });
+      return { status: 200, body: { status: 'ok' } };
+    },
+    'POST /api/v1/auth/refresh': ({ body }) => {
+      const uid = sessions.get(body?.session);
+      const user = db.users.find((u) => u.uid === uid);
+      if (!user) return { status: 401, body: { error: 'Session expired' } };
+      sessions.delete(body.session);
+      return { status: 200, body: issue(user) };
+    },
+    'GET /api/v1/profile/me': ({ user }) => ({ status: 200, body: profileOf(user) }),
+    'POST /api/v1/profile/password': ({ user, body }) => {
+      if (!body?.password) return { status: 400, body: { error: 'password is required' } };
+      user.password = body.password;
+      return { status: 200, body: { status: 'ok', message: 'Password changed' } };
+    },
+    'POST /api/v1/profile/ram': ({ user, body }) => {
+      if (body?.memory === undefined || body.memory === null || body.memory === '') {
+        return { status: 400, body: { error: 'memory is required' } };
+      }
+      user.ram = String(body.memory);
+      return { status: 200, body: { status: 'ok', message: 'Memory updated' } };
+    },
+    'POST /api/v1/keys/generate': ({ user, body }) => {
+      if (user.role !== 'admin') return { status: 403, body: { error: 'Forbidden' } };
+      const issues = validateKeyParams(body || {});
+      if (issues.length) return { status: 400, body: { error: issues[0].message } };
+      seq += 1;
+      const key = `MOCK-${String(seq).padStart(6, '0')}`;
+      db.keys.push({ key, plus_subday: body.plus_subday, value_of_activate: body.value_of_activate, delete_time: body.delete_time });
+      return { status: 200, body: { status: true, key } };
+    },
+    'POST /api/v1/keys/activate': ({ user, body }) => {
+      const key = db.keys.find((k) => k.key === body?.key);
+      if (!key) return { status: 404, body: { error: 'Key not found' } };
+      if (Date.parse(key.delete_time) < Date.now()) return { status: 410, body: { error: 'Key expired' } };
+      if (key.value_of_activate <= 0) return { status: 409, body: { error: 'Key already used' } };
+      key.value_of_activate -= 1;
+      const now = Math.floor(Date.now() / 1000);
+      user.till = Math.max(user.till || 0, now) + key.plus_subday * 86400;
+      return { status: 200, body: { status: 'ok', message: 'Key activated' } };
+    },
+    'GET /api/v1/public/info': () => ({ status: 200, body: { totalUsers: db.users.length } }),
+    'GET /api/v1/public/market': () => ({ status: 200, body: { items: db.products } }),
+    'GET /api/v1/public/version': () => ({ status: 200, body: { version } }),
+    'GET /health': () => ({ status: 200, body: { status: 'ok', version } })
+  };
+
+  /**
+   * @param {string|URL|Request} input
+   * @param {RequestInit} [init]
+   * @returns {Promise<Response>}
+   */
+  const mockFetch = async (input, init = {}) => {
+    const url = new URL(typeof input === 'string' || input instanceof URL ? input : input.url, 'http://localhost');
+    const method = (init.method || 'GET').toUpperCase();
+    const headers = { ...init.headers };
+    let body = null;
+    try {
+      body = init.body ? JSON.parse(init.body) : null;
+    } catch {
+      body = init.body;
+    }
+    requests.push({ method, path: url.pathname, body, headers });
+    if (latency) await delay(latency, init.signal);
+    if (init.signal?.aborted) throw init.signal.reason || new DOMException('Aborted', 'AbortError');
+    if (!online) throw new TypeError('Failed to fetch');
+
+    const route = `${method} ${url.pathname}`;
+    const handler = overrides.get(route) || routes[route];
+    if (!handler) return jsonResponse(404, { error: 'Not found' });
+    const token = (headers.Authorization || headers.authorization || '').replace(/^Bearer /, '');
+    const user = db.users.find((u) => u.uid === tokens.get(token)) || null;
+    if (!overrides.has(route) && AUTH_ROUTES.has(url.pathname) && !user) {
+      return jsonResponse(401, { error: 'Unauthorized' });
+    }
+    const res = await handler({ method, path: url.pathname, body, headers, query: url.searchParams, user, db });
+    return res instanceof Response ? res : jsonResponse(res?.status ?? 200, res?.body, res?.headers);
+  };
+
+  seed({ users, products, keys });
+
+  return {
+    fetch: mockFetch,
+    db,
+    /** every request received, oldest first */
+    requests,
+    /** @param {{users?: MockUser[], products?: MarketItem[], keys?: MockKey[]}} data */
+    seed,
+    /**
+     * Replace one route, e.g. `route('GET', '/api/v1/public/market', () => ({ status: 500, body: { error: 'down' } }))`.
+     * @param {string} method
+     * @param {string} path
+     * @param {(ctx: MockRouteContext) => {status?: number, body?: any, headers?: Record<string, string>}|Response|Promise<{status?: number, body?: any, headers?: Record<string, string>}|Response>} handler
+     * @returns {() => void} restore the built-in route
+     */
+    route(method, path, handler) {
+      const key = `${method.toUpperCase()} ${path}`;
+      overrides.set(key, handler);
+      return () => { overrides.delete(key); };
+    },
+    /**
+     * Sign a seeded user in without a request.
+     * @param {string} login nickname or email
+     * @returns {{token: string, session: string}}
+     */
+    login(login) {
+      const user = findUser(login);
+      if (!user) throw new Error(`Unknown mock user: ${login}`);
+      return issue(user);
+    },
+    /** Invalidate every access token; sessions still refresh. */
+    expireTokens() {
+      tokens.clear();
+    },
+    /** @param {boolean} value `false` fails every request like a dropped connection */
+    setOnline(value) {
+      online = value;
+    },
+    /** Back to the seed data, with no tokens, overrides or recorded requests. */
+    reset() {
+      db.users.length = 0;
+      db.products.length = 0;
+      db.keys.length = 0;
+      tokens.clear();
+      sessions.clear();
+      overrides.clear();
+      requests.length = 0;
+      online = true;
+      seed({ users, products, keys });
+    }
+  };
+}
+
+/** PostgREST operator abbreviations used in `or()` / `filter()` strings. */
+const PG_OPERATORS = { cs: 'contains', cd: 'containedBy', ov: 'overlaps' };
+
+/**
+ * Split a PostgREST logic string on top-level commas.
+ * @param {string} str
+ * @returns {string[]}
+ */
+function splitTopLevel(str) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (let i = 0; i < str.length; i += 1) {
+    const ch = str[i];
+    if (quoted && ch === '\\') {
+      current += ch + (str[i + 1] || '');
+      i += 1;
+      continue;
+    }
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && (ch === '(' || ch === '{')) depth += 1;
+    else if (!quoted && (ch === ')' || ch === '}')) depth -= 1;
+    else if (!quoted && depth === 0 && ch === ',') {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+/** @param {string} value */
+function unquote(value) {
+  return value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1).replace(/\\(.)/g, '$1') : value;
+}
+
+/**
+ * PostgREST literal (`(1,2)`, `{a,b}`, `null`, `"a,b"`) to the value `filterMatches` expects.
+ * @param {string} op
+ * @param {any} raw
+ */
+function parseLiteral(op, raw) {
+  if (typeof raw !== 'string') return raw;
+  if (op === 'in') return splitTopLevel(raw.replace(/^\(|\)$/g, '')).map(unquote);
+  if (op === 'is') {
+    const literals = { null: null, true: true, false: false };
+    return raw.toLowerCase() in literals ? literals[raw.toLowerCase()] : raw;
+  }
+  if (['contains', 'containedBy', 'overlaps'].includes(op) && /^[{[]/.test(raw)) {
+    return splitTopLevel(raw.slice(1, -1)).map(unquote);
+  }
+  return unquote(raw);
+}
+
+/**
+ * Predicate for one `column.op.value` / `column.not.op.value` condition.
+ * @param {string} column
+ * @param {string} operator may start with `not.`
+ * @param {any} value
+ * @returns {(row: any) => boolean|null}
+ */
+function conditionPredicate(column, operator, value) {
+  const negated = operator.startsWith('not.');
+  const raw = negated ? operator.slice(4) : operator;
+  const op = PG_OPERATORS[raw] || raw;
+  const filter = { op, column, value: parseLiteral(op, value) };
+  return (row) => {
+    const matched = filterMatches(row, filter);
+    if (matched === null) return null;
+    return negated ? !matched : matched;
+  };
+}
+
+/**
+ * Predicate for an `or()` string: `a.eq.1,and(b.gt.2,c.is.null)`.
+ * @param {string} expr
+ * @param {'or'|'and'} combine
+ * @returns {(row: any) => boolean|null} `null` when a condition is not supported
+ */
+function logicPredicate(expr, combine) {
+  const predicates = splitTopLevel(expr).map((part) => {
+    const group = /^(not\.)?(and|or)\((.*)\)$/s.exec(part.trim());
+    if (group) {
+      const inner = logicPredicate(group[3], group[2]);
+      return group[1] ? (row) => { const r = inner(row); return r === null ? null : !r; } : inner;
+    }
+    const [column, ...rest] = part.trim().split('.');
+    const negated = rest[0] === 'not';
+    if (negated) rest.shift();
+    const op = rest.shift();
+    return conditionPredicate(column, negated ? `not.${op}` : op, rest.join('.'));
+  });
+  return (row) => {
+    let unknown = false;
+    for (const predicate of predicates) {
+      const r = predicate(row);
+      if (r === null) unknown = true;
+      else if (combine === 'or' && r) return true;
+      else if (combine === 'and' && !r) return false;
+    }
+    if (unknown) return null;
+    return combine === 'and';
+  };
+}
+
+/**
+ * Naive full-text search: every word of the query appears in the column (or, when the row
+ * has no such column, in any of its string values).
+ * @param {string} column
+ * @param {string} query
+ * @returns {(row: any) => boolean}
+ */
+function textSearchPredicate(column, query) {
+  const words = String(query)
+    .toLowerCase()
+    .replace(/["'()!&|:]/g, ' ')
+    .split(/\s+/)
+    .filter((w) => w && w !== 'or' && w !== 'and' && !w.startsWith('-'));
+  return (row) => {
+    const haystack = (column in row ? String(row[column] ?? '') : Object.values(row).filter((v) => typeof v === 'string').join(' '))
+      .toLowerCase();
+    return words.every((w) => haystack.includes(w));
+  };
+}
+
+/**
+ * @param {string} message
+ * @param {string} code
+ * @returns {{message: string, details: string, hint: string, code: string}}
+ */
+function pgError(message, code) {
+  return { message, details: '', hint: '', code };
+}
+
+/** Filters with the same `(column, value)` signature on the real builder. */
+const SIMPLE_FILTERS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'is', 'in', 'like', 'ilike', 'contains', 'containedBy', 'overlaps'];
+
+/**
+ * Thenable query builder over the fake's in-memory tables, mirroring postgrest-js.
+ */
+class FakeQueryBuilder {
+  constructor(fake, schema, table) {
+    this.fake = fake;
+    this.schema = schema;
+    this.table = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.countMode = null;
+    this.head = false;
+    this.returning = false;
+    this.payload = null;
+    this.onConflict = 'id';
+    this.predicates = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.rangeFrom = null;
+    this.rangeTo = null;
+    this.resultMode = null;
+    this.signal = null;
+  }
+
+  select(columns = '*', { count, head = false } = {}) {
+    if (this.action === 'select') {
+      this.countMode = count || null;
+      this.head = head;
+    } else {
+      this.returning = true;
+    }
+    this.columns = columns;
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.payload = values;
+    return this;
+  }
+
+  upsert(values, { onConflict = 'id' } = {}) {
+    this.action = 'upsert';
+    this.payload = values;
+    this.onConflict = onConflict;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  _where(predicate) {
+    this.predicates.push(predicate);
+    return this;
+  }
+
+  match(query) {
+    return this._where((row) => filterMatches(row, { op: 'match', value: query }));
+  }
+
+  not(column, operator, value) {
+    return this._where(conditionPredicate(column, `not.${operator}`, value));
+  }
+
+  filter(column, operator, value) {
+    return this._where(conditionPredicate(column, operator, value));
+  }
+
+  or(filters) {
+    return this._where(logicPredicate(filters, 'or'));
+  }
+
+  textSearch(column, query) {
+    return this._where(textSearchPredicate(column, query));
+  }
+
+  order(column, { ascending = true, nullsFirst } = {}) {
+    this.orders.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  single() {
+    this.resultMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.resultMode = 'maybeSingle';
+    return this;
+  }
+
+  abortSignal(signal) {
+    this.signal = signal;
+    return this;
+  }
+
+  then(onFulfilled, onRejected) {
+    return this._execute().then(onFulfilled, onRejected);
+  }
+
+  _project(rows) {
+    const columns = String(this.columns || '*').split(',').map((c) => c.trim()).filter(Boolean);
+    // embedded resources and aliases are not modelled: return whole rows
+    if (columns.includes('*') || columns.some((c) => /[():]/.test(c))) return rows.map((row) => ({ ...row }));
+    return rows.map((row) => Object.fromEntries(columns.map((c) => [c, row[c] ?? null])));
+  }
+
+  _matching(rows) {
+    for (const row of rows) {
+      for (const predicate of this.predicates) {
+        if (predicate(row) === null) return { error: pgError('Filter is not supported by the fake Supabase client', 'PGRST100') };
+      }
+    }
+    return { rows: rows.filter((row) => this.predicates.every((predicate) => predicate(row))) };
+  }
+
+  async _execute() {
+    await Promise.resolve();
+    if (this.signal?.aborted) {
+      return { data: null, error: pgError('AbortError: This operation was aborted', ''), count: null, status: 0, statusText: '' };
+    }
+    const rows = this.fake._table(this.schema, this.table);
+    if (!rows) {
+      return {
+        data: null,
+        error: pgError(`relation "${this.schema}.${this.table}" does not exist`, '42P01'),
+        count: null,
+        status: 404,
+        statusText: 'Not Found'
+      };
+    }
+    const { rows: matched, error } = this._matching(this.action === 'insert' || this.action === 'upsert' ? [] : rows);
+    if (error) return { data: null, error, count: null, status: 400, statusText: 'Bad Request' };
+
+    if (this.action === 'select') return this._finish(matched, this.countMode ? matched.length : null, 200);
+    if (this.action === 'insert' || this.action === 'upsert') return this._write();
+
+    const changed = [];
+    if (this.action === 'update') {
+      matched.forEach((row) => {
+        const old = { ...row };
+        Object.assign(row, this.payload);
+        changed.push(row);
+        this.fake._emit(this.schema, this.table, 'UPDATE', { ...row }, old);
+      });
+    } else {
+      matched.forEach((row) => {
+        rows.splice(rows.indexOf(row), 1);
+        changed.push(row);
+        this.fake._emit(this.schema, this.table, 'DELETE', null, { ...row });
+      });
+    }
+    return this.returning ? this._finish(changed, null, 200) : { data: null, error: null, count: null, status: 204, statusText: 'No Content' };
+  }
+
+  _write() {
+    const rows = this.fake._table(this.schema, this.table);
+    const values = Array.isArray(this.payload) ? this.payload : [this.payload];
+    const written = [];
+    for (const value of values) {
+      const row = { ...value };
+      const key = this.action === 'upsert' ? this.onConflict : 'id';
+      if (row[key] === undefined && key === 'id') row.id = this.fake._nextId(rows);
+      const existing = rows.find((r) => r[key] !== undefined && String(r[key]) === String(row[key]));
+      if (existing && this.action === 'insert') {
+        return {
+          data: null,
+          error: pgError(`duplicate key value violates unique constraint "${this.table}_pkey"`, '23505'),
+          count: null,
+          status: 409,
+          statusText: 'Conflict'
+        };
+      }
+      if (existing) {
+        const old = { ...existing };
+        Object.assign(existing, row);
+        written.push(existing);
+        this.fake._emit(this.schema, this.table, 'UPDATE', { ...existing }, old);
+      } else {
+        rows.push(row);
+        written.push(row);
+        this.fake._emit(this.schema, this.table, 'INSERT', { ...row }, null);
+      }
+    }
+    return this.returning ? this._finish(written, null, 201) : { data: null, error: null, count: null, status: 201, statusText: 'Created' };
+  }
+
+  _finish(rows, count, status) {
+    let result = this.orders.length ? [...rows].sort((a, b) => compareRows(a, b, this.orders)) : [...rows];
+    const from = this.rangeFrom ?? 0;
+    let to = this.rangeTo !== null ? this.rangeTo + 1 : result.length;
+    if (this.limitCount !== null) to = Math.min(to, from + this.limitCount);
+    result = this._project(result.slice(from, to));
+
+    if (this.resultMode) {
+      if (result.length > 1 || (result.length === 0 && this.resultMode === 'single')) {
+        return {
+          data: null,
+          error: pgError('JSON object requested, multiple (or no) rows returned', 'PGRST116'),
+          count: null,
+          status: 406,
+          statusText: 'Not Acceptable'
+        };
+      }
+      return { data: result[0] ?? null, error: null, count, status, statusText: 'OK' };
+    }
+    return { data: this.head ? null : result, error: null, count, status, statusText: 'OK' };
+  }
+}
+
+SIMPLE_FILTERS.forEach((op) => {
+  FakeQueryBuilder.prototype[op] = function where(column, value) {
+    return this._where((row) => filterMatches(row, { op, column, value }));
+  };
+});
+
+/**
+ * `column=op.value` filter of a postgres_changes subscription.
+ * @param {any} row
+ * @param {string} [filter]
+ * @returns {boolean}
+ */
+function realtimeFilterMatches(row, filter) {
+  if (!filter) return true;
+  const eq = filter.indexOf('=');
+  const column = filter.slice(0, eq);
+  const [op, ...value] = filter.slice(eq + 1).split('.');
+  return conditionPredicate(column, op, value.join('.'))(row || {}) === true;
+}
+
+/**
+ * Fake realtime channel: postgres_changes from the fake's own writes, broadcast and presence
+ * between channels with the same name.
+ */
+class FakeChannel {
+  constructor(fake, topic, { config = {} } = {}) {
+    this.fake = fake;
+    this.topic = topic;
+    this.config = config;
+    this.bindings = [];
+    this.state = 'closed';
+    this.presenceKey = config.presence?.key || `presence-${++fake._seq}`;
+  }
+
+  on(type, filter, callback) {
+    this.bindings.push({ type, filter: filter || {}, callback });
+    return this;
+  }
+
+  subscribe(callback) {
+    this.state = 'joining';
+    this.fake._channels.add(this);
+    this.statusCallback = callback;
+    queueMicrotask(() => {
+      if (this.state !== 'joining') return;
+      this.state = 'joined';
+      callback?.('SUBSCRIBED');
+    });
+    return this;
+  }
+
+  async send({ type, event, payload }) {
+    this.fake._channels.forEach((channel) => {
+      if (channel.topic !== this.topic || channel.state !== 'joined') return;
+      if (channel === this && !this.config.broadcast?.self) return;
+      channel._dispatch(type, event, { type, event, payload });
+    });
+    return 'ok';
+  }
+
+  async track(state) {
+    const presence = this.fake._presence(this.topic);
+    const metas = [{ ...state, presence_ref: `ref-${++this.fake._seq}` }];
+    presence.set(this.presenceKey, metas);
+    this.fake._presenceEvent(this.topic, 'join', { key: this.presenceKey, newPresences: metas, currentPresences: [] });
+    return 'ok';
+  }
+
+  async untrack() {
+    const presence = this.fake._presence(this.topic);
+    const metas = presence.get(this.presenceKey);
+    if (!metas) return 'ok';
+    presence.delete(this.presenceKey);
+    this.fake._presenceEvent(this.topic, 'leave', { key: this.presenceKey, leftPresences: metas, currentPresences: [] });
+    return 'ok';
+  }
+
+  presenceState() {
+    return Object.fromEntries(this.fake._presence(this.topic));
+  }
+
+  async unsubscribe() {
+    if (this.state === 'closed') return 'ok';
+    await this.untrack();
+    this.state = 'closed';
+    this.fake._channels.delete(this);
+    this.statusCallback?.('CLOSED');
+    return 'ok';
+  }
+
+  _dispatch(type, event, payload) {
+    this.bindings.forEach((binding) => {
+      if (binding.type !== type) return;
+      if (binding.filter.event && binding.filter.event !== '*' && binding.filter.event !== event) return;
+      binding.callback(payload);
+    });
+  }
+}
+
+/**
+ * @typedef {Object} FakeAuthUser
+ * @property {string} email
+ * @property {string} [password]
+ * @property {string} [id]
+ * @property {Record<string, any>} [user_metadata]
+ * @property {Record<string, any>} [app_metadata] e.g. `{ role: 'admin' }`
+ */
+
+/**
+ * In-memory stand-in for a supabase-js client: `from()` / `schema()` queries with filters,
+ * ordering and paging, writes that emit postgres_changes to subscribed channels, broadcast
+ * and presence, `auth` with email / password and OTP, `rpc()` and `functions.invoke()`.
+ * @param {Object} [opts]
+ * @param {Record<string, any[]>} [opts.tables] rows per table; `'schema.table'` for other schemas
+ * @param {FakeAuthUser[]} [opts.users]
+ * @param {string} [opts.session] email of the user signed in from the start
+ * @param {Record<string, (args: any) => any>} [opts.rpc] Postgres function results
+ * @param {Record<string, (body: any) => any>} [opts.functions] Edge Function results
+ */
+export function createFakeSupabase({ tables = {}, users = [], session = null, rpc = {}, functions = {} } = {}) {
+  const data = new Map();
+  Object.entries(tables).forEach(([name, rows]) => {
+    const key = name.includes('.') ? name : `public.${name}`;
+    data.set(key, rows.map((row) => ({ ...row })));
+  });
+
+  const fake = {
+    _seq: 0,
+    _channels: new Set(),
+    _presenceByTopic: new Map(),
+    _table: (schema, table) => data.get(`${schema}.${table}`) || null,
+    _nextId: (rows) => rows.reduce((max, row) => (typeof row.id === 'number' ? Math.max(max, row.id) : max), 0) + 1,
+    _presence: (topic) => {
+      if (!fake._presenceByTopic.has(topic)) fake._presenceByTopic.set(topic, new Map());
+      return fake._presenceByTopic.get(topic);
+    },
+    _presenceEvent: (topic, event, payload) => {
+      fake._channels.forEach((channel) => {
+        if (channel.topic !== topic || channel.state !== 'joined') return;
+        channel._dispatch('presence', event, payload);
+        channel._dispatch('presence', 'sync', {});
+      });
+    },
+    _emit: (schema, table, eventType, newRow, oldRow) => {
+      const payload = {
+        schema,
+        table,
+        commit_timestamp: new Date().toISOString(),
+        eventType,
+        new: newRow || {},
+        old: oldRow || {},
+        errors: null
+      };
+      // delivered after the write resolves, like a real socket message
+      setTimeout(() => {
+        fake._channels.forEach((channel) => {
+          if (channel.state !== 'joined') return;
+          channel.bindings.forEach(({ type, filter, callback }) => {
+            if (type !== 'postgres_changes') return;
+            if (filter.event && filter.event !== '*' && filter.event !== eventType) return;
+            if ((filter.schema || 'public') !== schema && filter.schema !== '*') return;
+            if (filter.table && filter.table !== table) return;
+            if (!realtimeFilterMatches(eventType === 'DELETE' ? oldRow : newRow, filter.filter)) return;
+            callback(payload);
+          });
+        });
+      }, 0);
+    }
+  };
+
+  const authUsers = users.map((user, i) => ({ id: user.id || `user-${i + 1}`, ...user }));
+  const listeners = new Set();
+  let current = null;
+  let otp = null;
+  const codes = new Map();
+
+  const publicUser = (user) => ({
+    id: user.id,
+    email: user.email,
+    aud: 'authenticated',
+    role: 'authenticated',
+    app_metadata: { provider: 'email', ...user.app_metadata },
+    user_metadata: { ...user.user_metadata },
+    created_at: new Date(0).toISOString()
+  });
+  const startSession = (user) => {
+    fake._seq += 1;
+    current = {
+      access_token: `fake-access-${user.id}-${fake._seq}`,
+      refresh_token: `fake-refresh-${user.id}-${fake._seq}`,
+      token_type: 'bearer',
+      expires_in: 3600,
+      expires_at: Math.floor(Date.now() / 1000) + 3600,
+      user: publicUser(user)
+    };
+    return current;
+  };
+  const notify = (event) => { listeners.forEach((listener) => listener(event, current)); };
+  const authError = (message, status = 400) => ({ name: 'AuthApiError', message, status });
+  const findAuthUser = (email) => authUsers.find((u) => u.email === email) || null;
+
+  if (session) {
+    const user = findAuthUser(session);
+    if (user) startSession(user);
+  }
+
+  const auth = {
+    getSession: async () => ({ data: { session: current }, error: null }),
+    getUser: async () => (current
+      ? { data: { user: current.user }, error: null }
+      : { data: { user: null }, error: authError('Auth session missing!', 401) }),
+    onAuthStateChange: (callback) => {
+      listeners.add(callback);
+      queueMicrotask(() => { if (listeners.has(callback)) callback('INITIAL_SESSION', current); });
+      return { data: { subscription: { id: `sub-${++fake._seq}`, unsubscribe: () => { listeners.delete(callback); } } } };
+    },
+    signInWithPassword: async ({ email, password }) => {
+      const user = findAuthUser(email);
+      if (!user || user.password !== password) {
+        return { data: { user: null, session: null }, error: authError('Invalid login credentials') };
+      }
+      startSession(user);
+      notify('SIGNED_IN');
+      return { data: { user: current.user, session: current }, error: null };
+    },
+    signUp: async ({ email, password, options = {} }) => {
+      if (findAuthUser(email)) return { data: { user: null, session: null }, error: authError('User already registered', 422) };
+      const user = { id: `user-${authUsers.length + 1}`, email, password, user_metadata: options.data || {} };
+      authUsers.push(user);
+      startSession(user);
+      notify('SIGNED_IN');
+      return { data: { user: current.user, session: current }, error: null };
+    },
+    signOut: async () => {
+      current = null;
+      notify('SIGNED_OUT');
+      return { error: null };
+    },
+    refreshSession: async () => {
+      if (!current) return { data: { user: null, session: null }, error: authError('Auth session missing!', 401) };
+      startSession(findAuthUser(current.user.email));
+      notify('TOKEN_REFRESHED');
+      return { data: { user: current.user, session: current }, error: null };
+    },
+    signInWithOtp: async ({ email }) => {
+      otp = { email, token: '123456' };
+      return { data: { user: null, session: null }, error: null };
+    },
+    verifyOtp: async ({ email, token }) => {
+      if (!otp || otp.email !== email || otp.token !== token) {
+        return { data: { user: null, session: null }, error: authError('Token has expired or is invalid', 403) };
+      }
+      otp = null;
+      let user = findAuthUser(email);
+      if (!user) {
+        user = { id: `user-${authUsers.length + 1}`, email };
+        authUsers.push(user);
+      }
+      startSession(user);
+      notify('SIGNED_IN');
+      return { data: { user: current.user, session: current }, error: null };
+    },
+    signInWithOAuth: async ({ provider, options = {} }) => ({
+      data: { provider, url: `https://fake.supabase.co/auth/v1/authorize?provider=${provider}&redirect_to=${encodeURIComponent(options.redirectTo || '')}` },
+      error: null
+    }),
+    exchangeCodeForSession: async (code) => {
+      const user = findAuthUser(codes.get(code));
+      if (!user) return { data: { user: null, session: null }, error: authError('invalid flow state, no valid flow state found', 404) };
+      codes.delete(code);
+      startSession(user);
+      notify('SIGNED_IN');
+      return { data: { user: current.user, session: current }, error: null };
+    },
+    resetPasswordForEmail: async () => ({ data: {}, error: null }),
+    updateUser: async (attributes) => {
+      if (!current) return { data: { user: null }, error: authError('Auth session missing!', 401) };
+      const user = findAuthUser(current.user.email);
+      if (attributes.email) user.email = attributes.email;
+      if (attributes.password) user.password = attributes.password;
+      if (attributes.data) user.user_metadata = { ...user.user_metadata, ...attributes.data };
+      current = { ...current, user: publicUser(user) };
+      notify('USER_UPDATED');
+      return { data: { user: current.user }, error: null };
+    },
+    /** OTP code `verifyOtp` accepts; always '123456'. */
+    get lastOtp() {
+      return otp;
+    },
+    /**
+     * A PKCE code `exchangeCodeForSession` turns into a session for `email`.
+     * @param {string} email
+     * @returns {string}
+     */
+    issueCode(email) {
+      fake._seq += 1;
+      const code = `fake-code-${fake._seq}`;
+      codes.set(code, email);
+      return code;
+    }
+  };
+
+  const callRpc = (schema, name, args) => {
+    const builder = {
+      signal: null,
+      abortSignal(signal) {
+        builder.signal = signal;
+        return builder;
+      },
+      then(onFulfilled, onRejected) {
+        return Promise.resolve().then(async () => {
+          if (!rpc[name]) {
+            return { data: null, error: pgError(`Could not find the function ${schema}.${name}`, 'PGRST202'), count: null, status: 404, statusText: 'Not Found' };
+          }
+          try {
+            return { data: await rpc[name](args), error: null, count: null, status: 200, statusText: 'OK' };
+          } catch (err) {
+            return { data: null, error: pgError(err.message, 'P0001'), count: null, status: 400, statusText: 'Bad Request' };
+          }
+        }).then(onFulfilled, onRejected);
+      }
+    };
+    return builder;
+  };
+
+  const schema = (name) => ({
+    from: (table) => new FakeQueryBuilder(fake, name, table),
+    rpc: (fn, args) => callRpc(name, fn, args)
+  });
+
+  return {
+    ...schema('public'),
+    schema,
+    auth,
+    functions: {
+      invoke: async (name, { body } = {}) => {
+        if (!functions[name]) return { data: null, error: { name: 'FunctionsHttpError', message: `Function ${name} not found` } };
+        try {
+          return { data: await functions[name](body), error: null };
+        } catch (err) {
+          return { data: null, error: { name: 'FunctionsHttpError', message: err.message } };
+        }
+      }
+    },
+    channel: (name, options) => new FakeChannel(fake, name, options),
+    removeChannel: async (channel) => channel.unsubscribe(),
+    removeAllChannels: async () => Promise.all([...fake._channels].map((channel) => channel.unsubscribe())),
+    getChannels: () => [...fake._channels],
+    /**
+     * Rows of a table (a live array: edit it to change data without events).
+     * @param {string} table `'schema.table'` for other schemas
+     * @returns {any[]}
+     */
+    getTable(table) {
+      const key = table.includes('.') ? table : `public.${table}`;
+      if (!data.has(key)) data.set(key, []);
+      return data.get(key);
+    },
+    /**
+     * Deliver a postgres_changes event without touching the data, as if another client wrote it.
+     * @param {{table: string, schema?: string, eventType: 'INSERT'|'UPDATE'|'DELETE', new?: any, old?: any}} change
+     */
+    emitChange({ table, schema: schemaName = 'public', eventType, new: newRow = null, old = null }) {
+      fake._emit(schemaName, table, eventType, newRow, old);
+    }
+  };
+}
+
+/**
+ * SexyGuardProvider wired to an in-memory backend and a fake Supabase client; tokens live in
+ * memory, so tests never share state through localStorage.
+ * @param {Object} props SexyGuardProvider props plus:
+ * @param {ReturnType<typeof createMockBackend>} [props.backend] created empty when omitted
+ * @param {ReturnType<typeof createFakeSupabase>|false} [props.supabase] `false` for REST only
+ * @param {string} [props.user] nickname or email of a seeded backend user to start signed in as
+ */
+export function MockSexyGuardProvider({ backend, supabase, user, children, ...props }) {
+  const mockBackend = useMemo(() => backend || createMockBackend(), [backend]);
+  const fakeSupabase = useMemo(() => (supabase === false ? null : supabase || createFakeSupabase()), [supabase]);
+  const storages = useMemo(() => {
+    const tokenStorage = createTokenStorage({ type: 'memory', broadcast: false });
+    const sessionTokenStorage = createTokenStorage({ type: 'memory', broadcast: false });
+    if (user) {
+      const { token, session } = mockBackend.login(user);
+      tokenStorage.set(token);
+      sessionTokenStorage.set(session);
+    }
+    return { tokenStorage, sessionTokenStorage };
+  }, [mockBackend, user]);
+
+  return React.createElement(SexyGuardProvider, {
+    baseUrl: 'http://sexyguard.test',
+    fetch: mockBackend.fetch,
+    tokenStorage: storages.tokenStorage,
+    sessionTokenStorage: storages.sessionTokenStorage,
+    supabaseClient: fakeSupabase || undefined,
+    syncTabs: false,
+    refetchOnWindowFocus: false,
+    ...props
+  }, children);
+}
@@ -0,0 +1,173 @@
+import './dom.js';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import React, { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import { SexyGuardClient, useProfile } from '../src/index.js';
+import { createMockBackend, createFakeSupabase, MockSexyGuardProvider } from '../src/testing.js';
+
+const seededBackend = () => createMockBackend({
+  users: [
+    { nickname: 'anna', email: 'anna@example.com', password: 'secret', role: 'admin' },
+    { nickname: 'bob', email: 'bob@example.com', password: 'hunter2' }
+  ],
+  products: [{ productName: 'Monthly', productPrice: 100 }]
+});
+
+const clientFor = (backend) => new SexyGuardClient({ baseUrl: 'http://sexyguard.test', fetch: backend.fetch });
+
+describe('createMockBackend', () => {
+  test('login issues a token that opens the profile', async () => {
+    const backend = seededBackend();
+    const client = clientFor(backend);
+
+    const res = await client.login('anna', 'secret');
+    assert.match(res.token, /^mock-token-/);
+    assert.equal(res.role, 'admin');
+
+    client.setToken(res.token);
+    const profile = await client.getProfile();
+    assert.equal(profile.nickname, 'anna');
+    assert.equal(profile.email, 'anna@example.com');
+  });
+
+  test('login with a wrong password is a 401', async () => {
+    const client = clientFor(seededBackend());
+    const res = await client.login('anna', 'nope');
+    assert.equal(res.status, 401);
+    assert.equal(res.error, 'Invalid login or password');
+  });
+
+  test('protected routes answer 401 without a valid token', async () => {
+    const backend = seededBackend();
+    const client = clientFor(backend);
+    assert.equal((await client.getProfile()).status, 401);
+
+    client.setToken(backend.login('bob').token);
+    assert.equal((await client.getProfile()).nickname, 'bob');
+
+    backend.expireTokens();
+    assert.equal((await client.getProfile()).status, 401);
+  });
+
+  test('refresh trades a session for a new token once', async () => {
+    const backend = seededBackend();
+    const client = clientFor(backend);
+    const { session } = backend.login('bob');
+
+    const first = await client.request('/api/v1/auth/refresh', { method: 'POST', body: { session } });
+    assert.match(first.token, /^mock-token-/);
+    assert.notEqual(first.session, session);
+
+    const again = await client.request('/api/v1/auth/refresh', { method: 'POST', body: { session } });
+    assert.equal(again.status, 401);
+  });
+
+  test('route overrides replace a built-in route until restored', async () => {
+    const backend = seededBackend();
+    const client = clientFor(backend);
+    const restore = backend.route('GET', '/api/v1/public/market', () => ({ status: 503, body: { error: 'down' } }));
+    assert.equal((await client.getMarket()).status, 503);
+    restore();
+    assert.equal((await client.getMarket()).items.length, 1);
+    assert.deepEqual(backend.requests.map((r) => r.path), ['/api/v1/public/market', '/api/v1/public/market']);
+  });
+
+  test('setOnline(false) fails requests like a dropped connection', async () => {
+    const backend = seededBackend();
+    backend.setOnline(false);
+    await assert.rejects(backend.fetch('http://sexyguard.test/health'), TypeError);
+  });
+});
+
+describe('createFakeSupabase query builder', () => {
+  const rows = [
+    { id: 1, title: 'Write docs', done: false, priority: 2 },
+    { id: 2, title: 'Fix bug', done: true, priority: 1 },
+    { id: 3, title: 'Review PR', done: false, priority: 3 },
+    { id: 4, title: 'Release', done: false, priority: null }
+  ];
+  const fake = () => createFakeSupabase({ tables: { todos: rows } });
+
+  test('filters', async () => {
+    const supabase = fake();
+    const ids = (res) => res.data.map((row) => row.id);
+    assert.deepEqual(ids(await supabase.from('todos').select('*').eq('done', false)), [1, 3, 4]);
+    assert.deepEqual(ids(await supabase.from('todos').select('*').gt('priority', 1)), [1, 3]);
+    assert.deepEqual(ids(await supabase.from('todos').select('*').in('id', [2, 4])), [2, 4]);
+    assert.deepEqual(ids(await supabase.from('todos').select('*').ilike('title', '%re%')), [3, 4]);
+    assert.deepEqual(ids(await supabase.from('todos').select('*').or('done.eq.true,priority.eq.3')), [2, 3]);
+    assert.deepEqual(ids(await supabase.from('todos').select('*').not('priority', 'is', null).lte('priority', 2)), [1, 2]);
+  });
+
+  test('order, range and count', async () => {
+    const supabase = fake();
+    const res = await supabase.from('todos').select('id, title', { count: 'exact' })
+      .order('priority', { ascending: false, nullsFirst: false })
+      .range(0, 1);
+    assert.equal(res.error, null);
+    assert.equal(res.count, 4);
+    assert.deepEqual(res.data, [{ id: 3, title: 'Review PR' }, { id: 1, title: 'Write docs' }]);
+  });
+
+  test('single fails on more than one row', async () => {
+    const supabase = fake();
+    assert.equal((await supabase.from('todos').select('*').eq('id', 2).single()).data.title, 'Fix bug');
+    assert.equal((await supabase.from('todos').select('*').single()).error.code, 'PGRST116');
+  });
+
+  test('writes go to the table and do not touch the seed rows', async () => {
+    const supabase = fake();
+    const inserted = await supabase.from('todos').insert({ title: 'New' }).select();
+    assert.equal(inserted.data[0].id, 5);
+    await supabase.from('todos').update({ done: true }).eq('id', 1);
+    await supabase.from('todos').delete().eq('id', 2);
+    const { data } = await supabase.from('todos').select('id, done').order('id');
+    assert.deepEqual(data, [{ id: 1, done: true }, { id: 3, done: false }, { id: 4, done: false }, { id: 5, done: null }]);
+    assert.equal(rows[0].done, false);
+  });
+
+  test('unknown tables answer like PostgREST', async () => {
+    const res = await fake().from('nope').select('*');
+    assert.equal(res.error.code, '42P01');
+  });
+});
+
+describe('MockSexyGuardProvider', () => {
+  test('renders hooks against the mock backend as the given user', async () => {
+    const backend = seededBackend();
+    function Profile() {
+      const { profile } = useProfile();
+      return React.createElement('span', null, profile ? profile.nickname : 'loading');
+    }
+
+    const container = document.createElement('div');
+    const root = createRoot(container);
+    await act(async () => {
+      root.render(React.createElement(MockSexyGuardProvider, { backend, supabase: false, user: 'bob' }, React.createElement(Profile)));
+    });
+    await act(() => new Promise((resolve) => setTimeout(resolve, 20)));
+
+    assert.equal(container.textContent, 'bob');
+    assert.ok(backend.requests.some((r) => r.path === '/api/v1/profile/me' && /^Bearer mock-token-/.test(r.headers.Authorization)));
+    await act(async () => root.unmount());
+  });
+
+  test('without a user the profile stays empty and nothing is requested', async () => {
+    const backend = seededBackend();
+    function Profile() {
+      const { profile } = useProfile();
+      return React.createElement('span', null, profile ? profile.nickname : 'anonymous');
+    }
+
+    const container = document.createElement('div');
+    const root = createRoot(container);
+    await act(async () => {
+      root.render(React.createElement(MockSexyGuardProvider, { backend, supabase: false }, React.createElement(Profile)));
+    });
+
+    assert.equal(container.textContent, 'anonymous');
+    assert.equal(backend.requests.length, 0);
+    await act(async () => root.unmount());
+  });
+});
@@ -0,0 +1,140 @@
+import { MarketItem, SexyGuardProvider } from './index';
+
+export type MockUser = {
+  nickname: string;
+  email: string;
+  password: string;
+  /** 'user' by default */
+  role?: string;
+  uid?: number;
+  hwid?: string | null;
+  /** subscription end, unix seconds */
+  till?: number | null;
+  ram?: string | null;
+};
+
+export type MockKey = {
+  key: string;
+  plus_subday: number;
+  value_of_activate: number;
+  delete_time: string;
+};
+
+export type MockRequest = {
+  method: string;
+  path: string;
+  body: any;
+  headers: Record<string, string>;
+};
+
+export type MockDatabase = {
+  users: Required<MockUser>[];
+  products: MarketItem[];
+  keys: MockKey[];
+};
+
+export type MockRouteContext = MockRequest & {
+  query: URLSearchParams;
+  /** owner of the Bearer token */
+  user: Required<MockUser> | null;
+  db: MockDatabase;
+};
+
+export type MockRouteResult = { status?: number; body?: any; headers?: Record<string, string> } | Response;
+
+export type MockSeed = {
+  users?: MockUser[];
+  products?: (Omit<MarketItem, 'productId' | 'productOldPrice' | 'productDir'> & Partial<MarketItem>)[];
+  keys?: MockKey[];
+};
+
+export type MockBackend = {
+  fetch: typeof fetch;
+  db: MockDatabase;
+  /** every request received, oldest first */
+  requests: MockRequest[];
+  seed: (data: MockSeed) => void;
+  /** replace one route; returns a function restoring the built-in one */
+  route: (
+    method: string,
+    path: string,
+    handler: (ctx: MockRouteContext) => MockRouteResult | Promise<MockRouteResult>
+  ) => () => void;
+  /** sign a seeded user in without a request */
+  login: (login: string) => { token: string; session: string };
+  /** invalidate every access token; sessions still refresh */
+  expireTokens: () => void;
+  /** `false` fails every request like a dropped connection */
+  setOnline: (online: boolean) => void;
+  /** back to the seed data, with no tokens, overrides or recorded requests */
+  reset: () => void;
+};
+
+export function createMockBackend(options?: MockSeed & {
+  /** reported by `/api/v1/public/version` and `/health` */
+  version?: string;
+  /** ms before every response */
+  latency?: number;
+}): MockBackend;
+
+export type FakeAuthUser = {
+  email: string;
+  password?: string;
+  id?: string;
+  user_metadata?: Record<string, any>;
+  /** e.g. `{ role: 'admin' }` */
+  app_metadata?: Record<string, any>;
+};
+
+export type FakeRealtimeChange = {
+  table: string;
+  schema?: string;
+  eventType: 'INSERT' | 'UPDATE' | 'DELETE';
+  new?: any;
+  old?: any;
+};
+
+/** supabase-js compatible surface backed by memory; typed loosely like `supabaseClient` */
+export type FakeSupabaseClient = {
+  from: (table: string) => any;
+  schema: (schema: string) => { from: (table: string) => any; rpc: (fn: string, args?: any) => any };
+  rpc: (fn: string, args?: any) => any;
+  auth: Record<string, any> & {
+    /** the pending OTP; `verifyOtp` accepts '123456' */
+    readonly lastOtp: { email: string; token: string } | null;
+    /** a code `exchangeCodeForSession` turns into a session for `email` */
+    issueCode: (email: string) => string;
+  };
+  functions: { invoke: (name: string, options?: { body?: any }) => Promise<{ data: any; error: any }> };
+  channel: (name: string, options?: { config?: any }) => any;
+  removeChannel: (channel: any) => Promise<'ok'>;
+  removeAllChannels: () => Promise<'ok'[]>;
+  getChannels: () => any[];
+  /** rows of a table, a live array; `'schema.table'` for other schemas */
+  getTable: (table: string) => any[];
+  /** deliver a postgres_changes event without touching the data */
+  emitChange: (change: FakeRealtimeChange) => void;
+};
+
+export function createFakeSupabase(options?: {
+  /** rows per table; `'schema.table'` for other schemas */
+  tables?: Record<string, any[]>;
+  users?: FakeAuthUser[];
+  /** email of the user signed in from the start */
+  session?: string;
+  /** Postgres function results */
+  rpc?: Record<string, (args: any) => any>;
+  /** Edge Function results */
+  functions?: Record<string, (body: any) => any>;
+}): FakeSupabaseClient;
+
+export function MockSexyGuardProvider(
+  props: Omit<Parameters<typeof SexyGuardProvider>[0], 'supabaseClient'> & {
+    /** created empty when omitted */
+    backend?: MockBackend;
+    /** `false` for REST only */
+    supabase?: FakeSupabaseClient | false;
+    /** nickname or email of a seeded backend user to start signed in as */
+    user?: string;
+  }
+): JSX.Element;